@@ -1,5 +1,7 @@
 // 智能合約配置
 require('dotenv').config();
+const os = require('os');
+const crypto = require('crypto');
 
 // 從環境變量中獲取配置
 const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
@@ -7,6 +9,122 @@ const RPC_URL = process.env.RPC_URL;
 const RPC_WSS_URL = process.env.RPC_WSS_URL;
 const SETTLER_PRIVATE_KEY = process.env.SETTLER_PRIVATE_KEY;
 
+// 以逗號分隔的列表配置，未設置時使用單一值
+const parseList = (value, fallback) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : [fallback].filter(Boolean));
+
+// RPC 節點池配置：以逗號分隔多個節點，未設置時使用單一的 RPC_URL / RPC_WSS_URL
+const RPC_URLS = parseList(process.env.RPC_URLS, RPC_URL);
+const RPC_WSS_URLS = parseList(process.env.RPC_WSS_URLS, RPC_WSS_URL);
+// 節點落後最高區塊超過此數量時視為不健康
+const RPC_MAX_BLOCK_LAG = parseInt(process.env.RPC_MAX_BLOCK_LAG) || 5;
+
+// 結算錢包池配置：以逗號分隔多個私鑰，未設置時使用單一的 SETTLER_PRIVATE_KEY
+const SETTLER_PRIVATE_KEYS = parseList(process.env.SETTLER_PRIVATE_KEYS, SETTLER_PRIVATE_KEY);
+// 結算錢包簽名後端：env 使用 SETTLER_PRIVATE_KEYS，keystore 使用加密 keystore 文件，remote 使用外部簽名服務
+const SETTLER_SIGNER_BACKEND = process.env.SETTLER_SIGNER_BACKEND || 'env';
+// 加密 keystore 文件路徑（逗號分隔）與存放解鎖密碼的文件路徑
+const SETTLER_KEYSTORE_FILES = parseList(process.env.SETTLER_KEYSTORE_FILES, null);
+const SETTLER_KEYSTORE_PASSPHRASE_FILE = process.env.SETTLER_KEYSTORE_PASSPHRASE_FILE || null;
+// 外部簽名服務的 JSON-RPC 地址、錢包地址（逗號分隔，未設置時以 eth_accounts 查詢）與可選的 Bearer token
+const SETTLER_REMOTE_SIGNER_URL = process.env.SETTLER_REMOTE_SIGNER_URL || null;
+const SETTLER_REMOTE_SIGNER_ADDRESSES = parseList(process.env.SETTLER_REMOTE_SIGNER_ADDRESSES, null);
+const SETTLER_REMOTE_SIGNER_TOKEN = process.env.SETTLER_REMOTE_SIGNER_TOKEN || null;
+// 錢包餘額低於此值（ETH）時暫停分配新的結算交易
+const SETTLER_MIN_BALANCE = process.env.SETTLER_MIN_BALANCE || '0.01';
+// 可用錢包總餘額低於此值（ETH）時發出告警
+const SETTLER_POOL_LOW_BALANCE = process.env.SETTLER_POOL_LOW_BALANCE || '0.05';
+const SETTLER_BALANCE_CHECK_INTERVAL_MS = parseInt(process.env.SETTLER_BALANCE_CHECK_INTERVAL_MS) || 60000;
+
+// 多副本部署時的領導者選舉配置：同一部署只有持有租約的實例發送結算交易
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+const LEADER_LEASE_MS = parseInt(process.env.LEADER_LEASE_MS) || 30000;
+const LEADER_RENEW_INTERVAL_MS = parseInt(process.env.LEADER_RENEW_INTERVAL_MS) || 10000;
+
+// 歷史事件回補索引器配置
+const INDEXER_START_BLOCK = process.env.INDEXER_START_BLOCK ? parseInt(process.env.INDEXER_START_BLOCK) : null;
+const INDEXER_BATCH_SIZE = parseInt(process.env.INDEXER_BATCH_SIZE) || 2000;
+// 同時進行的玩家記錄重新索引任務上限（所有部署與玩家合計）
+const REINDEX_MAX_CONCURRENT_JOBS = parseInt(process.env.REINDEX_MAX_CONCURRENT_JOBS) || 2;
+
+// 鏈重組處理配置：事件所在區塊之後需要的確認區塊數
+const CONFIRMATION_DEPTH = parseInt(process.env.CONFIRMATION_DEPTH) || 12;
+
+// 結算交易配置
+const SETTLEMENT_MAX_CONCURRENT = parseInt(process.env.SETTLEMENT_MAX_CONCURRENT) || 5;
+const SETTLEMENT_STUCK_TIMEOUT_MS = parseInt(process.env.SETTLEMENT_STUCK_TIMEOUT_MS) || 90000;
+const SETTLEMENT_FEE_BUMP_PERCENT = parseInt(process.env.SETTLEMENT_FEE_BUMP_PERCENT) || 20;
+const SETTLEMENT_MAX_REPLACEMENTS = parseInt(process.env.SETTLEMENT_MAX_REPLACEMENTS) || 5;
+// 手續費上限（gwei），未設置時不限制
+const SETTLEMENT_MAX_FEE_GWEI = process.env.SETTLEMENT_MAX_FEE_GWEI || null;
+
+// 結算任務重試配置：失敗後依指數退避重試，達到次數上限後移入死信
+const SETTLEMENT_MAX_ATTEMPTS = parseInt(process.env.SETTLEMENT_MAX_ATTEMPTS) || 8;
+const SETTLEMENT_RETRY_BASE_MS = parseInt(process.env.SETTLEMENT_RETRY_BASE_MS) || 10000;
+const SETTLEMENT_RETRY_MAX_MS = parseInt(process.env.SETTLEMENT_RETRY_MAX_MS) || 30 * 60 * 1000;
+// 距離過期不足此區塊數的投注優先結算，且不等待退避重試時間
+const SETTLEMENT_EXPIRY_WARNING_BLOCKS = parseInt(process.env.SETTLEMENT_EXPIRY_WARNING_BLOCKS) || 50;
+
+// 投注結果推導方式（需與合約 settleBet 的實作一致，見 utils/resultDerivation.js）
+// 合約未提供推導方式的查詢接口，三項都必須依已部署合約的原始碼設置，未設置時不提供結果驗證
+const RESULT_DERIVATION = process.env.RESULT_DERIVATION || null;
+const RESULT_MODULUS = parseInt(process.env.RESULT_MODULUS) || null;
+// 結果值大於等於此值為「大」
+const RESULT_BIG_THRESHOLD = parseInt(process.env.RESULT_BIG_THRESHOLD) || null;
+
+// 告警通知：設置後以 POST JSON 發送到此網址，未設置時只寫入日誌
+const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL || null;
+
+// API 角色，依權限由低到高排列：public 公開查詢、operator 運維查詢與隊列操作、admin 合約管理與審計
+const API_ROLES = ['public', 'operator', 'admin'];
+// 配置文件中的 API 金鑰：以逗號分隔的 名稱:角色:金鑰SHA-256，只保存雜湊值，
+// 可用 node scripts/manage-api-keys.js hash 產生；數據庫中的金鑰以同一腳本創建、輪換與撤銷
+const API_KEYS = parseList(process.env.API_KEYS, null)
+  .map((entry) => {
+    const [name, role, keyHash] = entry.split(':');
+    if (!name || !API_ROLES.includes(role) || !/^[0-9a-f]{64}$/i.test(keyHash || '')) {
+      console.warn('API_KEYS 中有格式錯誤的項目（應為 名稱:角色:金鑰SHA-256），已忽略');
+      return null;
+    }
+    return { name, role, keyHash: keyHash.toLowerCase() };
+  })
+  .filter(Boolean);
+if (process.env.ADMIN_API_KEYS) {
+  console.warn('ADMIN_API_KEYS 已不再使用（金鑰不能以明文保存），請改用 API_KEYS 或 scripts/manage-api-keys.js');
+}
+// 數據庫中的金鑰驗證結果快取時間，撤銷金鑰最遲在此時間後生效
+const API_KEY_CACHE_MS = parseInt(process.env.API_KEY_CACHE_MS) || 60 * 1000;
+// 輪換金鑰時舊金鑰的默認保留時間（小時）
+const API_KEY_ROTATION_GRACE_HOURS = parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24;
+
+// 允許跨域請求的前端網址（逗號分隔），未設置時不允許跨域請求
+const CORS_ORIGINS = parseList(process.env.FRONTEND_URL, null).map(url => url.replace(/\/+$/, ''));
+
+/**
+ * 從網址取得主機名稱（含端口）
+ * @param {string|undefined} url 網址
+ * @returns {string|null} 主機名稱，無效時返回 null
+ */
+const hostOf = (url) => {
+  try {
+    return url ? new URL(url).host : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Sign-In with Ethereum (EIP-4361)：簽名訊息中的 domain 必須與此相同，未設置時使用 FRONTEND_URL 的第一個網址的主機名稱
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || hostOf(CORS_ORIGINS[0]);
+// 登入 nonce 的有效時間，簽名訊息的 Issued At 也不能早於此時間
+const SIWE_NONCE_TTL_MS = parseInt(process.env.SIWE_NONCE_TTL_MS) || 10 * 60 * 1000;
+// 玩家會話的有效時間（簽名訊息的 Expiration Time 較早時以其為準）
+const SIWE_SESSION_TTL_MS = parseInt(process.env.SIWE_SESSION_TTL_MS) || 24 * 60 * 60 * 1000;
+
+// 調用合約管理函數的錢包地址（需為合約 owner），必須在簽名後端的錢包中；此錢包不再用於結算，避免 nonce 衝突
+const ADMIN_SIGNER_ADDRESS = process.env.ADMIN_SIGNER_ADDRESS || null;
+// 管理交易需要的確認數與等待確認的最長時間
+const ADMIN_TX_CONFIRMATIONS = parseInt(process.env.ADMIN_TX_CONFIRMATIONS) || 1;
+const ADMIN_TX_TIMEOUT_MS = parseInt(process.env.ADMIN_TX_TIMEOUT_MS) || 3 * 60 * 1000;
+
 // 引入合約 ABI
 const CONTRACT_ABI = [
   // 添加新增的函數
@@ -235,6 +353,34 @@ const CONTRACT_ABI = [
     ],
     "stateMutability": "view",
     "type": "function"
+  },
+  // 揭示延遲（區塊數）
+  {
+    "inputs": [],
+    "name": "revealDelay",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  // 投注提交後可結算的最大區塊數
+  {
+    "inputs": [],
+    "name": "maxCommitAge",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
   }
 ];
 
@@ -243,5 +389,49 @@ module.exports = {
   CONTRACT_ABI,
   RPC_URL,
   RPC_WSS_URL,
-  SETTLER_PRIVATE_KEY
+  RPC_URLS,
+  RPC_WSS_URLS,
+  RPC_MAX_BLOCK_LAG,
+  SETTLER_PRIVATE_KEY,
+  SETTLER_PRIVATE_KEYS,
+  SETTLER_SIGNER_BACKEND,
+  SETTLER_KEYSTORE_FILES,
+  SETTLER_KEYSTORE_PASSPHRASE_FILE,
+  SETTLER_REMOTE_SIGNER_URL,
+  SETTLER_REMOTE_SIGNER_ADDRESSES,
+  SETTLER_REMOTE_SIGNER_TOKEN,
+  SETTLER_MIN_BALANCE,
+  SETTLER_POOL_LOW_BALANCE,
+  SETTLER_BALANCE_CHECK_INTERVAL_MS,
+  INSTANCE_ID,
+  LEADER_LEASE_MS,
+  LEADER_RENEW_INTERVAL_MS,
+  INDEXER_START_BLOCK,
+  INDEXER_BATCH_SIZE,
+  REINDEX_MAX_CONCURRENT_JOBS,
+  CONFIRMATION_DEPTH,
+  SETTLEMENT_MAX_CONCURRENT,
+  SETTLEMENT_STUCK_TIMEOUT_MS,
+  SETTLEMENT_FEE_BUMP_PERCENT,
+  SETTLEMENT_MAX_REPLACEMENTS,
+  SETTLEMENT_MAX_FEE_GWEI,
+  SETTLEMENT_MAX_ATTEMPTS,
+  SETTLEMENT_RETRY_BASE_MS,
+  SETTLEMENT_RETRY_MAX_MS,
+  SETTLEMENT_EXPIRY_WARNING_BLOCKS,
+  RESULT_DERIVATION,
+  RESULT_MODULUS,
+  RESULT_BIG_THRESHOLD,
+  ALERT_WEBHOOK_URL,
+  API_ROLES,
+  API_KEYS,
+  API_KEY_CACHE_MS,
+  API_KEY_ROTATION_GRACE_HOURS,
+  CORS_ORIGINS,
+  SIWE_DOMAIN,
+  SIWE_NONCE_TTL_MS,
+  SIWE_SESSION_TTL_MS,
+  ADMIN_SIGNER_ADDRESS,
+  ADMIN_TX_CONFIRMATIONS,
+  ADMIN_TX_TIMEOUT_MS
 };
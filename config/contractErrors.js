@@ -0,0 +1,79 @@
+/**
+ * 合約回退原因配置
+ * 結算前模擬 settleBet 時，依回退原因決定如何處理投注：
+ *   drop     投注無需或無法再結算，移出待處理列表
+ *   retry    暫時性失敗，依退避時間重試
+ *   escalate 無法自動處理，移入死信並發出告警
+ *
+ * 透過 CONTRACT_ERRORS_FILE 指定 JSON 配置文件以擴充合約的自訂錯誤與處理方式，格式如下：
+ *
+ * {
+ *   "errors": ["error BetNotFound(uint32 roomId, address player)"],
+ *   "actions": { "BetNotFound": "drop" },
+ *   "reasons": [{ "match": "Too early", "action": "retry" }]
+ * }
+ *
+ * errors 為自訂錯誤的 ABI（可讀格式或 JSON 片段），actions 以錯誤名稱指定處理方式，
+ * reasons 以 require 回退字符串的片段（不區分大小寫）指定處理方式，優先於預設規則
+ */
+const fs = require('fs');
+const path = require('path');
+
+// 回退處理方式
+const REVERT_ACTIONS = ['drop', 'retry', 'escalate'];
+
+// 預設的 require 回退字符串規則
+const DEFAULT_REASON_RULES = [
+  { match: 'No valid bet found', action: 'drop' },
+  { match: 'already processed', action: 'drop' },
+  { match: 'executed', action: 'drop' }
+];
+
+/**
+ * 校驗處理方式
+ * @param {string} action 處理方式
+ * @param {string} source 配置來源（用於錯誤信息）
+ * @returns {string} 處理方式
+ */
+function validateAction(action, source) {
+  if (!REVERT_ACTIONS.includes(action)) {
+    throw new Error(`${source} 的處理方式無效: ${action}，可選值為 ${REVERT_ACTIONS.join(', ')}`);
+  }
+  return action;
+}
+
+/**
+ * 讀取合約回退原因配置
+ * @returns {{errors: Array, actions: Object, reasons: Array}} 回退原因配置
+ */
+function loadContractErrors() {
+  const filePath = process.env.CONTRACT_ERRORS_FILE;
+  if (!filePath) {
+    return { errors: [], actions: {}, reasons: DEFAULT_REASON_RULES };
+  }
+
+  const config = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+
+  const actions = {};
+  for (const [name, action] of Object.entries(config.actions || {})) {
+    actions[name] = validateAction(action, `自訂錯誤 ${name}`);
+  }
+
+  const reasons = (config.reasons || []).map((rule) => {
+    if (!rule.match || typeof rule.match !== 'string') {
+      throw new Error(`回退字符串規則缺少 match: ${JSON.stringify(rule)}`);
+    }
+    return { match: rule.match, action: validateAction(rule.action, `回退字符串 "${rule.match}"`) };
+  });
+
+  return {
+    errors: config.errors || [],
+    actions,
+    reasons: [...reasons, ...DEFAULT_REASON_RULES]
+  };
+}
+
+module.exports = {
+  REVERT_ACTIONS,
+  loadContractErrors
+};
@@ -0,0 +1,104 @@
+/**
+ * 合約部署配置
+ * 每個部署（鏈 + 合約地址）各自擁有事件監聽與結算流程。
+ * 透過 DEPLOYMENTS_FILE 指定 JSON 配置文件，格式如下：
+ *
+ * [
+ *   {
+ *     "name": "mainnet",
+ *     "chainId": 1,
+ *     "contractAddress": "0x...",
+ *     "startBlock": 19000000,
+ *     "rpcUrls": ["https://..."],
+ *     "rpcWssUrls": ["wss://..."]
+ *   }
+ * ]
+ *
+ * 未設置時沿用 CONTRACT_ADDRESS、RPC_URL(S)、RPC_WSS_URL(S)、INDEXER_START_BLOCK 組成單一部署，
+ * 可選的 CHAIN_ID 用於校驗節點所在的鏈
+ */
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+  CONTRACT_ADDRESS,
+  RPC_URLS,
+  RPC_WSS_URLS,
+  INDEXER_START_BLOCK
+} = require('./contract');
+
+/**
+ * 校驗並標準化單一部署配置
+ * @param {Object} deployment 部署配置
+ * @param {number} index 在配置中的位置
+ * @returns {Object} 標準化後的部署配置
+ */
+function normalizeDeployment(deployment, index) {
+  const name = deployment.name || `deployment-${index}`;
+
+  if (!deployment.contractAddress || !ethers.isAddress(deployment.contractAddress)) {
+    throw new Error(`部署 ${name} 的合約地址無效: ${deployment.contractAddress}`);
+  }
+
+  const toList = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean);
+  const rpcUrls = toList(deployment.rpcUrls);
+  const rpcWssUrls = toList(deployment.rpcWssUrls);
+
+  if (rpcUrls.length === 0 || rpcWssUrls.length === 0) {
+    throw new Error(`部署 ${name} 至少需要一個 HTTP 與一個 WebSocket RPC 節點`);
+  }
+
+  const chainId = deployment.chainId !== undefined && deployment.chainId !== null ? Number(deployment.chainId) : null;
+  const startBlock = deployment.startBlock !== undefined && deployment.startBlock !== null ? Number(deployment.startBlock) : null;
+
+  return {
+    name,
+    chainId,
+    contractAddress: ethers.getAddress(deployment.contractAddress),
+    startBlock,
+    rpcUrls,
+    rpcWssUrls
+  };
+}
+
+/**
+ * 讀取部署配置
+ * @returns {Object[]} 部署配置列表
+ */
+function loadDeployments() {
+  let deployments;
+
+  if (process.env.DEPLOYMENTS_FILE) {
+    const filePath = path.resolve(process.env.DEPLOYMENTS_FILE);
+    deployments = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (!Array.isArray(deployments) || deployments.length === 0) {
+      throw new Error(`部署配置文件 ${filePath} 必須是非空陣列`);
+    }
+  } else {
+    deployments = [{
+      name: 'default',
+      chainId: process.env.CHAIN_ID ? parseInt(process.env.CHAIN_ID) : null,
+      contractAddress: CONTRACT_ADDRESS,
+      startBlock: INDEXER_START_BLOCK,
+      rpcUrls: RPC_URLS,
+      rpcWssUrls: RPC_WSS_URLS
+    }];
+  }
+
+  const normalized = deployments.map(normalizeDeployment);
+
+  const names = new Set();
+  for (const deployment of normalized) {
+    if (names.has(deployment.name)) {
+      throw new Error(`部署名稱重複: ${deployment.name}`);
+    }
+    names.add(deployment.name);
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  loadDeployments
+};
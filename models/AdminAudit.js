@@ -0,0 +1,124 @@
+/**
+ * 管理操作審計記錄模型
+ * 透過管理 API 調用合約管理函數或操作待處理投注隊列時，每個階段各追加一筆記錄，以 requestId 串連同一次調用。
+ * 記錄只能新增，不能修改或刪除
+ */
+const mongoose = require('mongoose');
+
+const adminAuditSchema = new mongoose.Schema({
+  // 同一次調用的請求 ID
+  requestId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // 所屬部署
+  deployment: {
+    type: String,
+    default: null
+  },
+  chainId: {
+    type: Number,
+    default: null
+  },
+  contractAddress: {
+    type: String,
+    default: null
+  },
+
+  // 調用者身份 {name, role, keyPrefix, source, ip, userAgent}
+  caller: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // 合約管理函數：setFeePercent、setBlockParams、withdrawPlatformEarnings，
+  // 或隊列操作：forceSettle、dropPendingBet、requeueBet、pauseSettlement、resumeSettlement
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // 調用參數
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // 階段：
+  // requested 收到請求、rejected 靜態調用回退未發送、submitted 已發送交易、
+  // confirmed 交易已確認、failed 交易失敗或回退、timeout 等待確認超時（交易仍可能上鏈）、
+  // completed 隊列操作已生效（隊列操作未生效時為 rejected）
+  stage: {
+    type: String,
+    enum: ['requested', 'rejected', 'submitted', 'confirmed', 'failed', 'timeout', 'completed'],
+    required: true
+  },
+
+  // 發送交易的管理錢包地址
+  signer: {
+    type: String,
+    default: null
+  },
+
+  // 交易信息
+  transactionHash: {
+    type: String,
+    default: null,
+    index: true
+  },
+  nonce: {
+    type: Number,
+    default: null
+  },
+  blockNumber: {
+    type: Number,
+    default: null
+  },
+  gasUsed: {
+    type: String,
+    default: null
+  },
+
+  // 解碼後的回退原因
+  revertReason: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // 錯誤信息（隊列操作未生效時為原因）
+  error: {
+    type: String,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+adminAuditSchema.index({ 'caller.name': 1, createdAt: -1 });
+
+// 審計記錄只能追加：禁止修改與刪除
+const rejectMutation = function (next) {
+  next(new Error('管理操作審計記錄只能新增，不能修改或刪除'));
+};
+
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove']) {
+  adminAuditSchema.pre(operation, { document: true, query: true }, rejectMutation);
+}
+
+adminAuditSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('管理操作審計記錄只能新增，不能修改或刪除'));
+  }
+  next();
+});
+
+const AdminAudit = mongoose.model('AdminAudit', adminAuditSchema);
+
+module.exports = AdminAudit;
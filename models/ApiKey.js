@@ -0,0 +1,68 @@
+/**
+ * API 金鑰模型
+ * 只保存金鑰的 SHA-256 雜湊值與前綴，明文金鑰只在創建時顯示一次；
+ * 以 scripts/manage-api-keys.js 創建、輪換與撤銷
+ */
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+  // 金鑰名稱，作為審計記錄中的操作者身份；輪換後新舊金鑰同名
+  name: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // 角色：public、operator、admin
+  role: {
+    type: String,
+    enum: ['public', 'operator', 'admin'],
+    required: true
+  },
+
+  // 金鑰 SHA-256 雜湊值（十六進制）
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // 金鑰前綴，用於辨識金鑰而不洩露金鑰
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+
+  // 過期時間，輪換後舊金鑰在保留時間結束時過期；null 表示不過期
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // 撤銷時間
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  // 輪換時由此金鑰取代的舊金鑰前綴
+  rotatedFrom: {
+    type: String,
+    default: null
+  },
+
+  // 最近一次驗證通過的時間（依驗證快取時間更新）
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,32 @@
+/**
+ * 登入 nonce 模型
+ * 伺服器發出的 Sign-In with Ethereum nonce，登入時刪除以確保只能使用一次，過期後由 TTL 索引自動清除
+ */
+const mongoose = require('mongoose');
+
+const authNonceSchema = new mongoose.Schema({
+  // 隨機 nonce（英數字）
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // 過期時間
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 過期後自動刪除
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthNonce = mongoose.model('AuthNonce', authNonceSchema);
+
+module.exports = AuthNonce;
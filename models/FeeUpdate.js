@@ -0,0 +1,65 @@
+/**
+ * 手續費更新記錄模型
+ * 每筆合約 FeeUpdated 事件一筆記錄，用於查詢任一區塊生效的手續費比例
+ */
+const mongoose = require('mongoose');
+
+const feeUpdateSchema = new mongoose.Schema({
+  // 所屬部署
+  chainId: {
+    type: Number,
+    default: null
+  },
+  contractAddress: {
+    type: String,
+    default: null
+  },
+
+  // 莊家手續費比例（百分比）
+  bankerFee: {
+    type: Number,
+    required: true
+  },
+
+  // 玩家贏錢手續費比例（百分比）
+  playerFee: {
+    type: Number,
+    required: true
+  },
+
+  // 鏈上日誌位置
+  transactionHash: {
+    type: String,
+    required: true
+  },
+  logIndex: {
+    type: Number,
+    required: true
+  },
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  eventBlockHash: {
+    type: String,
+    default: null
+  },
+  blockTimestamp: {
+    type: Number,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 以鏈上日誌的 (transactionHash, logIndex) 作為事件唯一識別
+feeUpdateSchema.index({ transactionHash: 1, logIndex: 1 }, { unique: true });
+// 用於查找某個區塊生效的手續費
+feeUpdateSchema.index({ chainId: 1, contractAddress: 1, blockNumber: -1, logIndex: -1 });
+
+const FeeUpdate = mongoose.model('FeeUpdate', feeUpdateSchema);
+
+module.exports = FeeUpdate;
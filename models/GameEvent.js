@@ -80,13 +80,27 @@ const gameEventSchema = new mongoose.Schema({
     default: null
   },
   
-  // 投注ID (BetSettled 事件)
+  // 投注ID（BetPlaced 事件於下注時從合約 playerBets 讀取，BetSettled 事件由事件參數提供）
   betId: {
     type: String,
     default: null,
     index: true
   },
   
+  // 鏈 ID（舊記錄沒有此欄位，需執行 scripts/tag-events-deployment.js 補上）
+  chainId: {
+    type: Number,
+    default: null,
+    index: true
+  },
+  
+  // 合約地址（校驗和格式）
+  contractAddress: {
+    type: String,
+    default: null,
+    index: true
+  },
+  
   // 交易哈希
   transactionHash: {
     type: String,
@@ -101,6 +115,20 @@ const gameEventSchema = new mongoose.Schema({
     index: true
   },
   
+  // 事件所在區塊的哈希（用於檢測鏈重組）
+  eventBlockHash: {
+    type: String,
+    default: null
+  },
+  
+  // 確認狀態：unconfirmed 表示尚未達到確認深度，可能因鏈重組被回滾
+  confirmationStatus: {
+    type: String,
+    enum: ['unconfirmed', 'confirmed'],
+    default: 'unconfirmed',
+    index: true
+  },
+  
   // 區塊時間戳
   blockTimestamp: {
     type: Number,
@@ -120,6 +148,46 @@ const gameEventSchema = new mongoose.Schema({
     index: true
   },
   
+  // 結算時生效的手續費比例（BetSettled 事件），尚未索引到任何 FeeUpdated 事件時為 null
+  // {bankerFee, playerFee, effectiveFromBlock, transactionHash}
+  feeRates: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  
+  // 結算狀態（BetPlaced 事件）：
+  // settled 已結算、stale 鏈上已無對應的未結算投注、
+  // superseded 被同一房間的新投注取代、rejected 合約拒絕結算、
+  // expired 超過 maxCommitAge 或 blockhash 可用範圍而無法結算，需人工處理退款、
+  // dropped 透過管理 API 人工移出待處理列表
+  settlementStatus: {
+    type: String,
+    enum: [null, 'settled', 'stale', 'superseded', 'rejected', 'expired', 'dropped'],
+    default: null,
+    index: true
+  },
+  
+  // 結算狀態說明
+  settlementNote: {
+    type: String,
+    default: null
+  },
+  
+  // 事件中的提交區塊/揭示區塊與本地依 revealDelay 推算的不一致（BetPlaced 事件），排程以事件為準
+  // {eventBlock, commitBlock, revealBlock, expectedCommitBlock, expectedRevealBlock, revealDelay, detectedAt}
+  revealBlockDiscrepancy: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  
+  // 孤兒事件原因：bet_id_unresolved（無法取得投注 betId）、unmatched_settlement（找不到對應投注的結算）
+  orphanReason: {
+    type: String,
+    enum: [null, 'bet_id_unresolved', 'unmatched_settlement'],
+    default: null,
+    index: true
+  },
+  
   // 對應的事件（BetPlaced 事件對應的 BetSettled ID，或反之）
   relatedEventId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -137,9 +205,16 @@ const gameEventSchema = new mongoose.Schema({
 
 // 創建複合索引
 gameEventSchema.index({ roomId: 1, player: 1, eventType: 1 });
-// 移除唯一約束，防止重複鍵錯誤
 gameEventSchema.index({ blockNumber: 1, logIndex: 1 });
+// 以鏈上日誌的 (transactionHash, logIndex) 作為事件唯一識別
+// 舊版本寫入的空交易哈希記錄不參與唯一約束，需先執行 scripts/dedupe-events.js 清理重複記錄
+gameEventSchema.index(
+  { transactionHash: 1, logIndex: 1 },
+  { unique: true, partialFilterExpression: { transactionHash: { $gt: '' } } }
+);
 gameEventSchema.index({ player: 1, createdAt: -1 }); // 用於快速查詢玩家的遊戲記錄
+gameEventSchema.index({ chainId: 1, contractAddress: 1, player: 1, eventType: 1 }); // 按部署查詢玩家記錄
+gameEventSchema.index({ chainId: 1, contractAddress: 1, roomId: 1, eventType: 1 }); // 按部署查詢房間記錄
 
 // 虛擬屬性 - 玩家可閱讀的投注時間
 gameEventSchema.virtual('formattedTime').get(function() {
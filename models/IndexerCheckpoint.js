@@ -0,0 +1,30 @@
+/**
+ * 索引器檢查點模型
+ * 記錄歷史事件回補索引器最後完成索引的區塊，服務重啟後從此處繼續
+ */
+const mongoose = require('mongoose');
+
+const indexerCheckpointSchema = new mongoose.Schema({
+  // 檢查點識別鍵（例如 backfill:<合約地址>）
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // 最後完成索引的區塊號
+  lastBlock: {
+    type: Number,
+    required: true
+  },
+
+  // 最後更新時間
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const IndexerCheckpoint = mongoose.model('IndexerCheckpoint', indexerCheckpointSchema);
+
+module.exports = IndexerCheckpoint;
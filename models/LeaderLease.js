@@ -0,0 +1,41 @@
+/**
+ * 領導者租約模型
+ * 多個服務副本以租約競選同一部署的結算者，持有未過期租約的副本負責發送結算交易
+ */
+const mongoose = require('mongoose');
+
+const leaderLeaseSchema = new mongoose.Schema({
+  // 租約名稱，例如 settler:<chainId>:<contractAddress>
+  _id: {
+    type: String,
+    required: true
+  },
+
+  // 持有租約的實例 ID
+  holder: {
+    type: String,
+    required: true
+  },
+
+  // 租約到期時間，持有者需在到期前續約，過期後其他實例可接手
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // 當前持有者取得租約的時間
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // 最後一次續約時間
+  renewedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const LeaderLease = mongoose.model('LeaderLease', leaderLeaseSchema);
+
+module.exports = LeaderLease;
@@ -0,0 +1,41 @@
+/**
+ * 玩家資料模型
+ * 玩家的隱私與個人設置，只有登入的玩家本人可以查看與修改；
+ * 設為私密的玩家，遊戲記錄只對本人開放
+ */
+const mongoose = require('mongoose');
+
+const playerProfileSchema = new mongoose.Schema({
+  // 玩家地址（校驗和格式）
+  address: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // 是否為私密資料：遊戲記錄只對本人開放
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+
+  // 個人設置（由前端定義的鍵值）
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const PlayerProfile = mongoose.model('PlayerProfile', playerProfileSchema);
+
+module.exports = PlayerProfile;
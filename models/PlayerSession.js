@@ -0,0 +1,56 @@
+/**
+ * 玩家會話模型
+ * 玩家以 Sign-In with Ethereum 登入後建立，只保存會話令牌的 SHA-256 雜湊值，
+ * 登出時刪除，過期後由 TTL 索引自動清除
+ */
+const mongoose = require('mongoose');
+
+const playerSessionSchema = new mongoose.Schema({
+  // 會話令牌 SHA-256 雜湊值（十六進制）
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // 登入的玩家地址（校驗和格式）
+  address: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // 簽名訊息中的鏈 ID
+  chainId: {
+    type: Number,
+    required: true
+  },
+
+  // 簽名訊息的 domain 與 nonce
+  domain: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+
+  // 過期時間
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 過期後自動刪除
+playerSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PlayerSession = mongoose.model('PlayerSession', playerSessionSchema);
+
+module.exports = PlayerSession;
@@ -0,0 +1,132 @@
+/**
+ * 結算交易嘗試模型
+ * 每一筆送出的 settleBet 交易（包括提高手續費後的替換交易）各記錄一筆，
+ * 用於追蹤每筆投注的結算經過
+ */
+const mongoose = require('mongoose');
+
+const settlementAttemptSchema = new mongoose.Schema({
+  // 所屬部署
+  chainId: {
+    type: Number,
+    required: true
+  },
+  contractAddress: {
+    type: String,
+    required: true
+  },
+
+  // 待處理投注鍵（BetPlaced 日誌的 transactionHash-logIndex）
+  betKey: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // 房間ID
+  roomId: {
+    type: Number,
+    required: true
+  },
+
+  // 玩家地址
+  player: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // 投注ID
+  betId: {
+    type: String,
+    default: null,
+    index: true
+  },
+
+  // 結算錢包地址
+  from: {
+    type: String,
+    required: true
+  },
+
+  // 交易 nonce，替換交易沿用相同 nonce
+  nonce: {
+    type: Number,
+    required: true
+  },
+
+  // 交易哈希
+  transactionHash: {
+    type: String,
+    default: null,
+    index: true
+  },
+
+  // 被此交易替換的前一筆交易哈希
+  replacesTransactionHash: {
+    type: String,
+    default: null
+  },
+
+  // 手續費（wei 字符串），EIP-1559 交易使用 maxFeePerGas / maxPriorityFeePerGas，舊式交易使用 gasPrice
+  maxFeePerGas: {
+    type: String,
+    default: null
+  },
+  maxPriorityFeePerGas: {
+    type: String,
+    default: null
+  },
+  gasPrice: {
+    type: String,
+    default: null
+  },
+  gasLimit: {
+    type: String,
+    default: null
+  },
+
+  // 狀態：pending 等待確認、confirmed 已確認成功、failed 已上鏈但執行失敗、
+  // replaced 已被提高手續費的交易替換、dropped 同一 nonce 的其他交易已上鏈、send_failed 發送失敗
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'failed', 'replaced', 'dropped', 'send_failed'],
+    default: 'pending',
+    index: true
+  },
+
+  // 錯誤信息
+  error: {
+    type: String,
+    default: null
+  },
+
+  // 交易收據信息
+  receiptBlockNumber: {
+    type: Number,
+    default: null
+  },
+  gasUsed: {
+    type: String,
+    default: null
+  },
+
+  // 發送時間
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // 結束時間（確認、失敗、被替換或丟棄）
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+settlementAttemptSchema.index({ chainId: 1, contractAddress: 1, from: 1, status: 1 });
+settlementAttemptSchema.index({ betKey: 1, sentAt: -1 });
+
+const SettlementAttempt = mongoose.model('SettlementAttempt', settlementAttemptSchema);
+
+module.exports = SettlementAttempt;
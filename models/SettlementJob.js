@@ -0,0 +1,115 @@
+/**
+ * 結算任務模型
+ * 每筆待結算投注對應一個任務，記錄重試次數、最後錯誤與下次重試時間，
+ * 多次失敗後移入死信狀態，等待人工重試或捨棄
+ */
+const mongoose = require('mongoose');
+
+const settlementJobSchema = new mongoose.Schema({
+  // 所屬部署
+  chainId: {
+    type: Number,
+    required: true
+  },
+  contractAddress: {
+    type: String,
+    required: true
+  },
+
+  // 待處理投注鍵（BetPlaced 日誌的 transactionHash-logIndex）
+  betKey: {
+    type: String,
+    required: true
+  },
+
+  // BetPlaced 日誌位置
+  transactionHash: {
+    type: String,
+    required: true
+  },
+  logIndex: {
+    type: Number,
+    required: true
+  },
+
+  // 房間ID
+  roomId: {
+    type: Number,
+    required: true
+  },
+
+  // 玩家地址
+  player: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // 投注ID
+  betId: {
+    type: String,
+    default: null
+  },
+
+  // 揭示區塊號
+  revealBlock: {
+    type: Number,
+    default: null
+  },
+
+  // 狀態：pending 等待結算、completed 已結算、cancelled 無需結算（被取代、過時或被合約拒絕）、
+  // dead 多次失敗後移入死信、discarded 死信任務已被人工捨棄
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'cancelled', 'dead', 'discarded'],
+    default: 'pending',
+    index: true
+  },
+
+  // 失敗次數
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // 最後一次失敗的錯誤信息
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  // 最後一次模擬結算的回退原因 {kind, name, args, message, selector, action}
+  revertReason: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // 下次可重試的時間
+  nextRetryAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // 狀態說明（取消、捨棄原因等）
+  note: {
+    type: String,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+settlementJobSchema.index({ chainId: 1, contractAddress: 1, betKey: 1 }, { unique: true });
+settlementJobSchema.index({ status: 1, updatedAt: -1 });
+
+const SettlementJob = mongoose.model('SettlementJob', settlementJobSchema);
+
+module.exports = SettlementJob;
@@ -0,0 +1,49 @@
+/**
+ * 結算暫停模型
+ * 每個部署最多一筆，存在即表示暫停發送結算交易；所有實例共用，
+ * 結算者在每次檢查待處理投注與立即結算前讀取，恢復時刪除
+ */
+const mongoose = require('mongoose');
+
+const settlementPauseSchema = new mongoose.Schema({
+  // 暫停識別鍵，例如 settlement-pause:<chainId>:<contractAddress>
+  _id: {
+    type: String,
+    required: true
+  },
+
+  chainId: {
+    type: Number,
+    required: true
+  },
+
+  contractAddress: {
+    type: String,
+    required: true
+  },
+
+  // 暫停原因與操作者
+  reason: {
+    type: String,
+    required: true
+  },
+  pausedBy: {
+    type: String,
+    required: true
+  },
+
+  pausedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // 自動恢復時間，未設置時需手動恢復
+  resumeAt: {
+    type: Date,
+    default: null
+  }
+});
+
+const SettlementPause = mongoose.model('SettlementPause', settlementPauseSchema);
+
+module.exports = SettlementPause;
@@ -0,0 +1,101 @@
+/**
+ * 簽名審計記錄模型
+ * 結算錢包每一次簽名請求（無論使用哪種簽名後端）各記錄一筆，包括失敗的請求
+ */
+const mongoose = require('mongoose');
+
+const signingAuditSchema = new mongoose.Schema({
+  // 所屬部署名稱
+  deployment: {
+    type: String,
+    default: null
+  },
+
+  // 鏈 ID
+  chainId: {
+    type: Number,
+    default: null
+  },
+
+  // 簽名後端：env（環境變數私鑰）、keystore（加密 keystore）、remote（外部簽名服務）
+  backend: {
+    type: String,
+    enum: ['env', 'keystore', 'remote'],
+    required: true
+  },
+
+  // 簽名錢包地址
+  address: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // 簽名操作：transaction、message、typedData
+  operation: {
+    type: String,
+    enum: ['transaction', 'message', 'typedData'],
+    required: true
+  },
+
+  // 交易信息（transaction 操作）
+  to: {
+    type: String,
+    default: null
+  },
+  nonce: {
+    type: Number,
+    default: null
+  },
+  // 調用的合約方法名稱，無法解碼時為函數選擇器
+  method: {
+    type: String,
+    default: null
+  },
+  // 調用參數（可序列化的字符串形式）
+  args: {
+    type: [String],
+    default: []
+  },
+  value: {
+    type: String,
+    default: null
+  },
+
+  // 簽名後的交易哈希
+  transactionHash: {
+    type: String,
+    default: null,
+    index: true
+  },
+
+  // 是否簽名成功
+  success: {
+    type: Boolean,
+    required: true
+  },
+
+  // 錯誤信息
+  error: {
+    type: String,
+    default: null
+  },
+
+  // 簽名耗時（毫秒）
+  durationMs: {
+    type: Number,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+signingAuditSchema.index({ address: 1, createdAt: -1 });
+
+const SigningAudit = mongoose.model('SigningAudit', signingAuditSchema);
+
+module.exports = SigningAudit;
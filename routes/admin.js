@@ -0,0 +1,431 @@
+/**
+ * 管理 API 路由
+ * 調用合約的管理函數（setFeePercent、setBlockParams、withdrawPlatformEarnings）、
+ * 查看與操作待處理投注隊列、暫停與恢復結算並查詢審計記錄；
+ * 查看隊列與結算狀態需要 operator 角色，其餘操作與審計記錄需要 admin 角色
+ */
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const AdminAudit = require('../models/AdminAudit');
+const { executeAdminCall, ADMIN_ACTIONS } = require('../services/adminContractService');
+const { executeQueueAction, QUEUE_ACTIONS } = require('../services/pendingBetAdmin');
+const { resolveDeploymentQuery } = require('../utils/deploymentQuery');
+const { requireRole } = require('../utils/auth');
+
+router.use(requireRole('operator'));
+const requireAdmin = requireRole('admin');
+
+// 各階段對應的 HTTP 狀態碼：模擬回退或隊列操作未生效 422、等待確認超時 202（交易仍可能上鏈）、失敗 502
+const STAGE_STATUS = {
+  confirmed: 200,
+  completed: 200,
+  timeout: 202,
+  rejected: 422,
+  failed: 502
+};
+
+// 自動恢復前的最長暫停時間（分鐘）
+const MAX_PAUSE_MINUTES = 7 * 24 * 60;
+
+/**
+ * 解析非負整數參數
+ * @param {*} value 參數值
+ * @param {number} [max] 最大值
+ * @returns {number|null} 整數，無效時返回 null
+ */
+function parseNonNegativeInt(value, max = Number.MAX_SAFE_INTEGER) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(number) || number < 0 || number > max) {
+    return null;
+  }
+  return number;
+}
+
+/**
+ * 解析部署、調用合約管理函數並返回結果
+ * @param {Object} req 請求
+ * @param {Object} res 回應
+ * @param {string} action 管理函數名稱
+ * @param {Object} params 已校驗的參數
+ */
+async function handleAdminCall(req, res, action, params) {
+  const deployment = resolveDeploymentQuery(req.query);
+  if (deployment.error) {
+    return res.status(deployment.status).json({ error: deployment.error });
+  }
+
+  if (!deployment.service.contract) {
+    return res.status(503).json({ error: '自動揭示服務尚未初始化，無法調用合約' });
+  }
+
+  const result = await executeAdminCall(deployment.service, action, params, req.auth);
+  res.status(STAGE_STATUS[result.stage] || 500).json({ success: result.stage === 'confirmed', ...result });
+}
+
+/**
+ * 設置手續費比例
+ * POST /api/admin/contract/fee-percent?chainId=1&contract=0x...
+ * Body: { bankerFeePercent: 2, playerWinFeePercent: 3 }
+ */
+router.post('/contract/fee-percent', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const bankerFeePercent = parseNonNegativeInt(body.bankerFeePercent, 100);
+    const playerWinFeePercent = parseNonNegativeInt(body.playerWinFeePercent, 100);
+
+    if (bankerFeePercent === null || playerWinFeePercent === null) {
+      return res.status(400).json({ error: 'bankerFeePercent 與 playerWinFeePercent 必須為 0 到 100 的整數' });
+    }
+
+    await handleAdminCall(req, res, 'setFeePercent', { bankerFeePercent, playerWinFeePercent });
+  } catch (error) {
+    console.error('設置手續費比例失敗:', error);
+    res.status(500).json({ error: '設置手續費比例時發生錯誤' });
+  }
+});
+
+/**
+ * 設置揭示延遲與最大提交區塊數
+ * POST /api/admin/contract/block-params?chainId=1&contract=0x...
+ * Body: { revealDelay: 3, maxCommitAge: 250 }
+ */
+router.post('/contract/block-params', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const revealDelay = parseNonNegativeInt(body.revealDelay);
+    const maxCommitAge = parseNonNegativeInt(body.maxCommitAge);
+
+    if (!revealDelay || !maxCommitAge) {
+      return res.status(400).json({ error: 'revealDelay 與 maxCommitAge 必須為正整數' });
+    }
+
+    if (maxCommitAge <= revealDelay) {
+      return res.status(400).json({ error: 'maxCommitAge 必須大於 revealDelay' });
+    }
+
+    await handleAdminCall(req, res, 'setBlockParams', { revealDelay, maxCommitAge });
+  } catch (error) {
+    console.error('設置區塊參數失敗:', error);
+    res.status(500).json({ error: '設置區塊參數時發生錯誤' });
+  }
+});
+
+/**
+ * 提取平台收益
+ * POST /api/admin/contract/withdraw-earnings?chainId=1&contract=0x...
+ */
+router.post('/contract/withdraw-earnings', requireAdmin, async (req, res) => {
+  try {
+    await handleAdminCall(req, res, 'withdrawPlatformEarnings', {});
+  } catch (error) {
+    console.error('提取平台收益失敗:', error);
+    res.status(500).json({ error: '提取平台收益時發生錯誤' });
+  }
+});
+
+/**
+ * 解析部署並確認自動揭示服務已初始化
+ * @param {Object} req 請求
+ * @param {Object} res 回應
+ * @returns {Object|null} 部署的自動揭示服務，已回應錯誤時返回 null
+ */
+function resolveServiceForAdmin(req, res) {
+  const deployment = resolveDeploymentQuery(req.query);
+  if (deployment.error) {
+    res.status(deployment.status).json({ error: deployment.error });
+    return null;
+  }
+
+  if (!deployment.service.contract) {
+    res.status(503).json({ error: '自動揭示服務尚未初始化' });
+    return null;
+  }
+
+  return deployment.service;
+}
+
+/**
+ * 解析部署並確認本實例持有待處理投注隊列
+ * 只有結算者實例持有隊列，其他實例返回 409 並指出結算者
+ * @param {Object} req 請求
+ * @param {Object} res 回應
+ * @returns {Object|null} 部署的自動揭示服務，已回應錯誤時返回 null
+ */
+function resolveQueueService(req, res) {
+  const autoRevealService = resolveServiceForAdmin(req, res);
+  if (!autoRevealService) {
+    return null;
+  }
+
+  if (!autoRevealService.isLeader()) {
+    const leader = autoRevealService.getLeaderStatus();
+    res.status(409).json({
+      error: '本實例不是此部署的結算者，請向結算者實例發送請求',
+      leader: leader ? leader.holder : null
+    });
+    return null;
+  }
+
+  return autoRevealService;
+}
+
+/**
+ * 執行隊列操作並返回結果
+ * @param {Object} req 請求
+ * @param {Object} res 回應
+ * @param {Object} autoRevealService 部署的自動揭示服務
+ * @param {string} action 隊列操作名稱
+ * @param {Object} params 已校驗的參數
+ */
+async function handleQueueAction(req, res, autoRevealService, action, params) {
+  const result = await executeQueueAction(autoRevealService, action, params, req.auth);
+  res.status(STAGE_STATUS[result.stage] || 500).json({ success: result.stage === 'completed', ...result });
+}
+
+/**
+ * 獲取待處理投注隊列
+ * GET /api/admin/pending-bets?chainId=1&contract=0x...
+ */
+router.get('/pending-bets', async (req, res) => {
+  try {
+    const autoRevealService = resolveQueueService(req, res);
+    if (!autoRevealService) {
+      return;
+    }
+
+    const currentBlock = await autoRevealService.httpProvider.getBlockNumber();
+    const bets = autoRevealService.getPendingBetsSnapshot(currentBlock)
+      .sort((a, b) => a.revealBlock - b.revealBlock);
+
+    res.json({
+      deployment: autoRevealService.name,
+      currentBlock,
+      total: bets.length,
+      bets
+    });
+  } catch (error) {
+    console.error('獲取待處理投注隊列失敗:', error);
+    res.status(500).json({ error: '獲取待處理投注隊列時發生錯誤' });
+  }
+});
+
+/**
+ * 立即嘗試結算待處理投注
+ * POST /api/admin/pending-bets/:key/settle?chainId=1&contract=0x...
+ */
+router.post('/pending-bets/:key/settle', requireAdmin, async (req, res) => {
+  try {
+    const autoRevealService = resolveQueueService(req, res);
+    if (!autoRevealService) {
+      return;
+    }
+
+    const { key } = req.params;
+    if (!autoRevealService.pendingBets.has(key)) {
+      return res.status(404).json({ error: '待處理列表中找不到此投注' });
+    }
+
+    if (!autoRevealService.settlerPool) {
+      return res.status(503).json({ error: '結算錢包池未運行，無法結算' });
+    }
+
+    await handleQueueAction(req, res, autoRevealService, 'forceSettle', { key });
+  } catch (error) {
+    console.error('立即結算投注失敗:', error);
+    res.status(500).json({ error: '立即結算投注時發生錯誤' });
+  }
+});
+
+/**
+ * 將投注移出待處理列表
+ * POST /api/admin/pending-bets/:key/drop?chainId=1&contract=0x...
+ * Body: { reason: "玩家已線下退款" }
+ */
+router.post('/pending-bets/:key/drop', requireAdmin, async (req, res) => {
+  try {
+    const reason = typeof (req.body || {}).reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ error: '必須提供移除原因 reason' });
+    }
+
+    const autoRevealService = resolveQueueService(req, res);
+    if (!autoRevealService) {
+      return;
+    }
+
+    const { key } = req.params;
+    if (!autoRevealService.pendingBets.has(key)) {
+      return res.status(404).json({ error: '待處理列表中找不到此投注' });
+    }
+
+    await handleQueueAction(req, res, autoRevealService, 'dropPendingBet', { key, reason });
+  } catch (error) {
+    console.error('移除待處理投注失敗:', error);
+    res.status(500).json({ error: '移除待處理投注時發生錯誤' });
+  }
+});
+
+/**
+ * 依 BetPlaced 記錄將投注重新加入待處理列表
+ * POST /api/admin/pending-bets?chainId=1&contract=0x...
+ * Body: { eventId: "..." }
+ */
+router.post('/pending-bets', requireAdmin, async (req, res) => {
+  try {
+    const { eventId } = req.body || {};
+    if (typeof eventId !== 'string' || !mongoose.isValidObjectId(eventId)) {
+      return res.status(400).json({ error: '無效的事件 ID' });
+    }
+
+    const autoRevealService = resolveQueueService(req, res);
+    if (!autoRevealService) {
+      return;
+    }
+
+    await handleQueueAction(req, res, autoRevealService, 'requeueBet', { eventId });
+  } catch (error) {
+    console.error('重新加入投注失敗:', error);
+    res.status(500).json({ error: '重新加入投注時發生錯誤' });
+  }
+});
+
+/**
+ * 獲取結算暫停狀態
+ * GET /api/admin/settlement?chainId=1&contract=0x...
+ */
+router.get('/settlement', async (req, res) => {
+  try {
+    const autoRevealService = resolveServiceForAdmin(req, res);
+    if (!autoRevealService) {
+      return;
+    }
+
+    await autoRevealService.refreshSettlementPause();
+    res.json({
+      deployment: autoRevealService.name,
+      role: autoRevealService.isLeader() ? 'leader' : 'follower',
+      ...autoRevealService.getSettlementPauseStatus()
+    });
+  } catch (error) {
+    console.error('獲取結算暫停狀態失敗:', error);
+    res.status(500).json({ error: '獲取結算暫停狀態時發生錯誤' });
+  }
+});
+
+/**
+ * 暫停發送結算交易，事件索引照常進行
+ * 暫停狀態保存在數據庫中，可由任一實例設置，結算者在下次檢查待處理投注時停止發送
+ * POST /api/admin/settlement/pause?chainId=1&contract=0x...
+ * Body: { reason: "補充結算錢包餘額", resumeAfterMinutes: 30 }
+ */
+router.post('/settlement/pause', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ error: '必須提供暫停原因 reason' });
+    }
+
+    let resumeAfterMinutes = null;
+    if (body.resumeAfterMinutes !== undefined && body.resumeAfterMinutes !== null) {
+      resumeAfterMinutes = parseNonNegativeInt(body.resumeAfterMinutes, MAX_PAUSE_MINUTES);
+      if (!resumeAfterMinutes) {
+        return res.status(400).json({ error: `resumeAfterMinutes 必須為 1 到 ${MAX_PAUSE_MINUTES} 的整數` });
+      }
+    }
+
+    const autoRevealService = resolveServiceForAdmin(req, res);
+    if (!autoRevealService) {
+      return;
+    }
+
+    await handleQueueAction(req, res, autoRevealService, 'pauseSettlement', { reason, resumeAfterMinutes });
+  } catch (error) {
+    console.error('暫停結算失敗:', error);
+    res.status(500).json({ error: '暫停結算時發生錯誤' });
+  }
+});
+
+/**
+ * 恢復發送結算交易
+ * POST /api/admin/settlement/resume?chainId=1&contract=0x...
+ */
+router.post('/settlement/resume', requireAdmin, async (req, res) => {
+  try {
+    const autoRevealService = resolveServiceForAdmin(req, res);
+    if (!autoRevealService) {
+      return;
+    }
+
+    await handleQueueAction(req, res, autoRevealService, 'resumeSettlement', {});
+  } catch (error) {
+    console.error('恢復結算失敗:', error);
+    res.status(500).json({ error: '恢復結算時發生錯誤' });
+  }
+});
+
+/**
+ * 查詢管理操作審計記錄
+ * GET /api/admin/audit?action=setFeePercent&caller=alice&requestId=...&stage=confirmed&chainId=1&contract=0x...
+ */
+router.get('/audit', requireAdmin, async (req, res) => {
+  try {
+    const { action, caller, requestId, stage } = req.query;
+    const { page = 1, limit = 50 } = req.query;
+
+    // 解析要查詢的合約部署
+    const deployment = resolveDeploymentQuery(req.query);
+    if (deployment.error) {
+      return res.status(deployment.status).json({ error: deployment.error });
+    }
+
+    const query = { ...deployment.filter };
+
+    if (action) {
+      if (!ADMIN_ACTIONS[action] && !QUEUE_ACTIONS[action]) {
+        const actions = [...Object.keys(ADMIN_ACTIONS), ...Object.keys(QUEUE_ACTIONS)];
+        return res.status(400).json({ error: `無效的管理操作，可選值為 ${actions.join('、')}` });
+      }
+      query.action = action;
+    }
+
+    if (caller) {
+      query['caller.name'] = caller;
+    }
+
+    if (requestId) {
+      query.requestId = requestId;
+    }
+
+    if (stage) {
+      query.stage = stage;
+    }
+
+    // 計算分頁
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const records = await AdminAudit.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await AdminAudit.countDocuments(query);
+
+    res.json({
+      records: records.map(({ __v, ...record }) => record),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('獲取管理操作審計記錄失敗:', error);
+    res.status(500).json({ error: '獲取管理操作審計記錄時發生錯誤' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+/**
+ * 玩家登入 API 路由
+ * 以 Sign-In with Ethereum (EIP-4361) 登入：取得 nonce、簽名後換取會話令牌，
+ * 之後以 Authorization: Bearer 令牌存取需要本人的路由
+ */
+const express = require('express');
+const router = express.Router();
+const { SIWE_DOMAIN } = require('../config/contract');
+const { issueNonce, signIn, signOut } = require('../services/playerSessions');
+
+/**
+ * 取得登入 nonce
+ * GET /api/auth/nonce
+ */
+router.get('/nonce', async (req, res) => {
+  try {
+    if (!SIWE_DOMAIN) {
+      return res.status(503).json({ error: '未設置 SIWE_DOMAIN 或 FRONTEND_URL，無法登入' });
+    }
+
+    const { nonce, domain, expiresAt } = await issueNonce();
+    res.json({ nonce, domain, expiresAt });
+  } catch (error) {
+    console.error('發出登入 nonce 失敗:', error);
+    res.status(500).json({ error: '發出登入 nonce 時發生錯誤' });
+  }
+});
+
+/**
+ * 驗證簽名並建立會話
+ * POST /api/auth/verify
+ * Body: { message: "example.com wants you to sign in with your Ethereum account:\n0x...", signature: "0x..." }
+ */
+router.post('/verify', async (req, res) => {
+  try {
+    if (!SIWE_DOMAIN) {
+      return res.status(503).json({ error: '未設置 SIWE_DOMAIN 或 FRONTEND_URL，無法登入' });
+    }
+
+    const { message, signature } = req.body || {};
+    if (typeof message !== 'string' || typeof signature !== 'string') {
+      return res.status(400).json({ error: '必須提供簽名訊息 message 與簽名 signature' });
+    }
+
+    const result = await signIn(message, signature);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json({
+      token: result.token,
+      address: result.address,
+      chainId: result.chainId,
+      expiresAt: result.expiresAt
+    });
+  } catch (error) {
+    console.error('驗證登入簽名失敗:', error);
+    res.status(500).json({ error: '驗證登入簽名時發生錯誤' });
+  }
+});
+
+/**
+ * 獲取當前會話
+ * GET /api/auth/session
+ */
+router.get('/session', (req, res) => {
+  if (!req.player) {
+    return res.status(401).json({ error: '未登入' });
+  }
+
+  res.json(req.player);
+});
+
+/**
+ * 登出
+ * POST /api/auth/logout
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    if (!req.player) {
+      return res.status(401).json({ error: '未登入' });
+    }
+
+    const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    await signOut(token);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('登出失敗:', error);
+    res.status(500).json({ error: '登出時發生錯誤' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+/**
+ * 過期投注 API 路由
+ * 列出超過可結算範圍而無法結算的投注，供運營人員處理退款
+ */
+const express = require('express');
+const router = express.Router();
+const { ethers } = require('ethers');
+const GameEvent = require('../models/GameEvent');
+const { resolveDeploymentQuery } = require('../utils/deploymentQuery');
+
+/**
+ * 獲取過期投注列表
+ * GET /api/expired-bets?player=0x...&roomId=1&chainId=1&contract=0x...
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { player, roomId } = req.query;
+    const { page = 1, limit = 50 } = req.query;
+
+    // 解析要查詢的合約部署
+    const deployment = resolveDeploymentQuery(req.query);
+    if (deployment.error) {
+      return res.status(deployment.status).json({ error: deployment.error });
+    }
+
+    // 構建查詢條件
+    const query = {
+      ...deployment.filter,
+      eventType: 'BetPlaced',
+      settlementStatus: 'expired'
+    };
+
+    if (player) {
+      if (!ethers.isAddress(player)) {
+        return res.status(400).json({ error: '無效的玩家地址格式' });
+      }
+      query.player = ethers.getAddress(player);
+    }
+
+    if (roomId) {
+      query.roomId = parseInt(roomId);
+    }
+
+    // 計算分頁
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const records = await GameEvent.find(query)
+      .sort({ blockNumber: -1, logIndex: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await GameEvent.countDocuments(query);
+
+    const bets = records.map(record => ({
+      id: record._id,
+      roomId: record.roomId,
+      player: record.player,
+      betId: record.betId,
+      amount: record.amount,
+      betBig: record.betBig,
+      commitBlock: record.commitBlock,
+      revealBlock: record.revealBlock,
+      transactionHash: record.transactionHash,
+      blockNumber: record.blockNumber,
+      chainId: record.chainId,
+      contractAddress: record.contractAddress,
+      note: record.settlementNote,
+      timestamp: record.createdAt
+    }));
+
+    res.json({
+      bets,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('獲取過期投注失敗:', error);
+    res.status(500).json({ error: '獲取過期投注時發生錯誤' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+/**
+ * 手續費 API 路由
+ * 查詢合約當前生效的手續費比例與 FeeUpdated 歷史
+ */
+const express = require('express');
+const router = express.Router();
+const { resolveDeploymentQuery } = require('../utils/deploymentQuery');
+const { findFeeUpdateAt, getFeeHistory } = require('../services/feeStore');
+
+/**
+ * 格式化手續費更新記錄
+ * @param {Object} update 手續費更新記錄
+ * @returns {Object} 回應格式
+ */
+function formatFeeUpdate(update) {
+  return {
+    bankerFee: update.bankerFee,
+    playerFee: update.playerFee,
+    blockNumber: update.blockNumber,
+    blockTimestamp: update.blockTimestamp,
+    transactionHash: update.transactionHash,
+    logIndex: update.logIndex,
+    chainId: update.chainId,
+    contractAddress: update.contractAddress
+  };
+}
+
+/**
+ * 解析區塊號查詢參數
+ * @param {string|undefined} value 參數值
+ * @returns {number|null|undefined} 區塊號，未提供時為 null，無效時為 undefined
+ */
+function parseBlockParam(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  return /^\d+$/.test(value) ? Number(value) : undefined;
+}
+
+/**
+ * 獲取當前（或指定區塊）生效的手續費
+ * GET /api/fees/current?blockNumber=123&chainId=1&contract=0x...
+ */
+router.get('/current', async (req, res) => {
+  try {
+    const blockNumber = parseBlockParam(req.query.blockNumber);
+    if (blockNumber === undefined) {
+      return res.status(400).json({ error: '無效的區塊號' });
+    }
+
+    const deployment = resolveDeploymentQuery(req.query);
+    if (deployment.error) {
+      return res.status(deployment.status).json({ error: deployment.error });
+    }
+
+    const update = await findFeeUpdateAt(deployment.filter, blockNumber !== null ? blockNumber : Number.MAX_SAFE_INTEGER);
+    if (!update) {
+      return res.status(404).json({ error: '尚未索引到 FeeUpdated 事件，無法確定生效的手續費' });
+    }
+
+    res.json({
+      blockNumber,
+      fee: formatFeeUpdate(update)
+    });
+  } catch (error) {
+    console.error('獲取當前手續費失敗:', error);
+    res.status(500).json({ error: '獲取當前手續費時發生錯誤' });
+  }
+});
+
+/**
+ * 獲取區塊範圍內的手續費歷史
+ * GET /api/fees/history?fromBlock=100&toBlock=200&chainId=1&contract=0x...
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const fromBlock = parseBlockParam(req.query.fromBlock);
+    const toBlock = parseBlockParam(req.query.toBlock);
+    if (fromBlock === undefined || toBlock === undefined) {
+      return res.status(400).json({ error: '無效的區塊範圍' });
+    }
+    if (fromBlock !== null && toBlock !== null && fromBlock > toBlock) {
+      return res.status(400).json({ error: 'fromBlock 不能大於 toBlock' });
+    }
+
+    const deployment = resolveDeploymentQuery(req.query);
+    if (deployment.error) {
+      return res.status(deployment.status).json({ error: deployment.error });
+    }
+
+    const history = await getFeeHistory(deployment.filter, { fromBlock, toBlock });
+
+    res.json({
+      fromBlock,
+      toBlock,
+      // 範圍開始時已生效的手續費（在 fromBlock 之前設置）
+      inForceAtStart: history.inForceAtStart ? formatFeeUpdate(history.inForceAtStart) : null,
+      updates: history.updates.map(formatFeeUpdate)
+    });
+  } catch (error) {
+    console.error('獲取手續費歷史失敗:', error);
+    res.status(500).json({ error: '獲取手續費歷史時發生錯誤' });
+  }
+});
+
+module.exports = router;
@@ -5,12 +5,33 @@ const express = require('express');
 const router = express.Router();
 const { ethers } = require('ethers');
 const GameEvent = require('../models/GameEvent');
+const { resolveDeploymentQuery } = require('../utils/deploymentQuery');
+const { startPlayerReindex, getReindexJob } = require('../services/playerReindexService');
+const { requireProfileAccess, requireAddressOwner, findHiddenPlayers, ensurePlayerVisible } = require('../utils/auth');
+
+/**
+ * 格式化結算時生效的手續費
+ * @param {Object|null} feeRates BetSettled 記錄的手續費標註
+ * @returns {Object|null} 手續費，尚未索引到手續費更新時為 null
+ */
+function formatFees(feeRates) {
+  if (!feeRates) {
+    return null;
+  }
+  
+  return {
+    bankerFeePercent: feeRates.bankerFee,
+    playerWinFeePercent: feeRates.playerFee,
+    effectiveFromBlock: feeRates.effectiveFromBlock
+  };
+}
 
 /**
  * 獲取玩家遊戲記錄
- * GET /api/game-records/:playerAddress
+ * 玩家資料設為私密時只有以錢包登入的本人可以查看
+ * GET /api/game-records/:playerAddress?chainId=1&contract=0x...
  */
-router.get('/:playerAddress', async (req, res) => {
+router.get('/:playerAddress', requireProfileAccess(), async (req, res) => {
   try {
     const { playerAddress } = req.params;
     const { page = 1, limit = 10, roomId } = req.query;
@@ -20,8 +41,15 @@ router.get('/:playerAddress', async (req, res) => {
       return res.status(400).json({ error: '無效的玩家地址格式' });
     }
     
+    // 解析要查詢的合約部署
+    const deployment = resolveDeploymentQuery(req.query);
+    if (deployment.error) {
+      return res.status(deployment.status).json({ error: deployment.error });
+    }
+    
     // 構建查詢條件 - 查詢已結算的投注
     const settledQuery = {
+      ...deployment.filter,
       player: playerAddress,
       eventType: 'BetSettled'
     };
@@ -122,6 +150,14 @@ router.get('/:playerAddress', async (req, res) => {
         winAmount = '0.0';
       }
       
+      // 淨盈虧 = 派彩 - 投注金額，派彩已扣除結算時生效的手續費
+      let netProfit = null;
+      try {
+        netProfit = ethers.formatEther(ethers.parseEther(winAmount) - ethers.parseEther(betAmount));
+      } catch (error) {
+        console.error('計算淨盈虧失敗:', error);
+      }
+      
       return {
         id: record._id,
         roomId: record.roomId,
@@ -137,6 +173,8 @@ router.get('/:playerAddress', async (req, res) => {
         }),
         amount: betAmount, // 使用從BetPlaced獲取的原始投注金額
         rewardAmount: winAmount,
+        netProfit,
+        fees: formatFees(record.feeRates),
         result: record.won ? '贏' : '輸',
         choice: betChoice ? '大' : '小', // 使用從BetPlaced獲取的原始投注選擇
         hashValue: record.hashValue,
@@ -147,7 +185,12 @@ router.get('/:playerAddress', async (req, res) => {
         // 添加關聯事件信息用於調試
         relatedEventId: record.relatedEventId ? record.relatedEventId.toString() : null,
         hasRelatedEvent: placedEvent ? true : false,
-        originalBetDirection: placedEvent ? (placedEvent.betBig ? '大' : '小') : null
+        originalBetDirection: placedEvent ? (placedEvent.betBig ? '大' : '小') : null,
+        chainId: record.chainId,
+        contractAddress: record.contractAddress,
+        // 鏈重組確認狀態（舊記錄沒有此欄位，視為已確認）
+        blockNumber: record.blockNumber,
+        confirmationStatus: record.confirmationStatus || 'confirmed'
       };
     });
     
@@ -168,24 +211,51 @@ router.get('/:playerAddress', async (req, res) => {
 
 /**
  * 刷新玩家遊戲記錄
- * POST /api/game-records/:playerAddress/refresh
+ * 從鏈上重新索引玩家的事件，返回可輪詢的任務 ID；需要以錢包登入的本人或 operator 角色
+ * POST /api/game-records/:playerAddress/refresh?chainId=1&contract=0x...
  */
-router.post('/:playerAddress/refresh', async (req, res) => {
+router.post('/:playerAddress/refresh', requireAddressOwner(), async (req, res) => {
   try {
     const { playerAddress } = req.params;
+    const { fromBlock } = req.body || {};
     
     // 驗證玩家地址格式
     if (!ethers.isAddress(playerAddress)) {
       return res.status(400).json({ error: '無效的玩家地址格式' });
     }
     
-    // 這裡可以觸發一個任務來重新索引玩家的近期事件
-    // 實際實現中，可能需要從區塊鏈上獲取最新的數據
-    // 但為了簡單起見，我們這裡只返回成功信息
+    // 驗證起始區塊
+    if (fromBlock !== undefined && (!Number.isInteger(Number(fromBlock)) || Number(fromBlock) < 0)) {
+      return res.status(400).json({ error: '無效的起始區塊' });
+    }
     
-    res.json({
+    const deployment = resolveDeploymentQuery(req.query);
+    if (deployment.error) {
+      return res.status(deployment.status).json({ error: deployment.error });
+    }
+    
+    const autoRevealService = deployment.service;
+    if (!autoRevealService.httpProvider || !autoRevealService.contract) {
+      return res.status(503).json({ error: '自動揭示服務尚未初始化，無法重新索引' });
+    }
+    
+    if (autoRevealService.deployment.startBlock === null || autoRevealService.deployment.startBlock === undefined) {
+      return res.status(503).json({ error: '部署未設置起始區塊，無法重新索引' });
+    }
+    
+    const job = startPlayerReindex(autoRevealService, playerAddress, {
+      fromBlock: fromBlock !== undefined ? Number(fromBlock) : undefined
+    });
+    
+    if (!job) {
+      return res.status(429).json({ error: '重新索引任務已達並發上限，請稍後再試' });
+    }
+    
+    res.status(202).json({
       success: true,
-      message: '已觸發玩家記錄刷新'
+      message: '已觸發玩家記錄刷新',
+      jobId: job.jobId,
+      job
     });
   } catch (error) {
     console.error('刷新遊戲記錄失敗:', error);
@@ -193,17 +263,49 @@ router.post('/:playerAddress/refresh', async (req, res) => {
   }
 });
 
+/**
+ * 查詢玩家記錄刷新任務狀態
+ * 玩家資料設為私密時只有本人與 operator 以上角色可以查看
+ * GET /api/game-records/refresh-jobs/:jobId
+ */
+router.get('/refresh-jobs/:jobId', async (req, res) => {
+  try {
+    const job = getReindexJob(req.params.jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: '找不到刷新任務' });
+    }
+    
+    if (!(await ensurePlayerVisible(req, res, job.playerAddress))) {
+      return;
+    }
+    
+    res.json(job);
+  } catch (error) {
+    console.error('查詢刷新任務失敗:', error);
+    res.status(500).json({ error: '查詢刷新任務時發生錯誤' });
+  }
+});
+
 /**
  * 獲取特定房間的記錄
- * GET /api/game-records/room/:roomId
+ * 私密玩家的記錄除本人與 operator 以上角色外隱藏玩家地址與交易哈希
+ * GET /api/game-records/room/:roomId?chainId=1&contract=0x...
  */
 router.get('/room/:roomId', async (req, res) => {
   try {
     const { roomId } = req.params;
     const { page = 1, limit = 10 } = req.query;
     
+    // 解析要查詢的合約部署
+    const deployment = resolveDeploymentQuery(req.query);
+    if (deployment.error) {
+      return res.status(deployment.status).json({ error: deployment.error });
+    }
+    
     // 構建查詢條件
     const query = {
+      ...deployment.filter,
       roomId: parseInt(roomId),
       eventType: 'BetSettled'
     };
@@ -221,11 +323,16 @@ router.get('/room/:roomId', async (req, res) => {
     // 獲取記錄總數
     const total = await GameEvent.countDocuments(query);
     
+    // 請求者無權查看的私密玩家
+    const hiddenPlayers = await findHiddenPlayers(req, records.map(record => record.player));
+    
     // 格式化結果
     const formattedRecords = records.map(record => {
+      const playerHidden = !!record.player && hiddenPlayers.has(ethers.getAddress(record.player));
       return {
         id: record._id,
-        player: record.player,
+        player: playerHidden ? null : record.player,
+        playerHidden,
         timestamp: record.createdAt,
         formattedTime: new Date(record.createdAt).toLocaleString('zh-TW', {
           year: 'numeric',
@@ -238,12 +345,17 @@ router.get('/room/:roomId', async (req, res) => {
         }),
         amount: ethers.formatEther(record.amount),
         rewardAmount: record.rewardAmount ? ethers.formatEther(record.rewardAmount) : '0.0',
+        fees: formatFees(record.feeRates),
         result: record.won ? '贏' : '輸',
         choice: record.betBig ? '大' : '小',
         hashValue: record.hashValue,
         hashValueText: `${record.hashValue}(${record.hashValue > 49 ? '大' : '小'})`,
-        transactionHash: record.transactionHash,
-        resultBlock: record.resultBlock || 0 // 添加結算區塊號
+        transactionHash: playerHidden ? null : record.transactionHash,
+        resultBlock: record.resultBlock || 0, // 添加結算區塊號
+        blockNumber: record.blockNumber,
+        chainId: record.chainId,
+        contractAddress: record.contractAddress,
+        confirmationStatus: record.confirmationStatus || 'confirmed'
       };
     });
     
@@ -0,0 +1,90 @@
+/**
+ * 孤兒事件 API 路由
+ * 列出無法依 betId 配對的 BetPlaced / BetSettled 事件
+ */
+const express = require('express');
+const router = express.Router();
+const { ethers } = require('ethers');
+const GameEvent = require('../models/GameEvent');
+const { resolveDeploymentQuery } = require('../utils/deploymentQuery');
+
+/**
+ * 獲取孤兒事件列表
+ * GET /api/orphans?eventType=BetSettled&player=0x...&roomId=1&reason=unmatched_settlement
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { eventType, player, roomId, reason } = req.query;
+    const { page = 1, limit = 50 } = req.query;
+
+    // 解析要查詢的合約部署
+    const deployment = resolveDeploymentQuery(req.query);
+    if (deployment.error) {
+      return res.status(deployment.status).json({ error: deployment.error });
+    }
+
+    // 構建查詢條件
+    const query = {
+      ...deployment.filter,
+      orphanReason: reason ? reason : { $ne: null }
+    };
+
+    if (eventType) {
+      query.eventType = eventType;
+    }
+
+    if (player) {
+      if (!ethers.isAddress(player)) {
+        return res.status(400).json({ error: '無效的玩家地址格式' });
+      }
+      query.player = ethers.getAddress(player);
+    }
+
+    if (roomId) {
+      query.roomId = parseInt(roomId);
+    }
+
+    // 計算分頁
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const records = await GameEvent.find(query)
+      .sort({ blockNumber: -1, logIndex: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await GameEvent.countDocuments(query);
+
+    const orphans = records.map(record => ({
+      id: record._id,
+      eventType: record.eventType,
+      orphanReason: record.orphanReason,
+      roomId: record.roomId,
+      player: record.player,
+      betId: record.betId,
+      amount: record.amount,
+      transactionHash: record.transactionHash,
+      blockNumber: record.blockNumber,
+      logIndex: record.logIndex,
+      chainId: record.chainId,
+      contractAddress: record.contractAddress,
+      confirmationStatus: record.confirmationStatus || 'confirmed',
+      timestamp: record.createdAt
+    }));
+
+    res.json({
+      orphans,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('獲取孤兒事件失敗:', error);
+    res.status(500).json({ error: '獲取孤兒事件時發生錯誤' });
+  }
+});
+
+module.exports = router;
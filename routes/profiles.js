@@ -0,0 +1,94 @@
+/**
+ * 玩家資料 API 路由
+ * 查看與修改玩家的隱私與個人設置，只有以錢包登入的本人可以存取
+ */
+const express = require('express');
+const router = express.Router();
+const { ethers } = require('ethers');
+const PlayerProfile = require('../models/PlayerProfile');
+const { requireAddressOwner } = require('../utils/auth');
+
+// 個人設置序列化後的最大長度
+const MAX_SETTINGS_LENGTH = 4096;
+
+/**
+ * 格式化玩家資料
+ * @param {string} address 玩家地址
+ * @param {Object|null} profile 玩家資料記錄
+ * @returns {Object} 回應格式
+ */
+function formatProfile(address, profile) {
+  return {
+    address,
+    isPrivate: profile ? profile.isPrivate : false,
+    settings: profile ? profile.settings : {},
+    updatedAt: profile ? profile.updatedAt : null
+  };
+}
+
+/**
+ * 獲取玩家資料
+ * GET /api/profiles/:playerAddress
+ */
+router.get('/:playerAddress', requireAddressOwner(), async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.playerAddress)) {
+      return res.status(400).json({ error: '無效的玩家地址格式' });
+    }
+
+    const address = ethers.getAddress(req.params.playerAddress);
+    const profile = await PlayerProfile.findOne({ address }).lean();
+
+    res.json(formatProfile(address, profile));
+  } catch (error) {
+    console.error('獲取玩家資料失敗:', error);
+    res.status(500).json({ error: '獲取玩家資料時發生錯誤' });
+  }
+});
+
+/**
+ * 修改玩家資料
+ * PUT /api/profiles/:playerAddress
+ * Body: { isPrivate: true, settings: { ... } }
+ */
+router.put('/:playerAddress', requireAddressOwner(), async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.playerAddress)) {
+      return res.status(400).json({ error: '無效的玩家地址格式' });
+    }
+
+    const { isPrivate, settings } = req.body || {};
+    const update = { updatedAt: new Date() };
+
+    if (isPrivate !== undefined) {
+      if (typeof isPrivate !== 'boolean') {
+        return res.status(400).json({ error: 'isPrivate 必須為布林值' });
+      }
+      update.isPrivate = isPrivate;
+    }
+
+    if (settings !== undefined) {
+      if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return res.status(400).json({ error: 'settings 必須為物件' });
+      }
+      if (JSON.stringify(settings).length > MAX_SETTINGS_LENGTH) {
+        return res.status(400).json({ error: `settings 不能超過 ${MAX_SETTINGS_LENGTH} 個字符` });
+      }
+      update.settings = settings;
+    }
+
+    const address = ethers.getAddress(req.params.playerAddress);
+    const profile = await PlayerProfile.findOneAndUpdate(
+      { address },
+      { $set: update },
+      { upsert: true, new: true }
+    ).lean();
+
+    res.json(formatProfile(address, profile));
+  } catch (error) {
+    console.error('修改玩家資料失敗:', error);
+    res.status(500).json({ error: '修改玩家資料時發生錯誤' });
+  }
+});
+
+module.exports = router;
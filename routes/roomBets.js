@@ -1,14 +1,17 @@
 /**
  * 房間投注記錄 API 路由
+ * 私密玩家的投注仍計入列表，但除本人與 operator 以上角色外隱藏玩家地址與交易哈希
  */
 const express = require('express');
 const router = express.Router();
 const { ethers } = require('ethers');
 const GameEvent = require('../models/GameEvent');
+const { resolveDeploymentQuery } = require('../utils/deploymentQuery');
+const { findHiddenPlayers } = require('../utils/auth');
 
 /**
  * 獲取特定房間的投注記錄
- * GET /api/room-bets?roomId=123
+ * GET /api/room-bets?roomId=123&chainId=1&contract=0x...
  */
 router.get('/', async (req, res) => {
   try {
@@ -20,11 +23,18 @@ router.get('/', async (req, res) => {
       return res.status(400).json({ error: '需要提供有效的房間ID' });
     }
     
+    // 解析要查詢的合約部署
+    const deployment = resolveDeploymentQuery(req.query);
+    if (deployment.error) {
+      return res.status(deployment.status).json({ error: deployment.error });
+    }
+    
     console.log(`接收到房間${roomId}的投注記錄請求`);
     
     // 构建查詢條件 - 查詢已結算的投注
     // 同時查詢 BetSettled 和 GameResult 兩種事件
     const settledQuery = {
+      ...deployment.filter,
       roomId: parseInt(roomId),
       $or: [
         { eventType: 'BetSettled' },
@@ -60,6 +70,9 @@ router.get('/', async (req, res) => {
       placedEventsMap[pe._id.toString()] = pe;
     });
     
+    // 請求者無權查看的私密玩家
+    const hiddenPlayers = await findHiddenPlayers(req, records.map(r => r.player));
+    
     // 格式化結果
     const bets = [];
     
@@ -109,11 +122,13 @@ router.get('/', async (req, res) => {
         // 哈希值結果和輸贏判斷
         const resultBig = record.hashValue >= 5;
         const playerWon = record.won !== undefined ? record.won : null;
+        const playerHidden = !!record.player && hiddenPlayers.has(ethers.getAddress(record.player));
         
         bets.push({
           id: record._id.toString(),
           betId: record.betId || '',
-          playerAddress: record.player,
+          playerAddress: playerHidden ? null : record.player,
+          playerHidden,
           betAmount: betAmount,
           betBig: betBig,
           playerWon: playerWon,
@@ -121,8 +136,12 @@ router.get('/', async (req, res) => {
           resultBig: resultBig,
           timestamp: record.createdAt,
           formattedTime: new Date(record.createdAt).toLocaleString('zh-TW'),
-          txHash: record.transactionHash,
-          revealBlock: record.revealBlock || record.resultBlock || 0
+          txHash: playerHidden ? null : record.transactionHash,
+          revealBlock: record.revealBlock || record.resultBlock || 0,
+          blockNumber: record.blockNumber,
+          chainId: record.chainId,
+          contractAddress: record.contractAddress,
+          confirmationStatus: record.confirmationStatus || 'confirmed'
         });
       } catch (recordError) {
         console.error(`處理房間${roomId}的投注記錄時出錯:`, recordError);
@@ -0,0 +1,176 @@
+/**
+ * 結算任務 API 路由
+ * 查詢結算任務，並對死信任務進行重試或捨棄
+ */
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const SettlementJob = require('../models/SettlementJob');
+const { getAutoRevealService } = require('../services');
+const { retryDeadJob, discardDeadJob } = require('../services/settlementJobStore');
+const { resolveDeploymentQuery } = require('../utils/deploymentQuery');
+
+/**
+ * 將任務轉換為 API 回應格式
+ * @param {Object} job 結算任務
+ * @returns {Object} 任務信息
+ */
+function formatJob(job) {
+  return {
+    id: job._id,
+    chainId: job.chainId,
+    contractAddress: job.contractAddress,
+    betKey: job.betKey,
+    transactionHash: job.transactionHash,
+    logIndex: job.logIndex,
+    roomId: job.roomId,
+    player: job.player,
+    betId: job.betId,
+    revealBlock: job.revealBlock,
+    status: job.status,
+    attempts: job.attempts,
+    lastError: job.lastError,
+    revertReason: job.revertReason || null,
+    nextRetryAt: job.nextRetryAt,
+    note: job.note,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+/**
+ * 獲取結算任務列表，默認只列出死信任務
+ * GET /api/settlement-jobs?status=dead&chainId=1&contract=0x...
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'dead', page = 1, limit = 50 } = req.query;
+
+    const deployment = resolveDeploymentQuery(req.query);
+    if (deployment.error) {
+      return res.status(deployment.status).json({ error: deployment.error });
+    }
+
+    const query = { ...deployment.filter };
+    if (status !== 'all') {
+      query.status = status;
+    }
+
+    // 計算分頁
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const jobs = await SettlementJob.find(query)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await SettlementJob.countDocuments(query);
+
+    res.json({
+      jobs: jobs.map(formatJob),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('獲取結算任務失敗:', error);
+    res.status(500).json({ error: '獲取結算任務時發生錯誤' });
+  }
+});
+
+/**
+ * 重試死信任務：重置失敗次數並依鏈上狀態重新加入待處理列表
+ * POST /api/settlement-jobs/:jobId/retry
+ */
+router.post('/:jobId/retry', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.isValidObjectId(jobId)) {
+      return res.status(400).json({ error: '無效的任務 ID' });
+    }
+
+    const deadJob = await SettlementJob.findOne({ _id: jobId, status: 'dead' }).lean();
+    if (!deadJob) {
+      return res.status(404).json({ error: '找不到死信任務' });
+    }
+
+    // 只有結算者實例追蹤待結算投注，其他副本上重試的任務不會被結算
+    const autoRevealService = getAutoRevealService({ chainId: deadJob.chainId, contractAddress: deadJob.contractAddress });
+    if (autoRevealService && autoRevealService.contract && !autoRevealService.isLeader()) {
+      const leader = autoRevealService.getLeaderStatus();
+      return res.status(409).json({
+        error: '本實例不是此部署的結算者，請向結算者實例發送請求',
+        leader: leader ? leader.holder : null
+      });
+    }
+
+    const job = await retryDeadJob(jobId);
+    if (!job) {
+      return res.status(404).json({ error: '找不到死信任務' });
+    }
+
+    if (!autoRevealService || !autoRevealService.contract) {
+      return res.json({
+        success: true,
+        message: '任務已重設為待結算，對應的部署服務未運行，將於服務啟動時恢復',
+        job: formatJob(job)
+      });
+    }
+
+    const result = await autoRevealService.requeueJob(job);
+
+    res.json({
+      success: true,
+      message: result.stale
+        ? `投注已無需結算: ${result.reason}`
+        : (result.expired
+          ? '投注已超過可結算範圍，已標記為過期'
+          : (result.deferred ? `投注的揭示區塊暫時無法確定，稍後自動重試: ${result.reason}` : '任務已重新加入待處理列表')),
+      job: formatJob(await SettlementJob.findById(jobId).lean())
+    });
+  } catch (error) {
+    console.error('重試結算任務失敗:', error);
+    res.status(500).json({ error: '重試結算任務時發生錯誤' });
+  }
+});
+
+/**
+ * 捨棄死信任務
+ * POST /api/settlement-jobs/:jobId/discard
+ */
+router.post('/:jobId/discard', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { reason } = req.body || {};
+
+    if (!mongoose.isValidObjectId(jobId)) {
+      return res.status(400).json({ error: '無效的任務 ID' });
+    }
+
+    if (!reason || typeof reason !== 'string') {
+      return res.status(400).json({ error: '需要提供捨棄原因' });
+    }
+
+    const job = await discardDeadJob(jobId, reason);
+    if (!job) {
+      return res.status(404).json({ error: '找不到死信任務' });
+    }
+
+    console.log(`死信結算任務 ${jobId} (${job.betKey}) 已捨棄: ${reason}`);
+
+    res.json({
+      success: true,
+      job: formatJob(job)
+    });
+  } catch (error) {
+    console.error('捨棄結算任務失敗:', error);
+    res.status(500).json({ error: '捨棄結算任務時發生錯誤' });
+  }
+});
+
+module.exports = router;
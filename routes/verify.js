@@ -0,0 +1,142 @@
+/**
+ * 投注結果驗證 API 路由
+ * 依 betId 或交易哈希重新計算已結算投注的結果，供玩家驗證；
+ * 私密玩家的投注只有本人與 operator 以上角色可以驗證
+ */
+const express = require('express');
+const router = express.Router();
+const GameEvent = require('../models/GameEvent');
+const { verifySettledBet } = require('../services/betVerification');
+const { resolveDeploymentQuery } = require('../utils/deploymentQuery');
+const { ensurePlayerVisible } = require('../utils/auth');
+
+/**
+ * 解析部署並確認服務已可讀取鏈上數據
+ * @param {Object} req 請求
+ * @param {Object} res 回應
+ * @returns {Object|null} 部署查詢結果，已回應錯誤時返回 null
+ */
+function resolveVerifiableDeployment(req, res) {
+  const deployment = resolveDeploymentQuery(req.query);
+  if (deployment.error) {
+    res.status(deployment.status).json({ error: deployment.error });
+    return null;
+  }
+
+  if (!deployment.service.httpProvider || !deployment.service.contract) {
+    res.status(503).json({ error: '自動揭示服務尚未初始化，無法讀取鏈上數據' });
+    return null;
+  }
+
+  return deployment;
+}
+
+/**
+ * 回應驗證結果；未配置推導方式時以 501 回應，表示無法驗證而不是驗證失敗
+ * @param {Object} res 回應
+ * @param {Object} result 驗證結果
+ */
+function sendVerification(res, result) {
+  if (!result.derivationConfigured) {
+    return res.status(501).json({
+      error: '未配置結果推導方式，無法驗證投注結果',
+      ...result
+    });
+  }
+
+  res.json(result);
+}
+
+/**
+ * 依交易哈希驗證投注，可使用下注交易或結算交易
+ * GET /api/verify/tx/:transactionHash?chainId=1&contract=0x...
+ */
+router.get('/tx/:transactionHash', async (req, res) => {
+  try {
+    const { transactionHash } = req.params;
+
+    if (!/^0x[0-9a-fA-F]{64}$/.test(transactionHash)) {
+      return res.status(400).json({ error: '無效的交易哈希格式' });
+    }
+
+    const deployment = resolveVerifiableDeployment(req, res);
+    if (!deployment) {
+      return;
+    }
+
+    const event = await GameEvent.findOne({
+      ...deployment.filter,
+      transactionHash: transactionHash.toLowerCase(),
+      eventType: { $in: ['BetPlaced', 'BetSettled'] }
+    }).lean();
+
+    if (!event) {
+      return res.status(404).json({ error: '找不到此交易的投注記錄' });
+    }
+
+    if (!(await ensurePlayerVisible(req, res, event.player))) {
+      return;
+    }
+
+    let settledEvent = event;
+    if (event.eventType === 'BetPlaced') {
+      settledEvent = event.relatedEventId ? await GameEvent.findById(event.relatedEventId).lean() : null;
+      if (!settledEvent) {
+        return res.status(404).json({ error: '投注尚未結算', betId: event.betId, settlementStatus: event.settlementStatus });
+      }
+    }
+
+    sendVerification(res, await verifySettledBet(deployment.service, settledEvent));
+  } catch (error) {
+    console.error('驗證投注結果失敗:', error);
+    res.status(500).json({ error: '驗證投注結果時發生錯誤' });
+  }
+});
+
+/**
+ * 依 betId 驗證投注
+ * GET /api/verify/:betId?roomId=1&chainId=1&contract=0x...
+ */
+router.get('/:betId', async (req, res) => {
+  try {
+    const { betId } = req.params;
+    const { roomId } = req.query;
+
+    if (!/^\d+$/.test(betId)) {
+      return res.status(400).json({ error: '無效的投注 ID' });
+    }
+
+    const deployment = resolveVerifiableDeployment(req, res);
+    if (!deployment) {
+      return;
+    }
+
+    const query = { ...deployment.filter, eventType: 'BetSettled', betId };
+    if (roomId) {
+      query.roomId = parseInt(roomId);
+    }
+
+    const settledEvent = await GameEvent.findOne(query).lean();
+    if (!settledEvent) {
+      const placedEvent = await GameEvent.findOne({ ...query, eventType: 'BetPlaced' }).lean();
+      if (!placedEvent) {
+        return res.status(404).json({ error: '找不到此投注' });
+      }
+      if (!(await ensurePlayerVisible(req, res, placedEvent.player))) {
+        return;
+      }
+      return res.status(404).json({ error: '投注尚未結算', betId, settlementStatus: placedEvent.settlementStatus });
+    }
+
+    if (!(await ensurePlayerVisible(req, res, settledEvent.player))) {
+      return;
+    }
+
+    sendVerification(res, await verifySettledBet(deployment.service, settledEvent));
+  } catch (error) {
+    console.error('驗證投注結果失敗:', error);
+    res.status(500).json({ error: '驗證投注結果時發生錯誤' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+/**
+ * 手續費事件回補腳本
+ * 索引檢查點已超過歷史 FeeUpdated 事件所在區塊的部署（升級前已運行的服務）不會再回補這些事件，
+ * 此腳本從指定區塊掃描 FeeUpdated 事件寫入 feeupdates，並重新標註 BetSettled 記錄的手續費。
+ * 默認使用主要部署（部署配置中的第一個），起始區塊默認為部署的 startBlock
+ *
+ * 用法: node scripts/backfill-fee-events.js [--deployment 名稱] [--from-block 0] [--to-block 12345] [--dry-run]
+ */
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+const { CONTRACT_ABI, INDEXER_BATCH_SIZE } = require('../config/contract');
+const { loadDeployments } = require('../config/deployments');
+const { saveFeeUpdated } = require('../services/feeStore');
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * 讀取命令列參數值
+ * @param {string} name 參數名
+ * @returns {string|undefined} 參數值
+ */
+function getArg(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+async function backfillFeeEvents() {
+  try {
+    const deployments = loadDeployments();
+    const deploymentName = getArg('--deployment');
+    const deployment = deploymentName ? deployments.find(item => item.name === deploymentName) : deployments[0];
+    if (!deployment) {
+      throw new Error(`找不到部署 ${deploymentName}`);
+    }
+
+    const provider = new ethers.JsonRpcProvider(deployment.rpcUrls[0]);
+    const chainId = Number((await provider.getNetwork()).chainId);
+    const contract = new ethers.Contract(deployment.contractAddress, CONTRACT_ABI, provider);
+    const topic = contract.interface.getEvent('FeeUpdated').topicHash;
+
+    const fromBlock = getArg('--from-block') !== undefined ? parseInt(getArg('--from-block')) : deployment.startBlock;
+    const toBlock = getArg('--to-block') !== undefined ? parseInt(getArg('--to-block')) : await provider.getBlockNumber();
+    if (!Number.isInteger(fromBlock) || !Number.isInteger(toBlock) || fromBlock > toBlock) {
+      throw new Error('無法確定掃描範圍，請設置部署的 startBlock 或使用 --from-block 參數');
+    }
+
+    if (!dryRun) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/stickman-nft');
+      console.log('已連接到MongoDB');
+    }
+
+    console.log(`掃描部署 ${deployment.name} (chainId=${chainId}, 合約=${deployment.contractAddress}) 區塊 ${fromBlock} - ${toBlock} 的 FeeUpdated 事件`);
+
+    let found = 0;
+    let saved = 0;
+    for (let start = fromBlock; start <= toBlock; start += INDEXER_BATCH_SIZE) {
+      const end = Math.min(start + INDEXER_BATCH_SIZE - 1, toBlock);
+      const logs = await provider.getLogs({ address: deployment.contractAddress, topics: [topic], fromBlock: start, toBlock: end });
+
+      for (const log of logs) {
+        const parsedLog = contract.interface.parseLog(log);
+        found++;
+        console.log(`區塊 ${log.blockNumber}: 莊家手續費 ${parsedLog.args.bankerFee}%, 玩家手續費 ${parsedLog.args.playerFee}% (${log.transactionHash})`);
+
+        if (dryRun) {
+          continue;
+        }
+
+        const block = await provider.getBlock(log.blockNumber);
+        const result = await saveFeeUpdated(parsedLog.args, {
+          chainId,
+          contractAddress: deployment.contractAddress,
+          transactionHash: log.transactionHash,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          blockTimestamp: block ? Number(block.timestamp) : null,
+          logIndex: log.index
+        });
+        if (result.created) {
+          saved++;
+        }
+      }
+    }
+
+    console.log(dryRun
+      ? `[試運行] 找到 ${found} 筆 FeeUpdated 事件，未寫入任何記錄`
+      : `找到 ${found} 筆 FeeUpdated 事件，新寫入 ${saved} 筆`);
+  } catch (error) {
+    console.error('回補手續費事件失敗:', error);
+    process.exitCode = 1;
+  } finally {
+    if (!dryRun) {
+      await mongoose.disconnect();
+      console.log('已斷開資料庫連接');
+    }
+  }
+}
+
+// 執行回補操作
+backfillFeeEvents();
@@ -0,0 +1,104 @@
+/**
+ * 遊戲事件去重遷移腳本
+ * 合併 gameevents 集合中 (transactionHash, logIndex) 相同的重複記錄，
+ * 並建立唯一索引，使事件寫入具備冪等性
+ *
+ * 用法: node scripts/dedupe-events.js [--dry-run]
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// 去重完成前不自動建立索引，避免唯一索引因重複記錄而建立失敗
+mongoose.set('autoIndex', false);
+const GameEvent = require('../models/GameEvent');
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * 選擇重複記錄中要保留的一筆：優先保留已建立關聯、已處理的記錄，其次保留最早建立的記錄
+ * @param {Object[]} docs 重複的記錄
+ * @returns {Object} 要保留的記錄
+ */
+function pickKeeper(docs) {
+  return [...docs].sort((a, b) => {
+    if (!!a.relatedEventId !== !!b.relatedEventId) {
+      return a.relatedEventId ? -1 : 1;
+    }
+    if (!!a.processed !== !!b.processed) {
+      return a.processed ? -1 : 1;
+    }
+    return new Date(a.createdAt) - new Date(b.createdAt);
+  })[0];
+}
+
+async function dedupeEvents() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/stickman-nft');
+    console.log('已連接到MongoDB');
+
+    const duplicateGroups = await GameEvent.aggregate([
+      { $match: { transactionHash: { $gt: '' } } },
+      {
+        $group: {
+          _id: { transactionHash: '$transactionHash', logIndex: '$logIndex' },
+          ids: { $push: '$_id' },
+          count: { $sum: 1 }
+        }
+      },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+
+    console.log(`找到 ${duplicateGroups.length} 組重複事件`);
+
+    let removedCount = 0;
+    let relinkedCount = 0;
+
+    for (const group of duplicateGroups) {
+      const docs = await GameEvent.find({ _id: { $in: group.ids } }).lean();
+      const keeper = pickKeeper(docs);
+      const duplicateIds = docs.filter(d => !d._id.equals(keeper._id)).map(d => d._id);
+
+      console.log(`${group._id.transactionHash}#${group._id.logIndex}: 保留 ${keeper._id}，刪除 ${duplicateIds.length} 筆`);
+
+      if (dryRun) {
+        removedCount += duplicateIds.length;
+        continue;
+      }
+
+      // 將指向重複記錄的關聯改為指向保留的記錄
+      const relinkResult = await GameEvent.updateMany(
+        { relatedEventId: { $in: duplicateIds } },
+        { $set: { relatedEventId: keeper._id } }
+      );
+      relinkedCount += relinkResult.modifiedCount;
+
+      const deleteResult = await GameEvent.deleteMany({ _id: { $in: duplicateIds } });
+      removedCount += deleteResult.deletedCount;
+    }
+
+    const emptyHashCount = await GameEvent.countDocuments({
+      $or: [{ transactionHash: '' }, { transactionHash: null }]
+    });
+    if (emptyHashCount > 0) {
+      console.warn(`有 ${emptyHashCount} 筆記錄沒有交易哈希，無法判斷是否重複，已保留並排除在唯一索引之外`);
+    }
+
+    if (dryRun) {
+      console.log(`[試運行] 將刪除 ${removedCount} 筆重複記錄`);
+    } else {
+      console.log(`已刪除 ${removedCount} 筆重複記錄，更新 ${relinkedCount} 筆關聯`);
+
+      await GameEvent.createIndexes();
+      console.log('已建立 (transactionHash, logIndex) 唯一索引');
+    }
+  } catch (error) {
+    console.error('事件去重失敗:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('已斷開資料庫連接');
+  }
+}
+
+// 執行去重操作
+dedupeEvents();
@@ -0,0 +1,228 @@
+/**
+ * API 金鑰管理腳本
+ * 創建、輪換、撤銷與列出數據庫中的 API 金鑰，數據庫只保存金鑰的 SHA-256 雜湊值，明文金鑰只在創建時顯示一次。
+ * 輪換會為同名金鑰產生新金鑰，舊金鑰在保留時間結束後過期，讓調用方有時間更換；
+ * hash 命令產生 API_KEYS 配置項，不需要數據庫
+ *
+ * 用法:
+ *   node scripts/manage-api-keys.js create --name alice --role operator [--expires-days 90]
+ *   node scripts/manage-api-keys.js rotate --name alice [--grace-hours 24]
+ *   node scripts/manage-api-keys.js revoke --name alice | --prefix sk_AbCdEfG
+ *   node scripts/manage-api-keys.js list
+ *   node scripts/manage-api-keys.js hash --name alice --role admin
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const ApiKey = require('../models/ApiKey');
+const { API_ROLES, API_KEY_ROTATION_GRACE_HOURS } = require('../config/contract');
+const { generateApiKey } = require('../utils/auth');
+
+const command = process.argv[2];
+
+/**
+ * 讀取命令列參數值
+ * @param {string} name 參數名
+ * @returns {string|undefined} 參數值
+ */
+function getArg(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * 讀取正整數參數
+ * @param {string} name 參數名
+ * @param {number|null} fallback 未提供時的默認值
+ * @returns {number|null} 參數值
+ */
+function getPositiveIntArg(name, fallback) {
+  const value = getArg(name);
+  if (value === undefined) {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${name} 必須為正整數`);
+  }
+  return number;
+}
+
+/**
+ * 讀取並校驗角色參數
+ * @returns {string} 角色
+ */
+function getRoleArg() {
+  const role = getArg('--role');
+  if (!API_ROLES.includes(role)) {
+    throw new Error(`--role 必須為 ${API_ROLES.join('、')} 之一`);
+  }
+  return role;
+}
+
+/**
+ * 讀取名稱參數
+ * @returns {string} 名稱
+ */
+function getNameArg() {
+  const name = getArg('--name');
+  if (!name || name.includes(':') || name.includes(',')) {
+    throw new Error('必須提供 --name，且名稱不能包含 : 或 ,');
+  }
+  return name;
+}
+
+/**
+ * 顯示新金鑰
+ * @param {string} apiKey 明文金鑰
+ * @param {Object} record 金鑰記錄
+ */
+function printNewKey(apiKey, record) {
+  console.log(`金鑰名稱: ${record.name}`);
+  console.log(`角色: ${record.role}`);
+  console.log(`前綴: ${record.keyPrefix}`);
+  console.log(`過期時間: ${record.expiresAt ? record.expiresAt.toISOString() : '不過期'}`);
+  console.log(`金鑰（只顯示一次，請妥善保存）: ${apiKey}`);
+}
+
+async function createKey() {
+  const name = getNameArg();
+  const role = getRoleArg();
+  const expiresDays = getPositiveIntArg('--expires-days', null);
+
+  const { apiKey, keyHash, keyPrefix } = generateApiKey();
+  const record = await ApiKey.create({
+    name,
+    role,
+    keyHash,
+    keyPrefix,
+    expiresAt: expiresDays ? new Date(Date.now() + expiresDays * 24 * 60 * 60 * 1000) : null
+  });
+
+  printNewKey(apiKey, record);
+}
+
+async function rotateKey() {
+  const name = getNameArg();
+  const graceHours = getPositiveIntArg('--grace-hours', API_KEY_ROTATION_GRACE_HOURS);
+
+  const now = new Date();
+  const activeKeys = await ApiKey.find({
+    name,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  }).sort({ createdAt: -1 });
+  if (activeKeys.length === 0) {
+    throw new Error(`找不到名稱為 ${name} 的有效金鑰`);
+  }
+
+  const current = activeKeys[0];
+  const { apiKey, keyHash, keyPrefix } = generateApiKey();
+  const record = await ApiKey.create({
+    name,
+    role: current.role,
+    keyHash,
+    keyPrefix,
+    rotatedFrom: current.keyPrefix
+  });
+
+  // 舊金鑰在保留時間結束後過期，已設置更早過期時間的不延長
+  const graceUntil = new Date(now.getTime() + graceHours * 60 * 60 * 1000);
+  for (const oldKey of activeKeys) {
+    if (!oldKey.expiresAt || oldKey.expiresAt > graceUntil) {
+      oldKey.expiresAt = graceUntil;
+      await oldKey.save();
+    }
+    console.log(`舊金鑰 ${oldKey.keyPrefix} 將於 ${oldKey.expiresAt.toISOString()} 過期`);
+  }
+
+  printNewKey(apiKey, record);
+}
+
+async function revokeKey() {
+  const name = getArg('--name');
+  const keyPrefix = getArg('--prefix');
+  if (!name && !keyPrefix) {
+    throw new Error('必須提供 --name 或 --prefix');
+  }
+
+  const query = { revokedAt: null };
+  if (name) {
+    query.name = name;
+  }
+  if (keyPrefix) {
+    query.keyPrefix = keyPrefix;
+  }
+
+  const result = await ApiKey.updateMany(query, { $set: { revokedAt: new Date() } });
+  console.log(`已撤銷 ${result.modifiedCount} 筆金鑰，各實例的驗證快取過期後生效`);
+}
+
+async function listKeys() {
+  const now = new Date();
+  const keys = await ApiKey.find({}).sort({ name: 1, createdAt: -1 }).lean();
+
+  for (const key of keys) {
+    let status = '有效';
+    if (key.revokedAt) {
+      status = `已撤銷 (${key.revokedAt.toISOString()})`;
+    } else if (key.expiresAt && key.expiresAt <= now) {
+      status = `已過期 (${key.expiresAt.toISOString()})`;
+    } else if (key.expiresAt) {
+      status = `有效至 ${key.expiresAt.toISOString()}`;
+    }
+    console.log(`${key.name}\t${key.role}\t${key.keyPrefix}\t${status}\t最近使用: ${key.lastUsedAt ? key.lastUsedAt.toISOString() : '從未'}`);
+  }
+
+  console.log(`共 ${keys.length} 筆金鑰`);
+}
+
+function hashKey() {
+  const name = getNameArg();
+  const role = getRoleArg();
+  const { apiKey, keyHash } = generateApiKey();
+
+  console.log(`金鑰（只顯示一次，請妥善保存）: ${apiKey}`);
+  console.log(`API_KEYS 配置項: ${name}:${role}:${keyHash}`);
+}
+
+const COMMANDS = {
+  create: createKey,
+  rotate: rotateKey,
+  revoke: revokeKey,
+  list: listKeys
+};
+
+async function manageApiKeys() {
+  if (command === 'hash') {
+    try {
+      hashKey();
+    } catch (error) {
+      console.error('產生金鑰失敗:', error.message);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (!COMMANDS[command]) {
+    console.error(`未知的命令: ${command || '(未提供)'}，可用命令為 create、rotate、revoke、list、hash`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/stickman-nft');
+    console.log('已連接到MongoDB');
+
+    await COMMANDS[command]();
+  } catch (error) {
+    console.error('管理 API 金鑰失敗:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('已斷開資料庫連接');
+  }
+}
+
+// 執行金鑰管理操作
+manageApiKeys();
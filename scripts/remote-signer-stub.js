@@ -0,0 +1,111 @@
+/**
+ * 外部簽名服務測試替身
+ * 在本機提供 eth_accounts / eth_signTransaction / eth_sign / eth_signTypedData_v4 JSON-RPC 介面，
+ * 用於在測試環境中驗證 remote 簽名後端，不可用於生產環境
+ *
+ * 用法: REMOTE_SIGNER_STUB_PRIVATE_KEY=0x... node scripts/remote-signer-stub.js [--port 8551]
+ * 未設置私鑰時生成隨機錢包；設置 SETTLER_REMOTE_SIGNER_TOKEN 時要求相同的 Bearer token
+ */
+const http = require('http');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+/**
+ * 讀取命令列參數值
+ * @param {string} name 參數名
+ * @returns {string|undefined} 參數值
+ */
+function getArg(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+const port = parseInt(getArg('--port')) || 8551;
+const token = process.env.SETTLER_REMOTE_SIGNER_TOKEN || null;
+const wallet = process.env.REMOTE_SIGNER_STUB_PRIVATE_KEY
+  ? new ethers.Wallet(process.env.REMOTE_SIGNER_STUB_PRIVATE_KEY)
+  : ethers.Wallet.createRandom();
+
+/**
+ * 處理 JSON-RPC 請求
+ * @param {string} method 方法名
+ * @param {Array} params 參數
+ * @returns {Promise<*>} 返回結果
+ */
+async function handle(method, params) {
+  switch (method) {
+    case 'eth_accounts':
+      return [wallet.address];
+
+    case 'eth_signTransaction': {
+      const request = params[0] || {};
+      if (ethers.getAddress(request.from) !== wallet.address) {
+        throw new Error(`未知的錢包地址 ${request.from}`);
+      }
+      const tx = ethers.Transaction.from({
+        type: request.type !== undefined ? Number(request.type) : undefined,
+        to: request.to || null,
+        data: request.data || '0x',
+        value: request.value || 0,
+        nonce: Number(request.nonce),
+        gasLimit: request.gas,
+        gasPrice: request.gasPrice,
+        maxFeePerGas: request.maxFeePerGas,
+        maxPriorityFeePerGas: request.maxPriorityFeePerGas,
+        chainId: request.chainId
+      });
+      const raw = await wallet.signTransaction(tx);
+      return { raw, tx: ethers.Transaction.from(raw).toJSON() };
+    }
+
+    case 'eth_sign':
+      if (ethers.getAddress(params[0]) !== wallet.address) {
+        throw new Error(`未知的錢包地址 ${params[0]}`);
+      }
+      return wallet.signMessage(ethers.getBytes(params[1]));
+
+    case 'eth_signTypedData_v4': {
+      if (ethers.getAddress(params[0]) !== wallet.address) {
+        throw new Error(`未知的錢包地址 ${params[0]}`);
+      }
+      const { domain, types, message } = JSON.parse(params[1]);
+      const { EIP712Domain, ...messageTypes } = types;
+      return wallet.signTypedData(domain, messageTypes, message);
+    }
+
+    default:
+      throw new Error(`不支援的方法 ${method}`);
+  }
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', async () => {
+    let id = null;
+    try {
+      if (token && req.headers.authorization !== `Bearer ${token}`) {
+        res.writeHead(401);
+        res.end();
+        return;
+      }
+
+      const payload = JSON.parse(body);
+      id = payload.id;
+      const result = await handle(payload.method, payload.params || []);
+      console.log(`處理 ${payload.method} 請求`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+    } catch (error) {
+      console.warn('處理簽名請求失敗:', error.message);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, error: { code: -32000, message: error.message } }));
+    }
+  });
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`外部簽名服務測試替身運行於 http://127.0.0.1:${port}，錢包地址: ${wallet.address}`);
+});
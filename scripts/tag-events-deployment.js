@@ -0,0 +1,69 @@
+/**
+ * 遊戲事件部署標記遷移腳本
+ * 為舊版本寫入、沒有 chainId / contractAddress 的 gameevents 記錄補上所屬部署，
+ * 使按部署過濾的查詢能查到這些記錄。默認使用主要部署（部署配置中的第一個）
+ *
+ * 用法: node scripts/tag-events-deployment.js [--chain-id 1] [--contract 0x...] [--dry-run]
+ */
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+const GameEvent = require('../models/GameEvent');
+const { loadDeployments } = require('../config/deployments');
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * 讀取命令列參數值
+ * @param {string} name 參數名
+ * @returns {string|undefined} 參數值
+ */
+function getArg(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+async function tagEventsDeployment() {
+  try {
+    const primary = loadDeployments()[0];
+    const chainId = getArg('--chain-id') !== undefined ? parseInt(getArg('--chain-id')) : primary.chainId;
+    const contractAddress = getArg('--contract') || primary.contractAddress;
+
+    if (!Number.isInteger(chainId)) {
+      throw new Error('無法確定鏈 ID，請設置 CHAIN_ID 或使用 --chain-id 參數');
+    }
+    if (!ethers.isAddress(contractAddress)) {
+      throw new Error(`無效的合約地址: ${contractAddress}`);
+    }
+
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/stickman-nft');
+    console.log('已連接到MongoDB');
+
+    const untaggedQuery = {
+      $or: [{ chainId: null }, { contractAddress: null }]
+    };
+
+    const untaggedCount = await GameEvent.countDocuments(untaggedQuery);
+    console.log(`找到 ${untaggedCount} 筆沒有部署標記的事件，將標記為 chainId=${chainId}, 合約=${ethers.getAddress(contractAddress)}`);
+
+    if (dryRun) {
+      console.log('[試運行] 未修改任何記錄');
+      return;
+    }
+
+    const result = await GameEvent.updateMany(untaggedQuery, {
+      $set: { chainId, contractAddress: ethers.getAddress(contractAddress) }
+    });
+    console.log(`已標記 ${result.modifiedCount} 筆事件`);
+  } catch (error) {
+    console.error('標記事件部署失敗:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('已斷開資料庫連接');
+  }
+}
+
+// 執行標記操作
+tagEventsDeployment();
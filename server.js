@@ -7,10 +7,20 @@ const express = require('express');
 const dotenv = require('dotenv');
 const cors = require('cors');
 const mongoose = require('mongoose'); // 加入 mongoose 引入
-const { getAutoRevealService } = require('./services');
+const { getAutoRevealService, getAutoRevealServices } = require('./services');
 const { connectToDatabase, monitorDatabaseConnection, closeDatabaseConnection } = require('./config/database');
+const { INSTANCE_ID, CORS_ORIGINS } = require('./config/contract');
+const { authenticate, requireRole, hasRole } = require('./utils/auth');
 const gameRecordRoutes = require('./routes/gameRecord');
 const roomBetsRoutes = require('./routes/roomBets');
+const orphansRoutes = require('./routes/orphans');
+const settlementJobsRoutes = require('./routes/settlementJobs');
+const expiredBetsRoutes = require('./routes/expiredBets');
+const verifyRoutes = require('./routes/verify');
+const adminRoutes = require('./routes/admin');
+const feesRoutes = require('./routes/fees');
+const authRoutes = require('./routes/auth');
+const profilesRoutes = require('./routes/profiles');
 
 // 載入環境變量
 dotenv.config();
@@ -20,23 +30,102 @@ const app = express();
 
 // 設置中間件
 app.use(express.json());
-app.use(cors());
+// 只允許配置的前端網址跨域請求
+if (CORS_ORIGINS.length === 0) {
+  console.warn('未設置 FRONTEND_URL，不允許跨域請求');
+}
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false }));
+// 驗證 API 金鑰與玩家會話，未提供金鑰的請求為 public 角色
+app.use(authenticate);
 
 // 基本配置
 const PORT = process.env.PORT || 3001;
 
-// 註冊路由
+// 註冊路由：玩家查詢為 public（私密玩家資料需本人登入），運維查詢與操作需要 operator 角色，管理路由在路由內檢查角色
 app.use('/api/game-records', gameRecordRoutes);
 app.use('/api/room-bets', roomBetsRoutes);
+app.use('/api/orphans', requireRole('operator'), orphansRoutes);
+app.use('/api/settlement-jobs', requireRole('operator'), settlementJobsRoutes);
+app.use('/api/expired-bets', requireRole('operator'), expiredBetsRoutes);
+app.use('/api/verify', verifyRoutes);
+app.use('/api/fees', feesRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/profiles', profilesRoutes);
+
+/**
+ * 檢查單一部署的事件來源與 RPC 節點健康狀態
+ * @param {AutoRevealService} autoRevealService 自動揭示服務
+ * @returns {Promise<Object>} 健康狀態
+ */
+async function getDeploymentHealth(autoRevealService) {
+  const wsHealthy = await autoRevealService.isWebSocketHealthy();
+  // WebSocket 中斷但 HTTP 輪詢正常時，仍能持續接收事件
+  const pollingHealthy = autoRevealService.wsManager ? autoRevealService.wsManager.isPollingHealthy() : false;
+  const eventSource = autoRevealService.getEventSourceStatus();
+  
+  const rpcStatus = autoRevealService.httpProvider?.getStatus ? autoRevealService.httpProvider.getStatus() : null;
+  const rpcHealthy = autoRevealService.httpProvider?.isHealthy ? autoRevealService.httpProvider.isHealthy() : false;
+  
+  return {
+    name: autoRevealService.name,
+    chainId: autoRevealService.chainId,
+    contractAddress: autoRevealService.contractAddress,
+    healthy: rpcHealthy && (wsHealthy || pollingHealthy),
+    // 結算暫停不影響事件索引，不視為不健康
+    settlementPause: autoRevealService.getSettlementPauseStatus(),
+    websocket: {
+      connected: wsHealthy,
+      lastBlockTime: autoRevealService.wsManager?.lastBlockTime 
+        ? new Date(autoRevealService.wsManager.lastBlockTime).toISOString()
+        : 'unknown',
+      blockAge: autoRevealService.wsManager?.lastBlockTime 
+        ? Date.now() - autoRevealService.wsManager.lastBlockTime 
+        : 'unknown',
+      status: wsHealthy ? 'connected' : 'disconnected'
+    },
+    eventSource: {
+      mode: eventSource ? eventSource.mode : 'unknown',
+      healthy: wsHealthy || pollingHealthy,
+      lastPolledBlock: eventSource ? eventSource.lastPolledBlock : null,
+      lastPollTime: eventSource ? eventSource.lastPollTime : null,
+      wsEndpoints: eventSource ? eventSource.wsEndpoints : []
+    },
+    rpc: {
+      healthy: rpcHealthy,
+      activeUrl: rpcStatus ? rpcStatus.activeUrl : null,
+      endpoints: rpcStatus ? rpcStatus.endpoints : []
+    }
+  };
+}
 
-// 健康檢查 API
+/**
+ * 可公開的部署健康狀態，不包含節點網址等詳情
+ * @param {Object} deployment getDeploymentHealth 返回的部署健康狀態
+ * @returns {Object} 公開的健康狀態
+ */
+function getPublicDeploymentHealth(deployment) {
+  return {
+    name: deployment.name,
+    healthy: deployment.healthy,
+    websocket: { connected: deployment.websocket.connected },
+    eventSource: { mode: deployment.eventSource.mode },
+    settlementPause: {
+      paused: deployment.settlementPause.paused,
+      resumeAt: deployment.settlementPause.resumeAt
+    }
+  };
+}
+
+// 健康檢查 API：public 角色只返回健康狀態、事件來源模式與結算暫停狀態，operator 以上返回節點與部署詳情
 app.get('/health', async (req, res) => {
   try {
-    const autoRevealService = getAutoRevealService();
     const dbConnected = mongoose.connection.readyState === 1;
-    const wsHealthy = autoRevealService ? await autoRevealService.isWebSocketHealthy() : false;
+    const deployments = await Promise.all(getAutoRevealServices().map(getDeploymentHealth));
+    // 主要部署的狀態同時保留在頂層欄位
+    const primary = deployments[0];
     
-    const isHealthy = dbConnected && wsHealthy;
+    const isHealthy = dbConnected && deployments.every(d => d.healthy);
     const status = isHealthy ? 200 : 503;
     
     const response = {
@@ -47,16 +136,11 @@ app.get('/health', async (req, res) => {
         connected: dbConnected,
         status: dbConnected ? 'connected' : 'disconnected'
       },
-      websocket: {
-        connected: wsHealthy,
-        lastBlockTime: autoRevealService?.wsManager?.lastBlockTime 
-          ? new Date(autoRevealService.wsManager.lastBlockTime).toISOString()
-          : 'unknown',
-        blockAge: autoRevealService?.wsManager?.lastBlockTime 
-          ? Date.now() - autoRevealService.wsManager.lastBlockTime 
-          : 'unknown',
-        status: wsHealthy ? 'connected' : 'disconnected'
-      }
+      websocket: primary.websocket,
+      eventSource: primary.eventSource,
+      rpc: primary.rpc,
+      settlementPause: primary.settlementPause,
+      deployments
     };
 
     // 只有在不健康時才記錄警告
@@ -67,6 +151,20 @@ app.get('/health', async (req, res) => {
       console.debug('健康檢查通過');
     }
 
+    // 節點網址可能包含服務商金鑰，不對外公開：public 角色只返回事件來源模式與結算暫停狀態
+    if (!hasRole(req.auth.role, 'operator')) {
+      const publicDeployments = deployments.map(getPublicDeploymentHealth);
+      return res.status(status).json({
+        status: response.status,
+        timestamp: response.timestamp,
+        service: response.service,
+        websocket: publicDeployments[0].websocket,
+        eventSource: publicDeployments[0].eventSource,
+        settlementPause: publicDeployments[0].settlementPause,
+        deployments: publicDeployments
+      });
+    }
+
     res.status(status).json(response);
   } catch (error) {
     console.error('健康檢查處理出錯:', error);
@@ -78,20 +176,45 @@ app.get('/health', async (req, res) => {
   }
 });
 
+/**
+ * 獲取單一部署的服務狀態
+ * @param {AutoRevealService} autoRevealService 自動揭示服務
+ * @returns {Object} 服務狀態
+ */
+function getDeploymentStatus(autoRevealService) {
+  return {
+    name: autoRevealService.name,
+    chainId: autoRevealService.chainId,
+    contractAddress: autoRevealService.contractAddress,
+    status: autoRevealService.isRunning ? 'running' : 'stopped',
+    role: autoRevealService.isLeader() ? 'leader' : 'follower',
+    leader: autoRevealService.getLeaderStatus(),
+    settlementPause: autoRevealService.getSettlementPauseStatus(),
+    pendingBets: autoRevealService.pendingBets.size,
+    pendingBetsList: autoRevealService.getPendingBetsSnapshot(),
+    blockParams: {
+      revealDelay: autoRevealService.revealDelay,
+      maxCommitAge: autoRevealService.maxCommitAge
+    },
+    revealBlocks: autoRevealService.getRevealBlockStatus(),
+    indexer: autoRevealService.indexer ? autoRevealService.indexer.getStatus() : null,
+    recovery: autoRevealService.getRecoveryReport(),
+    reorg: autoRevealService.reorgMonitor ? autoRevealService.reorgMonitor.getStatus() : null,
+    settlement: autoRevealService.settlerPool ? autoRevealService.settlerPool.getStatus() : null
+  };
+}
+
 // 服務狀態 API
-app.get('/status', (req, res) => {
+app.get('/status', requireRole('operator'), (req, res) => {
   try {
-    const autoRevealService = getAutoRevealService();
-    
-    // 檢查服務是否在運行
-    const isRunning = autoRevealService && autoRevealService.isRunning;
-    
-    // 獲取待處理投注數量
-    const pendingBetsCount = autoRevealService ? autoRevealService.pendingBets.size : 0;
+    const deployments = getAutoRevealServices().map(getDeploymentStatus);
+    // 主要部署的狀態同時保留在頂層欄位
+    const { name, chainId, contractAddress, ...primary } = deployments[0];
     
     res.json({
-      status: isRunning ? 'running' : 'stopped',
-      pendingBets: pendingBetsCount,
+      ...primary,
+      deployments,
+      instanceId: INSTANCE_ID,
       startTime: global.serviceStartTime,
       databaseConnected: mongoose.connection.readyState === 1
     });
@@ -113,25 +236,27 @@ async function initializeServices() {
       monitorDatabaseConnection();
     }
     
-    // 初始化自動揭示服務
+    // 初始化各部署的自動揭示服務
     console.log('正在初始化自動揭示服務...');
-    const autoRevealService = getAutoRevealService();
-    try {
-      const initialized = await autoRevealService.initialize();
-      
-      if (initialized) {
-        console.log('自動揭示服務已成功啟動');
-        global.autoRevealService = autoRevealService;
-        global.serviceStartTime = new Date().toISOString();
-      } else {
-        console.error('自動揭示服務初始化失敗');
+    const autoRevealServices = getAutoRevealServices();
+    // 儘管初始化可能失敗，我們仍將其設置為全局變數以避免其他地方出錯
+    global.autoRevealService = getAutoRevealService();
+    global.autoRevealServices = autoRevealServices;
+    global.serviceStartTime = new Date().toISOString();
+    
+    for (const autoRevealService of autoRevealServices) {
+      try {
+        const initialized = await autoRevealService.initialize();
+        
+        if (initialized) {
+          console.log(`部署 ${autoRevealService.name} 的自動揭示服務已成功啟動`);
+        } else {
+          console.error(`部署 ${autoRevealService.name} 的自動揭示服務初始化失敗`);
+        }
+      } catch (serviceError) {
+        console.error(`部署 ${autoRevealService.name} 的自動揭示服務初始化過程中發生錯誤:`, serviceError);
+        console.warn('服務將以降級模式運行，某些功能可能不可用');
       }
-    } catch (serviceError) {
-      console.error('自動揭示服務初始化過程中發生錯誤:', serviceError);
-      console.warn('服務將以降級模式運行，某些功能可能不可用');
-      // 儘管有錯誤，我們仍將其設置為全局變數以避免其他地方出錯
-      global.autoRevealService = autoRevealService;
-      global.serviceStartTime = new Date().toISOString();
     }
   } catch (error) {
     console.error('初始化服務時發生錯誤:', error);
@@ -148,8 +273,8 @@ app.listen(PORT, async () => {
 process.on('SIGINT', async () => {
   console.log('收到關閉信號，正在停止服務...');
   
-  if (global.autoRevealService) {
-    await global.autoRevealService.stop();
+  for (const autoRevealService of global.autoRevealServices || []) {
+    await autoRevealService.stop();
   }
   
   // 關閉資料庫連接
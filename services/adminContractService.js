@@ -0,0 +1,190 @@
+/**
+ * 合約管理函數調用
+ * 以管理錢包調用合約的 owner 函數：先以 staticCall 模擬，模擬通過後發送交易並等待確認，
+ * 每個階段都追加一筆 AdminAudit 記錄
+ */
+const crypto = require('crypto');
+const AdminAudit = require('../models/AdminAudit');
+const { decodeRevert } = require('../utils/revertDecoder');
+const { ADMIN_TX_CONFIRMATIONS, ADMIN_TX_TIMEOUT_MS } = require('../config/contract');
+
+// 可調用的合約管理函數及其參數順序
+const ADMIN_ACTIONS = {
+  setFeePercent: {
+    args: params => [params.bankerFeePercent, params.playerWinFeePercent]
+  },
+  setBlockParams: {
+    args: params => [params.revealDelay, params.maxCommitAge],
+    // 確認後立即刷新服務使用的區塊參數
+    afterConfirmed: autoRevealService => autoRevealService.refreshBlockParams()
+  },
+  withdrawPlatformEarnings: {
+    args: () => []
+  }
+};
+
+// 管理交易依序發送，避免同一管理錢包的交易爭用 nonce
+let callQueue = Promise.resolve();
+
+/**
+ * 追加審計記錄
+ * @param {Object} base 同一次調用的共同欄位
+ * @param {Object} fields 本階段的欄位
+ * @returns {Promise<Object>} 審計記錄
+ */
+async function appendAudit(base, fields) {
+  return AdminAudit.create({ ...base, ...fields });
+}
+
+/**
+ * 追加審計記錄，交易已發送後的寫入失敗只記錄日誌，不影響回應
+ * @param {Object} base 同一次調用的共同欄位
+ * @param {Object} fields 本階段的欄位
+ */
+async function appendAuditSafely(base, fields) {
+  try {
+    await appendAudit(base, fields);
+  } catch (error) {
+    console.error(`寫入管理操作審計記錄失敗 (${base.requestId} ${fields.stage}):`, error.message, fields);
+  }
+}
+
+/**
+ * 調用合約管理函數
+ * @param {Object} autoRevealService 部署的自動揭示服務（需已初始化）
+ * @param {string} action 管理函數名稱
+ * @param {Object} params 已校驗的參數
+ * @param {Object} caller 調用者身份 {name, ip, userAgent}
+ * @returns {Promise<Object>} 調用結果 {requestId, action, params, stage, signer, transactionHash, blockNumber, gasUsed, revertReason, error}
+ */
+async function executeAdminCall(autoRevealService, action, params, caller) {
+  const run = callQueue.then(() => runAdminCall(autoRevealService, action, params, caller));
+  callQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * 執行一次合約管理函數調用
+ * @param {Object} autoRevealService 部署的自動揭示服務
+ * @param {string} action 管理函數名稱
+ * @param {Object} params 參數
+ * @param {Object} caller 調用者身份
+ * @returns {Promise<Object>} 調用結果
+ * @private
+ */
+async function runAdminCall(autoRevealService, action, params, caller) {
+  const definition = ADMIN_ACTIONS[action];
+  if (!definition) {
+    throw new Error(`不支援的合約管理函數: ${action}`);
+  }
+
+  const base = {
+    requestId: crypto.randomUUID(),
+    deployment: autoRevealService.name,
+    chainId: autoRevealService.chainId,
+    contractAddress: autoRevealService.contractAddress,
+    caller,
+    action,
+    params
+  };
+  const result = {
+    requestId: base.requestId,
+    action,
+    params,
+    stage: 'requested',
+    signer: null,
+    transactionHash: null,
+    blockNumber: null,
+    gasUsed: null,
+    revertReason: null,
+    error: null
+  };
+
+  // 請求記錄寫入失敗時不發送交易，確保每筆管理交易都有審計記錄
+  await appendAudit(base, { stage: 'requested' });
+  console.log(`管理操作 ${base.requestId}: ${caller.name} 請求調用 ${action}`, params);
+
+  const finish = async (stage, fields = {}) => {
+    Object.assign(result, fields, { stage });
+    await appendAuditSafely(base, { stage, signer: result.signer, ...fields });
+    return result;
+  };
+
+  let signer;
+  try {
+    signer = await autoRevealService.getAdminSigner();
+    result.signer = await signer.getAddress();
+  } catch (error) {
+    console.error(`管理操作 ${base.requestId}: 無法取得管理錢包:`, error.message);
+    return finish('failed', { error: error.message });
+  }
+
+  const contract = autoRevealService.contract.connect(signer);
+  const args = definition.args(params);
+
+  // 模擬調用，會回退時不發送交易
+  try {
+    await contract[action].staticCall(...args);
+  } catch (error) {
+    const revertReason = decodeRevert(error);
+    if (revertReason) {
+      console.warn(`管理操作 ${base.requestId}: ${action} 模擬回退: ${revertReason.message}`);
+      return finish('rejected', { revertReason, error: revertReason.message });
+    }
+    console.error(`管理操作 ${base.requestId}: ${action} 模擬調用失敗:`, error.message);
+    return finish('failed', { error: error.shortMessage || error.message });
+  }
+
+  let tx;
+  try {
+    tx = await contract[action](...args);
+  } catch (error) {
+    console.error(`管理操作 ${base.requestId}: 發送 ${action} 交易失敗:`, error.message);
+    return finish('failed', { revertReason: decodeRevert(error), error: error.shortMessage || error.message });
+  }
+
+  result.transactionHash = tx.hash;
+  await appendAuditSafely(base, { stage: 'submitted', signer: result.signer, transactionHash: tx.hash, nonce: tx.nonce });
+  console.log(`管理操作 ${base.requestId}: 已發送 ${action} 交易 ${tx.hash}，等待 ${ADMIN_TX_CONFIRMATIONS} 個確認`);
+
+  let receipt;
+  try {
+    receipt = await tx.wait(ADMIN_TX_CONFIRMATIONS, ADMIN_TX_TIMEOUT_MS);
+  } catch (error) {
+    if (error.code === 'TIMEOUT') {
+      console.warn(`管理操作 ${base.requestId}: ${action} 交易 ${tx.hash} 等待確認超時`);
+      return finish('timeout', { transactionHash: tx.hash, error: `等待確認超過 ${ADMIN_TX_TIMEOUT_MS} 毫秒，交易仍可能上鏈` });
+    }
+
+    // 交易上鏈但執行失敗
+    const failedReceipt = error.receipt || null;
+    console.error(`管理操作 ${base.requestId}: ${action} 交易 ${tx.hash} 失敗:`, error.shortMessage || error.message);
+    return finish('failed', {
+      transactionHash: tx.hash,
+      blockNumber: failedReceipt ? failedReceipt.blockNumber : null,
+      gasUsed: failedReceipt ? failedReceipt.gasUsed.toString() : null,
+      error: error.shortMessage || error.message
+    });
+  }
+
+  console.log(`管理操作 ${base.requestId}: ${action} 交易 ${tx.hash} 已在區塊 ${receipt.blockNumber} 確認`);
+
+  if (definition.afterConfirmed) {
+    try {
+      await definition.afterConfirmed(autoRevealService);
+    } catch (error) {
+      console.error(`管理操作 ${base.requestId}: ${action} 確認後的處理失敗:`, error.message);
+    }
+  }
+
+  return finish('confirmed', {
+    transactionHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString()
+  });
+}
+
+module.exports = {
+  ADMIN_ACTIONS,
+  executeAdminCall
+};
@@ -0,0 +1,131 @@
+/**
+ * 簽名審計包裝
+ * 包裝任一簽名後端（環境變數私鑰、加密 keystore、外部簽名服務），
+ * 每一次簽名請求無論成功與否都寫入 SigningAudit 記錄
+ */
+const { ethers } = require('ethers');
+const SigningAudit = require('../models/SigningAudit');
+
+class AuditedSigner extends ethers.AbstractSigner {
+  /**
+   * @param {ethers.Signer} signer 實際簽名的簽名者
+   * @param {Object} options 選項
+   * @param {string} options.backend 簽名後端名稱 env / keystore / remote
+   * @param {ethers.Interface} [options.contractInterface] 用於解碼調用方法的合約介面
+   * @param {Object} [options.context] 附加到審計記錄的信息 {deployment, chainId}
+   */
+  constructor(signer, { backend, contractInterface = null, context = {} }) {
+    super(signer.provider);
+    this.signer = signer;
+    this.backend = backend;
+    this.contractInterface = contractInterface;
+    this.context = context;
+  }
+
+  async getAddress() {
+    return this.signer.getAddress();
+  }
+
+  connect(provider) {
+    return new AuditedSigner(this.signer.connect(provider), {
+      backend: this.backend,
+      contractInterface: this.contractInterface,
+      context: this.context
+    });
+  }
+
+  async signTransaction(tx) {
+    const fields = this._describeTransaction(tx);
+
+    return this._audit('transaction', fields, async () => {
+      const signed = await this.signer.signTransaction(tx);
+      return { result: signed, transactionHash: ethers.keccak256(signed) };
+    });
+  }
+
+  async signMessage(message) {
+    return this._audit('message', {}, async () => ({ result: await this.signer.signMessage(message) }));
+  }
+
+  async signTypedData(domain, types, value) {
+    return this._audit('typedData', {}, async () => ({ result: await this.signer.signTypedData(domain, types, value) }));
+  }
+
+  /**
+   * 提取交易中需要審計的欄位
+   * @param {ethers.TransactionRequest} tx 交易
+   * @returns {Object} 審計欄位
+   * @private
+   */
+  _describeTransaction(tx) {
+    const fields = {
+      to: typeof tx.to === 'string' ? tx.to : null,
+      nonce: tx.nonce !== undefined && tx.nonce !== null ? Number(tx.nonce) : null,
+      value: tx.value !== undefined && tx.value !== null ? tx.value.toString() : '0',
+      method: null,
+      args: []
+    };
+
+    if (tx.data && tx.data !== '0x') {
+      fields.method = tx.data.slice(0, 10);
+      if (this.contractInterface) {
+        try {
+          const parsed = this.contractInterface.parseTransaction({ data: tx.data, value: tx.value });
+          if (parsed) {
+            fields.method = parsed.name;
+            fields.args = Array.from(parsed.args).map(arg => arg.toString());
+          }
+        } catch (error) {
+          // 非本合約的調用只記錄函數選擇器
+        }
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * 執行簽名並寫入審計記錄
+   * @param {string} operation 簽名操作
+   * @param {Object} fields 審計欄位
+   * @param {Function} sign 簽名函數，返回 {result, transactionHash?}
+   * @returns {Promise<string>} 簽名結果
+   * @private
+   */
+  async _audit(operation, fields, sign) {
+    const startedAt = Date.now();
+    const address = await this.getAddress();
+    const record = {
+      ...this.context,
+      ...fields,
+      backend: this.backend,
+      address,
+      operation
+    };
+
+    try {
+      const { result, transactionHash = null } = await sign();
+      console.log(`簽名審計: ${this.backend} 錢包 ${address} 簽署 ${operation}${fields.method ? ` (${fields.method}, nonce ${fields.nonce})` : ''}${transactionHash ? ` -> ${transactionHash}` : ''}`);
+      this._writeRecord({ ...record, transactionHash, success: true, durationMs: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      console.warn(`簽名審計: ${this.backend} 錢包 ${address} 簽署 ${operation} 失敗: ${error.message}`);
+      this._writeRecord({ ...record, success: false, error: error.message, durationMs: Date.now() - startedAt });
+      throw error;
+    }
+  }
+
+  /**
+   * 寫入審計記錄
+   * 不等待寫入完成，數據庫暫時斷線時由 mongoose 緩衝，避免拖慢結算；寫入失敗只記錄日誌
+   * @param {Object} record 審計記錄
+   * @private
+   */
+  _writeRecord(record) {
+    SigningAudit.create(record).catch((error) => {
+      console.error('寫入簽名審計記錄失敗:', error.message, record);
+    });
+  }
+}
+
+module.exports = AuditedSigner;
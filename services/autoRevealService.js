@@ -5,14 +5,60 @@
 const { ethers } = require('ethers');
 const EventEmitter = require('events');
 const mongoose = require('mongoose');
-const { CONTRACT_ADDRESS, CONTRACT_ABI, RPC_URL, RPC_WSS_URL } = require('../config/contract');
+const {
+  CONTRACT_ABI,
+  RPC_MAX_BLOCK_LAG,
+  SETTLER_SIGNER_BACKEND,
+  SETTLER_PRIVATE_KEYS,
+  SETTLER_MIN_BALANCE,
+  SETTLER_POOL_LOW_BALANCE,
+  SETTLER_BALANCE_CHECK_INTERVAL_MS,
+  INSTANCE_ID,
+  LEADER_LEASE_MS,
+  LEADER_RENEW_INTERVAL_MS,
+  INDEXER_BATCH_SIZE,
+  CONFIRMATION_DEPTH,
+  SETTLEMENT_MAX_CONCURRENT,
+  SETTLEMENT_STUCK_TIMEOUT_MS,
+  SETTLEMENT_FEE_BUMP_PERCENT,
+  SETTLEMENT_MAX_REPLACEMENTS,
+  SETTLEMENT_MAX_FEE_GWEI,
+  SETTLEMENT_MAX_ATTEMPTS,
+  SETTLEMENT_RETRY_BASE_MS,
+  SETTLEMENT_RETRY_MAX_MS,
+  SETTLEMENT_EXPIRY_WARNING_BLOCKS
+} = require('../config/contract');
 const CustomWebSocketManager = require('./customWebSocket');
+const RpcPool = require('./rpcPool');
+const BackfillIndexer = require('./backfillIndexer');
+const ReorgMonitor = require('./reorgMonitor');
+const SettlerPool = require('./settlerPool');
+const { createSettlerSigners, createAdminSigner } = require('./settlerSigners');
+const LeaderElection = require('./leaderElection');
+const { saveBetPlaced, saveBetSettled } = require('./eventStore');
+const { saveFeeUpdated, rollbackFeeUpdates } = require('./feeStore');
+const { retryDelay, saveJob, recordJobFailure, closeJob, escalateJob } = require('./settlementJobStore');
 const GameEvent = require('../models/GameEvent');
+const SettlementPause = require('../models/SettlementPause');
+const { sendAlert } = require('../utils/alert');
+const { decodeRevert } = require('../utils/revertDecoder');
+
+// 合約只能讀取最近 256 個區塊的 blockhash，超過後無法再計算投注結果
+const BLOCKHASH_WINDOW = 256;
 
 class AutoRevealService extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} deployment 部署配置 {name, chainId, contractAddress, startBlock, rpcUrls, rpcWssUrls}
+   */
+  constructor(deployment) {
     super();
     
+    // 部署配置，chainId 未配置時於初始化時從節點讀取
+    this.deployment = deployment;
+    this.name = deployment.name;
+    this.chainId = deployment.chainId;
+    this.contractAddress = deployment.contractAddress;
+    
     // 初始化狀態
     this.isRunning = false;
     this.checkInterval = null;
@@ -26,13 +72,47 @@ class AutoRevealService extends EventEmitter {
     // 設置揭示延遲（區塊數）
     this.revealDelay = 3; // 默認為3個區塊
     
-    // HTTP 提供者和簽名者（用於發送交易）
+    // 投注提交後可結算的最大區塊數，從合約讀取，未知時只依 blockhash 可用範圍判斷過期
+    this.maxCommitAge = null;
+    this.blockParamsInterval = null;
+    
+    // HTTP 提供者和合約（合約實例只用於讀取，結算交易由錢包池發送）
     this.httpProvider = null;
-    this.signer = null;
     this.contract = null;
     
-    // 待處理的投注 - Map<string, {roomId, player, revealBlock, betId}>
+    // 結算錢包池（每個錢包各自分配 nonce、並發發送與替換卡住交易），只在本實例為領導者時運行
+    this.settlerPool = null;
+    
+    // 調用合約管理函數的錢包，首次使用時創建
+    this.adminSigner = null;
+    
+    // 領導者選舉：多個副本中只有持有租約的實例結算投注，其他副本只索引事件與提供 API
+    this.leaderElection = null;
+    this.roleChange = Promise.resolve();
+    
+    // 待處理的投注 - Map<betKey, {roomId, player, revealBlock, betId, transactionHash, logIndex}>
+    // betKey 為 BetPlaced 日誌的 transactionHash-logIndex，同一玩家在同一房間的多筆投注各自獨立
     this.pendingBets = new Map();
+    
+    // 揭示區塊暫時無法確定的投注 - Map<betKey, {transactionHash, logIndex, attempts, reason, nextRetryAt, timer}>
+    // 不以本地推算的區塊排程，依指數退避重新讀取鏈上事件後再加入待處理列表
+    this.deferredBets = new Map();
+    
+    // 事件中的揭示區塊與本地推算不一致的次數與最近一筆
+    this.revealBlockDiscrepancies = { count: 0, last: null };
+    
+    // 最後讀取的結算暫停狀態 {reason, pausedBy, pausedAt, resumeAt}，暫停時仍索引事件與排程投注，但不發送結算交易
+    // 暫停狀態保存在數據庫中由所有實例共用，服務重啟或切換結算者後仍保持暫停
+    this.settlementPause = null;
+    
+    // 歷史事件回補索引器
+    this.indexer = null;
+    
+    // 鏈重組監控器
+    this.reorgMonitor = null;
+    
+    // 重啟後待處理投注恢復報告
+    this.recoveryReport = null;
   }
   
   /**
@@ -40,36 +120,42 @@ class AutoRevealService extends EventEmitter {
    * @returns {Promise<boolean>} 初始化是否成功
    */
   async initialize() {
-    if (!process.env.SETTLER_PRIVATE_KEY) {
-      throw new Error('未設置 SETTLER_PRIVATE_KEY 環境變數，自動揭示服務無法啟動');
+    if (SETTLER_SIGNER_BACKEND === 'env' && SETTLER_PRIVATE_KEYS.length === 0) {
+      throw new Error('未設置 SETTLER_PRIVATE_KEYS 或 SETTLER_PRIVATE_KEY 環境變數，自動揭示服務無法啟動');
     }
     
     try {
-      console.log('正在初始化自動揭示服務...');
-      
-      // 初始化 HTTP 提供者
-      this.httpProvider = new ethers.JsonRpcProvider(RPC_URL);
-      
-      // 使用私鑰創建簽名者
-      this.signer = new ethers.Wallet(process.env.SETTLER_PRIVATE_KEY, this.httpProvider);
-      this.contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, this.signer);
+      console.log(`正在初始化自動揭示服務 (部署 ${this.name}, 合約 ${this.contractAddress})...`);
       
-      const signerAddress = await this.signer.getAddress();
-      console.log(`自動揭示服務使用錢包地址: ${signerAddress}`);
+      // 初始化 HTTP 提供者（RPC 節點池，請求失敗時自動切換節點）
+      this.httpProvider = new RpcPool(this.deployment.rpcUrls, { maxBlockLag: RPC_MAX_BLOCK_LAG });
+      this.httpProvider.startHealthCheck();
       
-      // 檢查餘額
-      const balance = await this.httpProvider.getBalance(signerAddress);
-      console.log(`錢包餘額: ${ethers.formatEther(balance)} ETH`);
-      
-      if (balance < ethers.parseEther('0.01')) {
-        console.warn('警告: 錢包餘額過低，可能無法支付足夠的交易費用!');
+      // 校驗節點所在的鏈與部署配置一致
+      const network = await this.httpProvider.getNetwork();
+      const networkChainId = Number(network.chainId);
+      if (this.chainId !== null && this.chainId !== networkChainId) {
+        throw new Error(`部署 ${this.name} 配置的 chainId ${this.chainId} 與節點返回的 ${networkChainId} 不一致`);
       }
+      this.chainId = networkChainId;
+      
+      this.contract = new ethers.Contract(this.contractAddress, CONTRACT_ABI, this.httpProvider);
       
       // 初始化 WebSocket 連接
       await this._initWebSocketConnection();
       
-      // 從合約讀取 revealDelay 值
-      await this._fetchContractRevealDelay();
+      // 從合約讀取 revealDelay 與 maxCommitAge，並定期刷新
+      await this._fetchContractBlockParams();
+      this._startBlockParamsRefresh();
+      
+      // 回補服務停機期間遺漏的歷史事件
+      await this._startBackfillIndexer();
+      
+      // 競選結算者，成為領導者後啟動結算錢包池並恢復未結算的投注
+      await this._startLeaderElection();
+      
+      // 啟動鏈重組監控
+      this._startReorgMonitor();
       
       // 啟動待處理投注檢查
       this._startPendingBetCheck();
@@ -88,6 +174,22 @@ class AutoRevealService extends EventEmitter {
     }
   }
   
+  /**
+   * 本部署事件的查詢條件
+   * @returns {{chainId: number, contractAddress: string}} 查詢條件
+   */
+  eventFilter() {
+    return { chainId: this.chainId, contractAddress: this.contractAddress };
+  }
+
+  /**
+   * 獲取事件來源狀態（WebSocket 訂閱或 HTTP 輪詢）
+   * @returns {Object|null} 狀態信息
+   */
+  getEventSourceStatus() {
+    return this.wsManager ? this.wsManager.getStatus() : null;
+  }
+
   /**
    * 停止服務
    * @returns {boolean} 是否成功停止
@@ -131,9 +233,9 @@ class AutoRevealService extends EventEmitter {
 
   /**
    * 停止服務
-   * @returns {boolean} 是否成功停止
+   * @returns {Promise<boolean>} 是否成功停止
    */
-  stop() {
+  async stop() {
     console.log('正在停止自動揭示服務...');
     
     // 清理定時器
@@ -147,6 +249,30 @@ class AutoRevealService extends EventEmitter {
       this.reconnectInterval = null;
     }
     
+    if (this.blockParamsInterval) {
+      clearInterval(this.blockParamsInterval);
+      this.blockParamsInterval = null;
+    }
+    
+    if (this.reorgMonitor) {
+      this.reorgMonitor.stop();
+    }
+    
+    this._clearDeferredBets();
+    
+    if (this.settlerPool) {
+      this.settlerPool.stop();
+    }
+    
+    // 釋放租約，讓其他副本立即接手結算
+    if (this.leaderElection) {
+      await this.leaderElection.stop();
+    }
+    
+    if (this.httpProvider) {
+      this.httpProvider.stopHealthCheck();
+    }
+    
     // 清理 WebSocket
     if (this.wsManager) {
       this.wsManager.stop();
@@ -176,8 +302,14 @@ class AutoRevealService extends EventEmitter {
    */
   async _initWebSocketConnection() {
     try {
-      // 創建 WebSocket 管理器
-      this.wsManager = new CustomWebSocketManager(RPC_WSS_URL, RPC_URL);
+      // 創建 WebSocket 管理器，訂閱中斷時改用 HTTP 輪詢合約日誌
+      const eventTopics = ['BetPlaced', 'BetSettled'].map(name => this.contract.interface.getEvent(name).topicHash);
+      this.wsManager = new CustomWebSocketManager(this.deployment.rpcWssUrls, this.httpProvider, {
+        logFilter: {
+          address: this.contractAddress,
+          topics: [eventTopics]
+        }
+      });
       
       // 監聽連接事件
       this.wsManager.on('connected', (provider) => {
@@ -188,12 +320,34 @@ class AutoRevealService extends EventEmitter {
       this.wsManager.on('reconnected', (provider) => {
         this.wsProvider = provider;
         this._setupEventListeners();
+        
+        // 補齊斷線期間遺漏的事件
+        if (this.indexer && this.indexer.mode === 'live') {
+          this.indexer.catchUp().catch((error) => {
+            console.error('重連後回補事件失敗:', error);
+          });
+        }
+      });
+      
+      // 輪詢取得的日誌與訂閱事件走相同的寫入流程，重複日誌由唯一索引去重；
+      // 寫入失敗時錯誤傳回管理器，輪詢進度與索引檢查點都停在失敗的區塊之前
+      this.wsManager.on('log', (log) => this._ingestLiveLog(log));
+      
+      this.wsManager.on('polled', (blockNumber) => {
+        if (this.indexer) {
+          this.indexer.recordLiveBlock(blockNumber + 1);
+        }
       });
       
       // 連接 WebSocket
       await this.wsManager.connect();
       
     } catch (error) {
+      // 已切換到輪詢模式時服務仍可繼續運作，由管理器在背景重連
+      if (this.wsManager && this.wsManager.mode === 'polling') {
+        console.warn('WebSocket 連接失敗，暫時以 HTTP 輪詢模式運作:', error.message);
+        return;
+      }
       console.error('初始化 WebSocket 連接失敗:', error);
       throw error;
     }
@@ -221,119 +375,15 @@ class AutoRevealService extends EventEmitter {
       }
       
       // 創建合約實例
-      this.wsContract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, this.wsProvider);
+      this.wsContract = new ethers.Contract(this.contractAddress, CONTRACT_ABI, this.wsProvider);
       
       console.log('設置 BetPlaced 事件監聽器...');
       
-      // 監聽 BetPlaced 事件
+      // 監聽 BetPlaced 事件，與歷史回補共用同一條寫入路徑
       this.wsContract.on('BetPlaced', async (roomId, player, amount, betBig, commitBlock, revealBlock, event) => {
         try {
-          const formattedRoomId = parseInt(roomId);
-          const txHash = event && event.log ? event.log.transactionHash : undefined;
-          
-          console.log(`收到 BetPlaced 事件: 房間=${formattedRoomId}, 玩家=${player}, 投注金額=${ethers.formatEther(amount)} ETH, 押大=${betBig}`);
-          console.log(`交易哈希: ${txHash || '未知'}`);
-          console.log(`投注將在區塊 ${revealBlock} 進行結算 (當前區塊: ${await this.wsProvider.getBlockNumber()})`);
-          
-          // 創建唯一鍵: roomId-player
-          const key = `${formattedRoomId}-${player}`;
-          
-          // 獲取當前區塊號 - 確保正確存取區塊號
-          let currentBlockNumber;
-          try {
-            // 檢查事件對象中的區塊號位置
-            if (event && typeof event.blockNumber !== 'undefined') {
-              currentBlockNumber = Number(event.blockNumber);
-            } else if (event && event.log && typeof event.log.blockNumber !== 'undefined') {
-              currentBlockNumber = Number(event.log.blockNumber);
-            } else {
-              // 直接查詢當前區塊號
-              currentBlockNumber = Number(await this.wsProvider.getBlockNumber());
-            }
-          } catch (error) {
-            console.error('獲取區塊號錯誤:', error);
-            // 如果出錯，使用網路查詢當前區塊
-            try {
-              currentBlockNumber = Number(await this.wsProvider.getBlockNumber());
-            } catch (fallbackError) {
-              console.error('備用獲取區塊號也錯誤:', fallbackError);
-              currentBlockNumber = Math.floor(Date.now() / 15000); // 使用粗略估計值
-            }
-          }
-          
-          console.log(`當前區塊號: ${currentBlockNumber}`);
-          const safeRevealDelay = typeof this.revealDelay === 'number' && !isNaN(this.revealDelay) ? this.revealDelay : 3;
-          const targetRevealBlock = currentBlockNumber + safeRevealDelay;
-
-          // 將投注事件添加到待處理列表
-          const pendingBet = {
-            roomId: formattedRoomId,
-            player,
-            amount,
-            betBig, // 保存投注方向
-            blockNumber: currentBlockNumber,
-            timeStamp: Math.floor(Date.now() / 1000), // 正確記錄時間戳（秒）
-            commitBlock: currentBlockNumber, // 提交區塊為當前區塊
-            revealBlock: targetRevealBlock, // 揭示區塊為當前區塊 + 延遲
-            transactionHash: txHash // 保存交易哈希用於後續處理
-          };
-          
-          // 再次確保 revealBlock 是有效數字
-          if (isNaN(pendingBet.revealBlock) || pendingBet.revealBlock === undefined) {
-            console.log(`警告：revealBlock 計算結果無效，使用當前區塊號 ${currentBlockNumber} + ${safeRevealDelay}`);
-            pendingBet.revealBlock = currentBlockNumber + safeRevealDelay;
-          }
-          
-          console.log(`設置揭示區塊: ${pendingBet.revealBlock} (當前區塊 ${currentBlockNumber} + 延遲 ${safeRevealDelay})`); 
-          
-          console.log(`待處理投注詳情：roomId=${pendingBet.roomId}, player=${pendingBet.player}, betBig=${pendingBet.betBig}, revealBlock=${pendingBet.revealBlock}`);
-          this.pendingBets.set(key, pendingBet);
-          
-          // 將事件儲存到數據庫
-          try {
-            // 獲取交易哈希
-            const txHash = event && event.log ? event.log.transactionHash : undefined;
-            
-            // 獲取區塊詳細信息
-            const block = await this.wsProvider.getBlock(event.blockNumber);
-            console.log(`下注事件詳情: 交易哈希=${txHash || '無'}, 金額=${ethers.formatEther(amount)} ETH`);
-            
-            // 存儲原始金額和格式化金額以方便後續使用
-            const amountWei = amount.toString();
-            const amountEth = ethers.formatEther(amount);
-            
-            // 生成唯一標識，避免索引衝突
-            const randomId = Date.now() + Math.floor(Math.random() * 100000);
-            const blockNum = Number(event.blockNumber) || Math.floor(randomId / 100000);
-            const logIdx = event && event.log && event.log.index ? Number(event.log.index) : (randomId % 100000);
-            
-            // 建立新的遊戲事件記錄
-            const gameEvent = new GameEvent({
-              eventType: 'BetPlaced',
-              roomId: formattedRoomId,
-              player,
-              amount: amountEth,             // 使用可讀格式的金額
-              amountWei: amountWei,         // 同時保存原始 Wei 格式
-              betBig,
-              commitBlock: Number(commitBlock),
-              revealBlock: Number(revealBlock),
-              transactionHash: txHash || '', // 使用正確的交易哈希
-              blockNumber: blockNum,  // 使用實際區塊號或生成的唯一值
-              blockTimestamp: block ? Number(block.timestamp) : Math.floor(Date.now() / 1000),
-              logIndex: logIdx  // 使用實際日誌索引或生成的唯一值
-            });
-            
-            // 保存到數據庫
-            await gameEvent.save();
-            console.log(`已將 BetPlaced 事件保存到數據庫, ID: ${gameEvent._id}`);
-            
-            // 不在投注階段記錄JSON文件，只在結算階段生成一個完整的JSON
-            console.log(`投注事件已保存到數據庫，等待結算後再生成完整JSON文件`);
-          } catch (dbError) {
-            console.error('將 BetPlaced 事件存入數據庫失敗:', dbError);
-          }
-          
-          console.log(`添加新的待處理投注: ${key}, 當前待處理投注數: ${this.pendingBets.size}`);
+          console.log(`收到 BetPlaced 事件: 房間=${parseInt(roomId)}, 玩家=${player}, 投注金額=${ethers.formatEther(amount)} ETH, 押大=${betBig}`);
+          await this._ingestLiveLog(event.log);
         } catch (error) {
           console.error('處理 BetPlaced 事件失敗:', error);
         }
@@ -341,205 +391,26 @@ class AutoRevealService extends EventEmitter {
       
       console.log('設置 BetSettled 事件監聽器...');
       
-      // 已處理的交易哈希集合，用來避免重複處理同一個結算事件
-      const processedTxHashes = new Set();
-      
-      // 監聽 BetSettled 事件
+      // 監聽 BetSettled 事件，重複送達的事件由 (transactionHash, logIndex) 去重
       this.wsContract.on('BetSettled', async (roomId, player, amount, won, hashValue, blockHash, betId, event) => {
-        const txHash = event && event.log ? event.log.transactionHash : event.transactionHash;
-        
-        // 如果交易哈希存在且已經處理過，則跳過
-        if (txHash && processedTxHashes.has(txHash)) {
-          console.log(`跳過重複的BetSettled事件，交易哈希: ${txHash}`);
-          return;
-        }
-        
-        // 如果沒有交易哈希，使用獨特的標識符來避免重複處理
-        const betIdentifier = txHash || `${roomId}-${player}-${betId}-${Date.now()}`;
-        
-        // 將此交易哈希或標識符加入已處理集合
-        processedTxHashes.add(betIdentifier);
         try {
-          const formattedRoomId = parseInt(roomId);
-          // 使用前面已經定義的txHash
-          
-          console.log(`收到 BetSettled 事件: 房間=${formattedRoomId}, 玩家=${player}, 贏=${won}, 哈希值=${hashValue}, 投注ID=${betId}`);
-          console.log(`交易哈希: ${txHash || '未知'}, 金額=${ethers.formatEther(amount)} ETH`);
-          
-          // 創建唯一鍵: roomId-player
-          const key = `${formattedRoomId}-${player}`;
-          
-          // 檢查是否在待處理列表中，如果是則移除
-          const wasPending = this.pendingBets.has(key);
-          let revealBlockNum = null;
-          let originalBetAmount = null; // 原始投注金額
-          let originalTxHash = null;
-          let originalBetBig = null; // 原始投注方向
-          
-          if (wasPending) {
-            // 從待處理列表獲取原始的揭示區塊號和投注金額
-            const pendingBet = this.pendingBets.get(key);
-            if (pendingBet) {
-              // 使用待處理投注中的原始投注金額，不使用結算事件中的金額
-              originalBetAmount = pendingBet.amount;
-              originalBetBig = pendingBet.betBig; // 獲取原始投注方向
-              
-              // 確保使用正確的揭示區塊號
-              revealBlockNum = Number(pendingBet.revealBlock);
-              if (isNaN(revealBlockNum) || revealBlockNum <= 0) {
-                // 如果堆發現揭示區塊號無效，嘗試使用原始的計算方式
-                const currentBlock = Number(pendingBet.commitBlock);
-                const safeRevealDelay = typeof this.revealDelay === 'number' && !isNaN(this.revealDelay) ? this.revealDelay : 3;
-                revealBlockNum = currentBlock + safeRevealDelay;
-                console.log(`重新計算揭示區塊號: ${revealBlockNum} (提交區塊 ${currentBlock} + 延遲 ${safeRevealDelay})`);
-              }
-              
-              console.log(`投注使用的揭示區塊號為: ${revealBlockNum}`);
-              console.log(`使用原始投注金額: ${ethers.formatEther(originalBetAmount)} ETH`);
-              console.log(`原始投注方向: ${originalBetBig ? '大' : '小'}`);
-              
-              // 保存原始交易哈希
-              originalTxHash = pendingBet.transactionHash;
-            }
-            this.pendingBets.delete(key);
-          }
-          
-          // 如果沒有找到原始投注金額，則使用事件中的金額
-          if (!originalBetAmount) {
-            originalBetAmount = amount;
-            console.log(`未找到原始投注記錄，使用結算事件金額: ${ethers.formatEther(originalBetAmount)} ETH`);
-          }
-          
-          // 將結算事件儲存到數據庫
-          try {
-            // 獲取交易哈希
-            const txHash = event && event.log ? event.log.transactionHash : undefined;
-            
-            // 獲取區塊詳細信息
-            const block = await this.wsProvider.getBlock(event.blockNumber);
-            
-            // 印出事件詳情用于調試
-            console.log(`結算事件詳情: 交易哈希=${txHash || '無'}, 原始金額=${amount.toString()}, 開出結果=${hashValue}`);
-            
-            // 轉換金額並記錄原始價值
-            const amountWei = originalBetAmount.toString();
-            const amountEth = ethers.formatEther(originalBetAmount);
-            
-            // 生成唯一標識，避免索引衝突
-            const randomId = Date.now() + Math.floor(Math.random() * 100000);
-            const blockNum = Number(event.blockNumber) || Math.floor(randomId / 100000);
-            const logIdx = event && event.log && event.log.index ? Number(event.log.index) : (randomId % 100000);
-            
-            // 計算獎勵金額並轉成可讀格式
-            let rewardAmountWei = "0";
-            let rewardAmountEth = "0.0";
-            if (won) {
-              // 使用智能合約返回的獎勵金額，而不是再次計算
-              // 獎勵金額就是合約返回的結算金額
-              rewardAmountWei = amount.toString();
-              rewardAmountEth = ethers.formatEther(rewardAmountWei);
-              console.log(`玩家贏得遊戲，獎勵金額: ${rewardAmountEth} ETH`);
-            }
-            
-            // 建立新的遊戲事件記錄
-            const gameEvent = new GameEvent({
-              eventType: 'BetSettled',
-              roomId: formattedRoomId,
-              player,
-              amount: ethers.formatEther(originalBetAmount),  // 使用原始投注金額
-              amountWei: originalBetAmount.toString(),       // 保存原始 Wei 格式
-              rewardAmount: rewardAmountEth,               // 使用可讀的 ETH 格式
-              rewardAmountWei: rewardAmountWei,           // 保存原始 Wei 格式
-              won,
-              betBig: originalBetBig,                     // 使用原始投注方向
-              hashValue: Number(hashValue),
-              blockHash: blockHash || '',
-              resultBlock: revealBlockNum,               // 保存用於計算結果的揭示區塊號
-              betId: betId.toString(),
-              transactionHash: txHash || '',  // 使用正確的交易哈希
-              blockNumber: blockNum,  // 使用實際區塊號或生成的唯一值
-              blockTimestamp: block ? Number(block.timestamp) : Math.floor(Date.now() / 1000),
-              logIndex: logIdx  // 使用實際日誌索引或生成的唯一值
-            });
-            
-            // 保存到數據庫
-            await gameEvent.save();
-            console.log(`已將 BetSettled 事件保存到數據庫, ID: ${gameEvent._id}`);
-            
-            // 記錄到 JSON 文件
-            try {
-              const settledData = {
-                _id: gameEvent._id,
-                eventType: 'BetSettled',
-                roomId: formattedRoomId,
-                player,
-                amount: originalBetAmount,
-                rewardAmount: won ? amount : '0', // 贏的話使用實際獎勵金額，輸的話獎勵金額為零
-                won,
-                hashValue: Number(hashValue),
-                blockHash,
-                resultBlock: revealBlockNum,
-                transactionHash: txHash,
-                blockNumber: blockNum,
-                timestamp: block ? Number(block.timestamp) * 1000 : Date.now(),
-                date: new Date(block ? Number(block.timestamp) * 1000 : Date.now()).toISOString(),
-                betBig: originalBetBig,
-                betId: betId.toString()
-              };
-              
-              // 尋找對應的投注數據
-              const matchingBetEvent = await GameEvent.findOne({
-                eventType: 'BetPlaced',
-                roomId: formattedRoomId,
-                player: player
-              }).sort({ blockNumber: -1 }).limit(1);
-              
-              // 確保結算資料包含 relatedEventId
-              if (matchingBetEvent && matchingBetEvent._id) {
-                settledData.relatedEventId = matchingBetEvent._id.toString();
-                console.log(`關聯原始投注事件 ID: ${settledData.relatedEventId}`);
-              }
-              
-              // 記錄結算事件
-              const { recordBetSettled } = require('../utils/betRecordUtils');
-              const filePath = await recordBetSettled(settledData, matchingBetEvent);
-              if (filePath) {
-                console.log(`結算事件已記錄到 JSON 文件: ${filePath}`);
-              }
-            } catch (jsonError) {
-              console.error('記錄結算事件到 JSON 失敗:', jsonError);
-            }
-            
-            // 嘗試找到對應的 BetPlaced 事件並關聯
-            const matchingPlacedEvent = await GameEvent.findOne({
-              eventType: 'BetPlaced',
-              roomId: formattedRoomId,
-              player,
-              processed: false
-            }).sort({ blockNumber: -1 });
-            
-            if (matchingPlacedEvent) {
-              // 建立關聯
-              matchingPlacedEvent.relatedEventId = gameEvent._id;
-              matchingPlacedEvent.processed = true;
-              await matchingPlacedEvent.save();
-              
-              gameEvent.relatedEventId = matchingPlacedEvent._id;
-              gameEvent.processed = true;
-              await gameEvent.save();
-              
-              console.log(`已關聯 BetPlaced 和 BetSettled 事件: ${matchingPlacedEvent._id} <-> ${gameEvent._id}`);
-            }
-          } catch (dbError) {
-            console.error('將 BetSettled 事件存入數據庫失敗:', dbError);
-          }
-          
-          console.log(`收到投注結算事件: ${key}, 贏=${won}, 是否在待處理列表中=${wasPending}, 當前待處理投注數: ${this.pendingBets.size}`);
+          console.log(`收到 BetSettled 事件: 房間=${parseInt(roomId)}, 玩家=${player}, 贏=${won}, 哈希值=${hashValue}, 投注ID=${betId}`);
+          await this._ingestLiveLog(event.log);
         } catch (error) {
           console.error('處理 BetSettled 事件失敗:', error);
         }
       });
       
+      // 監聽 FeeUpdated 事件，記錄各區塊生效的手續費
+      this.wsContract.on('FeeUpdated', async (bankerFee, playerFee, event) => {
+        try {
+          console.log(`收到 FeeUpdated 事件: 莊家手續費=${bankerFee}%, 玩家手續費=${playerFee}%`);
+          await this._ingestLiveLog(event.log);
+        } catch (error) {
+          console.error('處理 FeeUpdated 事件失敗:', error);
+        }
+      });
+      
       // 監聽區塊事件，用於投注檢查
       console.log('設置區塊事件監聽器...');
       this.wsProvider.on('block', (blockNumber) => {
@@ -549,6 +420,11 @@ class AutoRevealService extends EventEmitter {
             console.log(`收到新區塊: ${blockNumber}, 當前待處理投注數: ${this.pendingBets.size}`);
           }
           
+          // 推進歷史回補索引器的檢查點
+          if (this.indexer) {
+            this.indexer.recordLiveBlock(blockNumber);
+          }
+          
           // 不在這裡檢查投注，由定時任務處理，避免每個區塊都執行重複檢查
         } catch (error) {
           console.error('處理區塊事件失敗:', error);
@@ -562,203 +438,1717 @@ class AutoRevealService extends EventEmitter {
   }
   
   /**
-   * 啟動待處理投注檢查定時任務
+   * 啟動歷史事件回補索引器
    * @private
    */
-  _startPendingBetCheck() {
-    // 清理現有定時器
-    if (this.checkInterval) {
-      clearInterval(this.checkInterval);
+  async _startBackfillIndexer() {
+    try {
+      this.indexer = new BackfillIndexer({
+        provider: this.httpProvider,
+        contract: this.contract,
+        eventNames: ['BetPlaced', 'BetSettled', 'FeeUpdated'],
+        // 啟動回補期間的投注由 _recoverPendingBets 核對鏈上狀態後再加入待處理列表
+        handleLog: (parsedLog, log) => this.ingestLog(log, { schedule: this.indexer.mode === 'live' }),
+        chainId: this.chainId,
+        startBlock: this.deployment.startBlock,
+        batchSize: INDEXER_BATCH_SIZE
+      });
+      
+      await this.indexer.start();
+    } catch (error) {
+      console.error('歷史事件回補失敗:', error);
     }
-    
-    // 每10秒檢查一次
-    this.checkInterval = setInterval(async () => {
-      await this._checkPendingBets();
-    }, 10000);
-    
-    console.log('啟動待處理投注定期檢查，每 10 秒檢查一次');
   }
   
   /**
-   * 從合約中讀取 revealDelay 值
+   * 寫入即時監聽收到的日誌，失敗時通知索引器，檢查點不會推進到失敗日誌所在的區塊，
+   * 由索引器重新索引該區塊後才繼續推進
+   * @param {ethers.Log} log 原始日誌
+   * @returns {Promise<Object|null>} 保存結果
    * @private
    */
-  async _fetchContractRevealDelay() {
+  async _ingestLiveLog(log) {
     try {
-      // 從合約中讀取 revealDelay 參數
-      const contractRevealDelay = await this.contract.revealDelay();
-      
-      // 確保轉換為有效的數字並更新服務中的值
-      const revealDelayNumber = Number(contractRevealDelay);
-      if (!isNaN(revealDelayNumber) && revealDelayNumber > 0) {
-        this.revealDelay = revealDelayNumber;
-        console.log(`從智能合約中讀取 revealDelay 值: ${this.revealDelay} 區塊`);
-      } else {
-        console.warn(`合約返回的 revealDelay 值無效: ${contractRevealDelay}，使用預設值: ${this.revealDelay}`);
-      }
+      return await this.ingestLog(log, { schedule: true });
     } catch (error) {
-      console.error('讀取合約 revealDelay 值失敗:', error);
-      console.log(`使用預設 revealDelay 值: ${this.revealDelay} 區塊`);
+      if (this.indexer) {
+        await this.indexer.recordLiveFailure(log.blockNumber);
+      }
+      throw error;
     }
   }
   
   /**
-   * 啟動 WebSocket 連接監控
-   * @private
+   * 寫入一條合約事件日誌
+   * 即時監聽、歷史回補與玩家重新索引都經由此處，以 (transactionHash, logIndex) 保證冪等
+   * @param {ethers.Log} log 原始日誌
+   * @param {Object} [options] 選項
+   * @param {boolean} [options.schedule] 新的 BetPlaced 是否加入待處理列表
+   * @returns {Promise<Object|null>} 保存結果，不需索引的事件返回 null
    */
-  _startConnectionMonitor() {
-    // 清理現有定時器
-    if (this.reconnectInterval) {
-      clearInterval(this.reconnectInterval);
+  async ingestLog(log, { schedule = false } = {}) {
+    const parsedLog = this.contract.interface.parseLog(log);
+    if (!parsedLog || !['BetPlaced', 'BetSettled', 'FeeUpdated'].includes(parsedLog.name)) {
+      return null;
     }
     
-    // 每分鐘檢查一次
-    this.reconnectInterval = setInterval(async () => {
-      try {
-        // 檢查基本連接狀態
-        if (!this.wsProvider || !this.wsManager || !this.wsManager.isConnected) {
-          console.log('檢測到 WebSocket 連接中斷，嘗試重新連接...');
-          await this._reconnectWebSocket();
-          return;
-        }
-        
-        // 檢查區塊更新是否停滯
-        const now = Date.now();
-        const lastBlockTime = this.wsManager.lastBlockTime || 0;
-        const blockAge = now - lastBlockTime;
-        const MAX_BLOCK_AGE = 3 * 60 * 1000; // 3分鐘未收到新區塊視為異常
-        
-        if (blockAge > MAX_BLOCK_AGE) {
-          console.warn(`檢測到 ${Math.floor(blockAge/1000)} 秒未收到新區塊，最後區塊時間: ${new Date(lastBlockTime).toISOString()}`);
-          console.log('嘗試重新連接 WebSocket 以恢復區塊更新...');
-          await this._reconnectWebSocket();
-        } else {
-          console.debug(`WebSocket 連接正常，最後區塊更新於 ${Math.floor(blockAge/1000)} 秒前`);
-        }
-      } catch (error) {
-        console.error('WebSocket 監控檢查出錯:', error);
-      }
-    }, 60000); // 每分鐘檢查一次
-    
-    console.log('啟動 WebSocket 連接監控，每 60 秒檢查一次');
-  }
-  
-  /**
-   * 重新連接 WebSocket
-   * @private
-   */
-  async _reconnectWebSocket() {
+    let blockTimestamp = null;
     try {
-      // 清理現有連接
-      if (this.wsManager) {
-        console.log('正在清理現有 WebSocket 連接...');
-        try {
-          await this.wsManager.disconnect();
-        } catch (cleanupError) {
-          console.error('清理 WebSocket 連接時出錯:', cleanupError);
-        }
-      }
-      
-      // 重新初始化連接
-      console.log('正在重新初始化 WebSocket 連接...');
-      await this._initWebSocketConnection();
-      
-      // 重置最後區塊時間
-      if (this.wsManager) {
-        this.wsManager.lastBlockTime = Date.now();
-      }
-      
-      console.log('WebSocket 重新連接成功');
+      const block = await this.httpProvider.getBlock(log.blockNumber);
+      blockTimestamp = block ? Number(block.timestamp) : null;
     } catch (error) {
-      console.error('WebSocket 重新連接失敗:', error);
-      throw error;
+      console.warn(`獲取區塊 ${log.blockNumber} 時間戳失敗:`, error.message);
+    }
+    
+    const meta = {
+      chainId: this.chainId,
+      contractAddress: this.contractAddress,
+      transactionHash: log.transactionHash,
+      blockNumber: Number(log.blockNumber),
+      blockHash: log.blockHash,
+      blockTimestamp,
+      logIndex: Number(log.index)
+    };
+    
+    if (parsedLog.name === 'BetPlaced') {
+      return this._ingestBetPlaced(parsedLog.args, meta, schedule);
+    }
+    if (parsedLog.name === 'FeeUpdated') {
+      return saveFeeUpdated(parsedLog.args, meta);
     }
+    return this._ingestBetSettled(parsedLog.args, meta);
   }
   
   /**
-   * 檢查待處理投注
+   * 寫入 BetPlaced 事件並視需要加入待處理列表
+   * @param {ethers.Result} args 事件參數
+   * @param {Object} meta 事件元數據
+   * @param {boolean} schedule 是否加入待處理列表
+   * @returns {Promise<{event: Object, created: boolean}>} 保存結果
    * @private
    */
-  async _checkPendingBets() {
-    if (this.pendingBets.size === 0) {
-      return;
+  async _ingestBetPlaced(args, meta, schedule) {
+    const { roomId, player, amount, betBig, commitBlock, revealBlockNumber } = args;
+    const formattedRoomId = parseInt(roomId);
+    
+    // 重複送達的事件無需再查詢 betId
+    const existing = await GameEvent.findOne({ ...this.eventFilter(), transactionHash: meta.transactionHash, logIndex: meta.logIndex });
+    if (existing) {
+      console.log(`跳過重複的 BetPlaced 事件: ${meta.transactionHash}#${meta.logIndex}`);
+      return { event: existing, created: false };
     }
     
-    try {
-      console.log(`檢查待處理投注，當前數量: ${this.pendingBets.size}`);
-      
-      // 獲取當前區塊號
-      const currentBlockNumber = await this.httpProvider.getBlockNumber();
-      
-      // 檢查每個待處理的投注
-      for (const [key, bet] of this.pendingBets.entries()) {
-        try {
-          const { roomId, player, revealBlock } = bet;
-          
-          // 檢查是否已達到揭示區塊
-          const currentBlockNum = Number(currentBlockNumber);
-          const revealBlockNum = Number(revealBlock);
-          
-          if (currentBlockNum >= revealBlockNum) {
-            console.log(`投注 ${key} 的揭示區塊 ${revealBlockNum} 已到達，當前區塊 ${currentBlockNum}，開始結算...`);
-            await this._settleBet(roomId, player, key);
-          } else {
-            const blocksRemaining = revealBlockNum - currentBlockNum;
-            console.log(`投注 ${key} 等待中，還需 ${blocksRemaining} 個區塊到達揭示區塊 ${revealBlockNum}`);
-          }
-        } catch (error) {
-          console.error(`處理待處理投注 ${key} 時出錯:`, error);
-        }
+    const betId = await this.resolveBetId(formattedRoomId, player, meta.blockNumber, commitBlock);
+    
+    const result = await saveBetPlaced(
+      { roomId: formattedRoomId, player, amount, betBig, commitBlock, revealBlock: revealBlockNumber, betId },
+      meta
+    );
+    
+    if (!result.created) {
+      console.log(`跳過重複的 BetPlaced 事件: ${meta.transactionHash}#${meta.logIndex}`);
+      return result;
+    }
+    
+    // 排程以事件為準，與本地推算不一致時記錄以便排查合約參數或節點問題
+    const eventCommitBlock = Number(commitBlock);
+    const eventRevealBlock = Number(revealBlockNumber);
+    await this._recordRevealBlockDiscrepancy(result.event, meta, eventCommitBlock, eventRevealBlock, schedule);
+    
+    // 只有領導者追蹤待結算投注，跟隨者成為領導者時從數據庫恢復
+    if (!schedule || !this.isLeader()) {
+      return result;
+    }
+    
+    const key = AutoRevealService.betKey(meta.transactionHash, meta.logIndex);
+    
+    // 合約每個房間每位玩家只保存一筆投注，新投注會取代同一位置上尚未結算的舊投注；
+    // 較晚才寫入的舊投注（重新索引、輪詢補回）不會取代已在列表中的新投注，而是自己被取代
+    if (betId) {
+      const newerBet = await this._supersedePendingBets(formattedRoomId, player, key, betId, meta);
+      if (newerBet) {
+        const note = `被新投注 betId=${newerBet.betId} 取代`;
+        console.warn(`投注 ${key} (betId=${betId}) 早於待處理的投注 betId=${newerBet.betId}，${note}，不加入待處理列表`);
+        await this._markBetSettlementStatus({ transactionHash: meta.transactionHash, logIndex: meta.logIndex }, 'superseded', note);
+        return result;
       }
-    } catch (error) {
-      console.error('檢查待處理投注失敗:', error);
     }
+    
+    // 以事件中的提交區塊與揭示區塊排程，無效時延後重新讀取，不使用本地推算的區塊
+    if (!AutoRevealService.isValidRevealWindow(eventCommitBlock, eventRevealBlock)) {
+      this._deferBet(key, meta.transactionHash, meta.logIndex,
+        `事件中的揭示區塊無效 (commitBlock=${eventCommitBlock}, revealBlockNumber=${eventRevealBlock})`);
+      return result;
+    }
+    
+    // 將投注事件添加到待處理列表
+    const pendingBet = {
+      roomId: formattedRoomId,
+      player,
+      amount,
+      betBig, // 保存投注方向
+      blockNumber: meta.blockNumber,
+      timeStamp: meta.blockTimestamp || Math.floor(Date.now() / 1000),
+      commitBlock: eventCommitBlock,
+      revealBlock: eventRevealBlock,
+      betId, // 合約投注ID，用於與結算事件配對
+      transactionHash: meta.transactionHash, // 保存交易哈希用於後續處理
+      logIndex: meta.logIndex
+    };
+    
+    console.log(`設置揭示區塊: ${eventRevealBlock} (事件中的提交區塊 ${eventCommitBlock})`);
+    
+    if (await this._enqueueBet(key, pendingBet)) {
+      console.log(`添加新的待處理投注: ${key} (房間=${formattedRoomId}, 玩家=${player}, betId=${betId || '未知'}), 當前待處理投注數: ${this.pendingBets.size}`);
+    }
+    
+    return result;
   }
   
   /**
-   * 結算投注
-   * @param {number} roomId 房間ID
-   * @param {string} player 玩家地址
-   * @param {string} key 唯一鍵
-   * @private
+   * 生成待處理投注的唯一鍵
+   * @param {string} transactionHash BetPlaced 交易哈希
+   * @param {number} logIndex BetPlaced 日誌索引
+   * @returns {string} 唯一鍵
    */
-  async _settleBet(roomId, player, key) {
-    try {
-      console.log(`嘗試結算投注: ${key}`);
-      
-      // 結算投注
-      const tx = await this.contract.settleBet(roomId, player);
-      console.log(`發送結算交易，交易哈希: ${tx.hash}`);
-      
-      // 等待交易確認
-      const receipt = await tx.wait();
-      console.log(`投注結算交易確認，區塊高度: ${receipt.blockNumber}, 狀態: ${receipt.status === 1 ? '成功' : '失敗'}`);
-      
-      // 從待處理列表中移除
-      if (this.pendingBets.has(key)) {
-        this.pendingBets.delete(key);
-        console.log(`結算完成後從待處理列表移除，當前待處理投注數: ${this.pendingBets.size}`);
-      }
-      
-      return true;
-    } catch (error) {
-      // 檢查特定錯誤，例如投注已被結算或不存在
-      if (
-        error.message && (
-          error.message.includes('No valid bet found') ||
-          error.message.includes('already processed') ||
-          error.message.includes('executed')
-        )
-      ) {
-        console.log(`投注已被結算或找不到，從待處理列表移除: ${key}`);
-        this.pendingBets.delete(key);
-        return true;
+  static betKey(transactionHash, logIndex) {
+    return `${transactionHash}-${logIndex}`;
+  }
+  
+  /**
+   * 檢查提交區塊與揭示區塊是否可用於排程
+   * @param {number} commitBlock 提交區塊
+   * @param {number} revealBlock 揭示區塊
+   * @returns {boolean} 是否有效
+   */
+  static isValidRevealWindow(commitBlock, revealBlock) {
+    return Number.isInteger(commitBlock) && Number.isInteger(revealBlock) &&
+      commitBlock > 0 && revealBlock > commitBlock;
+  }
+  
+  /**
+   * 獲取待處理投注列表，每筆投注單獨列出
+   * @param {number} [currentBlock] 當前區塊號，提供時附上距離揭示與過期的區塊數
+   * @returns {Object[]} 待處理投注
+   */
+  getPendingBetsSnapshot(currentBlock = null) {
+    return Array.from(this.pendingBets.entries()).map(([key, bet]) => {
+      const expiryBlock = this.getBetExpiryBlock(bet);
+      return {
+        key,
+        betId: bet.betId || null,
+        roomId: bet.roomId,
+        player: bet.player,
+        amount: ethers.formatEther(bet.amount),
+        betBig: bet.betBig,
+        commitBlock: bet.commitBlock,
+        revealBlock: bet.revealBlock,
+        expiryBlock,
+        ...(currentBlock !== null ? {
+          blocksUntilReveal: Math.max(0, Number(bet.revealBlock) - currentBlock),
+          blocksUntilExpiry: expiryBlock - currentBlock
+        } : {}),
+        transactionHash: bet.transactionHash,
+        logIndex: bet.logIndex,
+        recovered: !!bet.recovered,
+        inFlight: this.settlerPool ? this.settlerPool.isInFlight(key) : false,
+        attempts: bet.attempts || 0,
+        nextRetryAt: bet.nextRetryAt ? new Date(bet.nextRetryAt).toISOString() : null
+      };
+    });
+  }
+  
+  /**
+   * 立即嘗試結算待處理投注，不等待退避重試時間（管理操作）
+   * @param {string} key 待處理投注鍵
+   * @returns {Promise<{submitted: boolean, reason?: string, pending: boolean, inFlight: boolean}>} 結算結果
+   */
+  async forceSettleBet(key) {
+    const bet = this.pendingBets.get(key);
+    if (!bet) {
+      throw new Error(`待處理列表中找不到投注 ${key}`);
+    }
+    if (!this.settlerPool) {
+      throw new Error('結算錢包池未運行');
+    }
+    if (await this.refreshSettlementPause()) {
+      return { submitted: false, reason: '結算已暫停', pending: true, inFlight: false };
+    }
+    
+    const outcome = (submitted, reason = null) => ({
+      submitted,
+      reason,
+      pending: this.pendingBets.has(key),
+      inFlight: this.settlerPool ? this.settlerPool.isInFlight(key) : false
+    });
+    
+    if (this.settlerPool.isInFlight(key)) {
+      return outcome(false, '已有等待確認的結算交易');
+    }
+    
+    const currentBlock = await this.httpProvider.getBlockNumber();
+    if (currentBlock < Number(bet.revealBlock)) {
+      return outcome(false, `尚未到達揭示區塊 ${bet.revealBlock}，當前區塊 ${currentBlock}`);
+    }
+    if (!this.settlerPool.hasCapacity()) {
+      return outcome(false, `可用結算錢包的等待確認交易已達上限 ${this.settlerPool.maxConcurrent}`);
+    }
+    
+    console.log(`管理操作: 立即結算投注 ${key}`);
+    bet.nextRetryAt = null;
+    await this._settleBet(bet.roomId, bet.player, key);
+    
+    if (this.settlerPool.isInFlight(key)) {
+      return outcome(true);
+    }
+    // 失敗原因已記錄在結算任務中
+    const pendingBet = this.pendingBets.get(key);
+    if (!pendingBet) {
+      return outcome(false, '結算被合約拒絕或移入死信，投注已移出待處理列表');
+    }
+    return outcome(false, pendingBet.nextRetryAt
+      ? `結算失敗，將於 ${new Date(pendingBet.nextRetryAt).toISOString()} 重試`
+      : '結算未送出，將於下次檢查時重試');
+  }
+  
+  /**
+   * 將投注移出待處理列表，不再結算（管理操作）
+   * 已有等待確認的結算交易時拒絕移除，交易仍可能上鏈
+   * @param {string} key 待處理投注鍵
+   * @param {string} reason 移除原因
+   * @returns {Promise<{dropped: boolean, reason?: string, roomId?: number, player?: string, betId?: string}>} 處理結果
+   */
+  async dropPendingBet(key, reason) {
+    const bet = this.pendingBets.get(key);
+    if (!bet) {
+      throw new Error(`待處理列表中找不到投注 ${key}`);
+    }
+    if (this.settlerPool && this.settlerPool.isInFlight(key)) {
+      return { dropped: false, reason: '已有等待確認的結算交易，無法移除' };
+    }
+    
+    this.pendingBets.delete(key);
+    await this._markBetSettlementStatus(bet, 'dropped', reason);
+    await this._closeSettlementJob(key, 'cancelled', `人工移除: ${reason}`);
+    console.warn(`管理操作: 已將投注 ${key} 移出待處理列表: ${reason}`);
+    
+    return { dropped: true, roomId: bet.roomId, player: bet.player, betId: bet.betId || null };
+  }
+  
+  /**
+   * 依 BetPlaced 記錄將投注重新加入待處理列表（管理操作）
+   * 會清除記錄上的結算狀態，並依鏈上狀態確認投注仍可結算
+   * @param {string} eventId BetPlaced 記錄 ID
+   * @returns {Promise<{requeued: boolean, key?: string, reason?: string, stale?: boolean, expired?: boolean, deferred?: boolean, deadLetter?: boolean, revealBlock?: number}>} 處理結果
+   */
+  async requeueBetEvent(eventId) {
+    const betEvent = await GameEvent.findOne({ ...this.eventFilter(), _id: eventId, eventType: 'BetPlaced' });
+    if (!betEvent) {
+      return { requeued: false, reason: `找不到 BetPlaced 記錄 ${eventId}` };
+    }
+    
+    const key = AutoRevealService.betKey(betEvent.transactionHash, betEvent.logIndex);
+    if (betEvent.processed) {
+      return { requeued: false, key, reason: '投注已結算' };
+    }
+    if (this.pendingBets.has(key) || this.deferredBets.has(key)) {
+      return { requeued: false, key, reason: '投注已在待處理列表中' };
+    }
+    
+    betEvent.settlementStatus = null;
+    betEvent.settlementNote = null;
+    await betEvent.save();
+    
+    console.log(`管理操作: 重新加入投注 ${key}`);
+    const result = await this._restorePendingBet(betEvent);
+    
+    return { requeued: this.pendingBets.has(key), key, ...result };
+  }
+  
+  /**
+   * 結算暫停記錄的識別鍵
+   * @returns {string} 識別鍵
+   * @private
+   */
+  _settlementPauseKey() {
+    return `settlement-pause:${this.chainId}:${this.contractAddress}`;
+  }
+  
+  /**
+   * 以數據庫中的暫停記錄更新本地暫停狀態
+   * @param {Object|null} pause 暫停記錄，null 表示未暫停
+   * @private
+   */
+  _applySettlementPause(pause) {
+    this.settlementPause = pause ? {
+      reason: pause.reason,
+      pausedBy: pause.pausedBy,
+      pausedAt: pause.pausedAt.getTime(),
+      resumeAt: pause.resumeAt ? pause.resumeAt.getTime() : null
+    } : null;
+  }
+  
+  /**
+   * 從數據庫讀取結算暫停狀態並更新本地狀態，已到自動恢復時間的暫停在此恢復
+   * @returns {Promise<Object|null>} 暫停狀態 {reason, pausedBy, pausedAt, resumeAt}，未暫停時返回 null
+   */
+  async refreshSettlementPause() {
+    const pause = await SettlementPause.findById(this._settlementPauseKey()).lean();
+    this._applySettlementPause(pause);
+    
+    if (this.settlementPause && this.settlementPause.resumeAt && this.settlementPause.resumeAt <= Date.now()) {
+      await this.resumeSettlement({ resumedBy: 'auto', reason: '暫停時間已到', dueOnly: true });
+    }
+    
+    return this.settlementPause;
+  }
+  
+  /**
+   * 暫停發送結算交易（管理操作），事件索引與投注排程照常進行
+   * 暫停狀態寫入數據庫，結算者在下次檢查待處理投注時停止發送；
+   * 已送出的結算交易仍由結算錢包池追蹤確認；已暫停時更新原因與自動恢復時間
+   * @param {Object} options 暫停選項
+   * @param {string} options.reason 暫停原因
+   * @param {string} options.pausedBy 操作者
+   * @param {number} [options.durationMs] 自動恢復前的暫停時長，未指定時需手動恢復
+   * @returns {Promise<{paused: boolean, status: Object}>} 處理結果
+   */
+  async pauseSettlement({ reason, pausedBy, durationMs = null }) {
+    const now = Date.now();
+    const pause = await SettlementPause.findOneAndUpdate(
+      { _id: this._settlementPauseKey() },
+      {
+        $set: {
+          chainId: this.chainId,
+          contractAddress: this.contractAddress,
+          reason,
+          pausedBy,
+          pausedAt: new Date(now),
+          resumeAt: durationMs ? new Date(now + durationMs) : null
+        }
+      },
+      { upsert: true, new: true, lean: true }
+    );
+    this._applySettlementPause(pause);
+    
+    const status = this.getSettlementPauseStatus();
+    console.warn(`部署 ${this.name} 已暫停結算 (${pausedBy}): ${reason}${status.resumeAt ? `，將於 ${status.resumeAt} 自動恢復` : ''}`);
+    this.emit('settlementPaused', status);
+    sendAlert('settlement_paused', `部署 ${this.name} 已暫停結算: ${reason}`, {
+      deployment: this.name,
+      chainId: this.chainId,
+      contractAddress: this.contractAddress,
+      ...status
+    });
+    
+    return { paused: true, status };
+  }
+  
+  /**
+   * 恢復發送結算交易（管理操作或暫停時間已到）
+   * 刪除數據庫中的暫停記錄，多個實例同時恢復時只有刪除成功的實例發出通知
+   * @param {Object} options 恢復選項
+   * @param {string} options.resumedBy 操作者，自動恢復時為 auto
+   * @param {string} [options.reason] 恢復原因
+   * @param {boolean} [options.dueOnly] 只恢復已到自動恢復時間的暫停，避免覆蓋期間重新設置的暫停
+   * @returns {Promise<{resumed: boolean, reason?: string, status: Object}>} 處理結果
+   */
+  async resumeSettlement({ resumedBy, reason = null, dueOnly = false }) {
+    const filter = { _id: this._settlementPauseKey() };
+    if (dueOnly) {
+      filter.resumeAt = { $ne: null, $lte: new Date() };
+    }
+    
+    const pause = await SettlementPause.findOneAndDelete(filter).lean();
+    if (!pause) {
+      if (!dueOnly) {
+        this.settlementPause = null;
+      }
+      return { resumed: false, reason: '結算未暫停', status: this.getSettlementPauseStatus() };
+    }
+    
+    this.settlementPause = null;
+    const pausedFor = Date.now() - pause.pausedAt.getTime();
+    
+    console.log(`部署 ${this.name} 已恢復結算 (${resumedBy})${reason ? `: ${reason}` : ''}，共暫停 ${Math.round(pausedFor / 1000)} 秒`);
+    this.emit('settlementResumed', { resumedBy, reason, pausedFor });
+    sendAlert('settlement_resumed', `部署 ${this.name} 已恢復結算`, {
+      deployment: this.name,
+      chainId: this.chainId,
+      contractAddress: this.contractAddress,
+      resumedBy,
+      reason,
+      pausedFor
+    });
+    
+    return { resumed: true, status: this.getSettlementPauseStatus() };
+  }
+  
+  /**
+   * 獲取最後讀取的結算暫停狀態
+   * @returns {{paused: boolean, reason: string|null, pausedBy: string|null, pausedAt: string|null, resumeAt: string|null}} 暫停狀態
+   */
+  getSettlementPauseStatus() {
+    const pause = this.settlementPause;
+    return {
+      paused: !!pause,
+      reason: pause ? pause.reason : null,
+      pausedBy: pause ? pause.pausedBy : null,
+      pausedAt: pause ? new Date(pause.pausedAt).toISOString() : null,
+      resumeAt: pause && pause.resumeAt ? new Date(pause.resumeAt).toISOString() : null
+    };
+  }
+  
+  /**
+   * 將同一房間同一玩家被新投注取代的舊投注移出待處理列表，並記錄到數據庫
+   * 只取代日誌位置 (blockNumber, logIndex) 早於新投注的待處理投注
+   * @param {number} roomId 房間ID
+   * @param {string} player 玩家地址
+   * @param {string} newKey 新投注的唯一鍵
+   * @param {string} newBetId 新投注的 betId
+   * @param {Object} position 新投注的日誌位置 {blockNumber, logIndex}
+   * @returns {Promise<Object|null>} 日誌位置晚於新投注的待處理投注，沒有時返回 null
+   * @private
+   */
+  async _supersedePendingBets(roomId, player, newKey, newBetId, position) {
+    let newerBet = null;
+    
+    for (const [key, bet] of this.pendingBets.entries()) {
+      if (key === newKey || bet.roomId !== roomId || bet.player !== player || bet.betId === newBetId) {
+        continue;
+      }
+      
+      const isOlder = bet.blockNumber < position.blockNumber
+        || (bet.blockNumber === position.blockNumber && bet.logIndex < position.logIndex);
+      if (!isOlder) {
+        newerBet = bet;
+        continue;
+      }
+      
+      console.warn(`投注 ${key} (betId=${bet.betId || '未知'}) 已被同一房間的新投注 betId=${newBetId} 取代，無法再結算`);
+      this.pendingBets.delete(key);
+      await this._markBetSettlementStatus(bet, 'superseded', `被新投注 betId=${newBetId} 取代`);
+      await this._closeSettlementJob(key, 'cancelled', `被新投注 betId=${newBetId} 取代`);
+    }
+    
+    return newerBet;
+  }
+  
+  /**
+   * 將投注加入待處理列表並建立結算任務
+   * 任務已在死信中時不加入，需透過 API 人工重試
+   * @param {string} key 待處理投注鍵
+   * @param {Object} bet 待處理投注
+   * @returns {Promise<boolean>} 是否加入待處理列表
+   * @private
+   */
+  async _enqueueBet(key, bet) {
+    try {
+      const job = await saveJob(this.eventFilter(), key, bet);
+      if (job.status !== 'pending') {
+        console.warn(`投注 ${key} 的結算任務狀態為 ${job.status}，不加入待處理列表`);
+        return false;
+      }
+      bet.attempts = job.attempts;
+      bet.nextRetryAt = new Date(job.nextRetryAt).getTime();
+    } catch (error) {
+      // 任務寫入失敗時仍然結算，避免數據庫問題導致投注無人處理
+      console.error(`保存投注 ${key} 的結算任務失敗:`, error);
+    }
+    
+    this.pendingBets.set(key, bet);
+    return true;
+  }
+  
+  /**
+   * 結束投注的結算任務
+   * @param {string} key 待處理投注鍵
+   * @param {string} status completed 或 cancelled
+   * @param {string} [note] 說明
+   * @param {Object} [revertReason] 導致任務結束的回退原因
+   * @private
+   */
+  async _closeSettlementJob(key, status, note = null, revertReason = null) {
+    try {
+      await closeJob(this.eventFilter(), key, status, note, revertReason);
+    } catch (error) {
+      console.error(`更新投注 ${key} 的結算任務失敗:`, error);
+    }
+  }
+  
+  /**
+   * 記錄結算失敗：依指數退避安排下次重試，達到次數上限後移出待處理列表並移入死信
+   * @param {string} key 待處理投注鍵
+   * @param {string} errorMessage 錯誤信息
+   * @param {Object} [revertReason] 解碼後的回退原因
+   * @private
+   */
+  async _handleSettlementFailure(key, errorMessage, revertReason = null) {
+    const bet = this.pendingBets.get(key);
+    
+    try {
+      const job = await recordJobFailure(this.eventFilter(), key, errorMessage, {
+        maxAttempts: SETTLEMENT_MAX_ATTEMPTS,
+        baseDelayMs: SETTLEMENT_RETRY_BASE_MS,
+        maxDelayMs: SETTLEMENT_RETRY_MAX_MS
+      }, revertReason);
+      
+      if (!job) {
+        return;
+      }
+      
+      if (job.status === 'dead') {
+        this.pendingBets.delete(key);
+        console.error(`投注 ${key} 結算連續失敗 ${job.attempts} 次，已移入死信: ${errorMessage}`);
+        return;
+      }
+      
+      if (bet) {
+        bet.attempts = job.attempts;
+        bet.nextRetryAt = new Date(job.nextRetryAt).getTime();
+      }
+      console.warn(`投注 ${key} 第 ${job.attempts} 次結算失敗，將於 ${new Date(job.nextRetryAt).toISOString()} 重試`);
+    } catch (error) {
+      console.error(`記錄投注 ${key} 的結算失敗時出錯:`, error);
+    }
+  }
+  
+  /**
+   * 重新排程結算任務（用於人工重試死信任務）
+   * 依 BetPlaced 記錄與鏈上狀態重新加入待處理列表
+   * @param {Object} job 結算任務
+   * @returns {Promise<{stale: boolean, expired?: boolean, deferred?: boolean, reason?: string, revealBlock?: number}>} 處理結果
+   */
+  async requeueJob(job) {
+    const betEvent = await GameEvent.findOne({
+      ...this.eventFilter(),
+      eventType: 'BetPlaced',
+      transactionHash: job.transactionHash,
+      logIndex: job.logIndex
+    });
+    
+    if (!betEvent) {
+      throw new Error(`找不到任務 ${job._id} 對應的 BetPlaced 記錄`);
+    }
+    
+    return this._restorePendingBet(betEvent);
+  }
+  
+  /**
+   * 更新投注對應 BetPlaced 記錄的結算狀態
+   * @param {Object} bet 待處理投注
+   * @param {string} status 結算狀態
+   * @param {string} note 說明
+   * @private
+   */
+  async _markBetSettlementStatus(bet, status, note) {
+    try {
+      await GameEvent.updateOne(
+        { ...this.eventFilter(), eventType: 'BetPlaced', transactionHash: bet.transactionHash, logIndex: bet.logIndex },
+        { $set: { settlementStatus: status, settlementNote: note } }
+      );
+    } catch (error) {
+      console.error(`更新投注 ${bet.transactionHash} 結算狀態失敗:`, error);
+    }
+  }
+  
+  /**
+   * 從合約 playerBets 讀取投注的 betId
+   * 優先讀取下注區塊當時的狀態，節點不支援歷史狀態時改讀最新狀態；
+   * 只有提交區塊一致時才視為同一筆投注
+   * @param {number} roomId 房間ID
+   * @param {string} player 玩家地址
+   * @param {number} blockNumber 下注事件所在區塊
+   * @param {number|bigint} commitBlock 事件中的提交區塊
+   * @returns {Promise<string|null>} betId，無法確定時返回 null
+   */
+  async resolveBetId(roomId, player, blockNumber, commitBlock) {
+    for (const blockTag of [blockNumber, 'latest']) {
+      try {
+        const onChainBet = await this.contract.playerBets(roomId, player, { blockTag });
+        if (onChainBet.amount > 0n && Number(onChainBet.commitBlock) === Number(commitBlock)) {
+          return onChainBet.betId.toString();
+        }
+      } catch (error) {
+        console.warn(`讀取區塊 ${blockTag} 的 playerBets(${roomId}, ${player}) 失敗:`, error.message);
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * 寫入 BetSettled 事件並從待處理列表移除對應投注
+   * @param {ethers.Result} args 事件參數
+   * @param {Object} meta 事件元數據
+   * @returns {Promise<{event: Object, created: boolean}>} 保存結果
+   * @private
+   */
+  async _ingestBetSettled(args, meta) {
+    const { roomId, player, amount, won, hashValue, blockHash, betId } = args;
+    const formattedRoomId = parseInt(roomId);
+    
+    // 依 betId 找到待處理列表中的投注
+    let key = null;
+    for (const [pendingKey, bet] of this.pendingBets.entries()) {
+      if (bet.betId && bet.betId === betId.toString() && bet.roomId === formattedRoomId) {
+        key = pendingKey;
+        break;
+      }
+    }
+    let pendingBet = key ? this.pendingBets.get(key) : null;
+    
+    const result = await saveBetSettled(
+      { roomId: formattedRoomId, player, amount, won, hashValue, blockHash, betId },
+      meta,
+      pendingBet ? { amount: pendingBet.amount, betBig: pendingBet.betBig, revealBlock: pendingBet.revealBlock } : null
+    );
+    
+    if (!result.created) {
+      console.log(`跳過重複的 BetSettled 事件: ${meta.transactionHash}#${meta.logIndex}`);
+    }
+    
+    // 待處理投注缺少 betId 時，透過已關聯的 BetPlaced 記錄找到對應投注
+    if (!pendingBet && result.event && result.event.relatedEventId) {
+      const placedEvent = await GameEvent.findById(result.event.relatedEventId).lean();
+      if (placedEvent) {
+        key = AutoRevealService.betKey(placedEvent.transactionHash, placedEvent.logIndex);
+        pendingBet = this.pendingBets.get(key) || null;
+      }
+    }
+    
+    // 結算事件代表投注已完成，從待處理列表移除
+    if (pendingBet) {
+      this.pendingBets.delete(key);
+    }
+    if (key) {
+      await this._closeSettlementJob(key, 'completed');
+    }
+    
+    console.log(`收到投注結算事件: betId=${betId}, 房間=${formattedRoomId}, 玩家=${player}, 贏=${won}, 是否在待處理列表中=${!!pendingBet}, 當前待處理投注數: ${this.pendingBets.size}`);
+    return result;
+  }
+  
+  /**
+   * 獲取待處理投注恢復報告
+   * @returns {Object|null} 恢復報告
+   */
+  getRecoveryReport() {
+    return this.recoveryReport;
+  }
+  
+  /**
+   * 恢復重啟前未結算的投注
+   * 讀取數據庫中未處理的 BetPlaced 記錄，透過合約 playerBets 確認鏈上仍未結算後重新加入待處理列表
+   * @private
+   */
+  async _recoverPendingBets() {
+    const report = {
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      checked: 0,
+      recovered: [],
+      stale: [],
+      deadLetter: [],
+      expired: [],
+      deferred: [],
+      errors: []
+    };
+    this.recoveryReport = report;
+    
+    try {
+      const unprocessedBets = await GameEvent.find({
+        ...this.eventFilter(),
+        eventType: 'BetPlaced',
+        processed: false,
+        settlementStatus: { $nin: ['stale', 'expired', 'dropped'] }
+      }).sort({ blockNumber: -1, logIndex: -1 });
+      
+      console.log(`找到 ${unprocessedBets.length} 筆未處理的 BetPlaced 記錄，開始檢查鏈上狀態...`);
+      
+      for (const betEvent of unprocessedBets) {
+        report.checked++;
+        const key = AutoRevealService.betKey(betEvent.transactionHash, betEvent.logIndex);
+        
+        // 啟動期間已由即時監聽加入的投注無需恢復
+        if (this.pendingBets.has(key)) {
+          continue;
+        }
+        
+        try {
+          const result = await this._restorePendingBet(betEvent);
+          
+          if (result.stale) {
+            report.stale.push({ key, eventId: betEvent._id.toString(), transactionHash: betEvent.transactionHash, reason: result.reason });
+          } else if (result.expired) {
+            report.expired.push({ key, eventId: betEvent._id.toString(), transactionHash: betEvent.transactionHash });
+          } else if (result.deferred) {
+            report.deferred.push({ key, eventId: betEvent._id.toString(), transactionHash: betEvent.transactionHash, reason: result.reason });
+          } else if (result.deadLetter) {
+            report.deadLetter.push({ key, eventId: betEvent._id.toString(), transactionHash: betEvent.transactionHash });
+          } else {
+            report.recovered.push({ key, eventId: betEvent._id.toString(), transactionHash: betEvent.transactionHash, revealBlock: result.revealBlock });
+          }
+        } catch (error) {
+          console.error(`檢查投注 ${key} 的鏈上狀態失敗:`, error);
+          report.errors.push({ key, eventId: betEvent._id.toString(), error: error.message });
+        }
+      }
+    } catch (error) {
+      console.error('恢復待處理投注失敗:', error);
+      report.errors.push({ error: error.message });
+    }
+    
+    report.finishedAt = new Date().toISOString();
+    console.log(`待處理投注恢復完成: 檢查 ${report.checked} 筆, 恢復 ${report.recovered.length} 筆, 過時 ${report.stale.length} 筆, 死信 ${report.deadLetter.length} 筆, 過期 ${report.expired.length} 筆, 延後 ${report.deferred.length} 筆, 錯誤 ${report.errors.length} 筆`);
+    report.stale.forEach(item => console.log(`  過時投注 ${item.key} (${item.transactionHash}): ${item.reason}`));
+  }
+  
+  /**
+   * 恢復指定玩家未結算的投注（用於重新索引玩家記錄後）
+   * 只有結算者實例處理，已在待處理列表中的投注略過
+   * @param {string} player 玩家地址
+   * @returns {Promise<number>} 加入待處理列表的投注數
+   */
+  async recoverPlayerPendingBets(player) {
+    if (!this.isLeader()) {
+      return 0;
+    }
+    
+    const unprocessedBets = await GameEvent.find({
+      ...this.eventFilter(),
+      eventType: 'BetPlaced',
+      player,
+      processed: false,
+      settlementStatus: { $nin: ['stale', 'expired', 'dropped'] }
+    }).sort({ blockNumber: -1, logIndex: -1 });
+    
+    let restored = 0;
+    for (const betEvent of unprocessedBets) {
+      const key = AutoRevealService.betKey(betEvent.transactionHash, betEvent.logIndex);
+      if (this.pendingBets.has(key) || this.deferredBets.has(key)) {
+        continue;
+      }
+      
+      try {
+        await this._restorePendingBet(betEvent);
+        if (this.pendingBets.has(key)) {
+          restored++;
+        }
+      } catch (error) {
+        console.error(`檢查投注 ${key} 的鏈上狀態失敗:`, error);
+      }
+    }
+    
+    return restored;
+  }
+  
+  /**
+   * 根據 BetPlaced 記錄將投注重新加入待處理列表
+   * 透過合約 playerBets 確認鏈上投注仍未處理且提交區塊一致，否則標記為過時
+   * @param {Object} betEvent BetPlaced 事件記錄
+   * @returns {Promise<{stale: boolean, expired?: boolean, deferred?: boolean, deadLetter?: boolean, reason?: string, revealBlock?: number}>} 處理結果
+   * @private
+   */
+  async _restorePendingBet(betEvent) {
+    const key = AutoRevealService.betKey(betEvent.transactionHash, betEvent.logIndex);
+    
+    // 舊記錄可能缺少提交區塊或揭示區塊，重新讀取鏈上事件，無法取得時延後重試而不以本地推算的區塊排程
+    if (!AutoRevealService.isValidRevealWindow(Number(betEvent.commitBlock), Number(betEvent.revealBlock))) {
+      let window = null;
+      let reason = null;
+      try {
+        window = await this._readRevealWindow(betEvent.transactionHash, betEvent.logIndex);
+        if (!window) {
+          reason = '鏈上找不到對應的 BetPlaced 事件';
+        } else if (!AutoRevealService.isValidRevealWindow(window.commitBlock, window.revealBlock)) {
+          reason = `事件中的揭示區塊無效 (commitBlock=${window.commitBlock}, revealBlockNumber=${window.revealBlock})`;
+        }
+      } catch (error) {
+        reason = `讀取鏈上 BetPlaced 事件失敗: ${error.message}`;
+      }
+      
+      if (reason) {
+        this._deferBet(key, betEvent.transactionHash, betEvent.logIndex, reason);
+        return { stale: false, deferred: true, reason };
+      }
+      
+      betEvent.commitBlock = window.commitBlock;
+      betEvent.revealBlock = window.revealBlock;
+      await betEvent.save();
+    }
+    
+    const onChainBet = await this.contract.playerBets(betEvent.roomId, betEvent.player);
+    
+    // 鏈上投注必須未處理且提交區塊一致，才是同一筆仍待結算的投注
+    let staleReason = null;
+    if (onChainBet.processed) {
+      staleReason = '鏈上投注已處理';
+    } else if (onChainBet.amount === 0n) {
+      staleReason = '鏈上找不到投注';
+    } else if (Number(onChainBet.commitBlock) !== Number(betEvent.commitBlock)) {
+      staleReason = `鏈上投注提交區塊 ${onChainBet.commitBlock} 與記錄 ${betEvent.commitBlock} 不一致`;
+    }
+    
+    if (staleReason) {
+      betEvent.settlementStatus = 'stale';
+      await betEvent.save();
+      await this._closeSettlementJob(key, 'cancelled', staleReason);
+      return { stale: true, reason: staleReason };
+    }
+    
+    // 補上舊記錄缺少的 betId
+    if (!betEvent.betId) {
+      betEvent.betId = onChainBet.betId.toString();
+      betEvent.orphanReason = null;
+      await betEvent.save();
+    }
+    
+    const revealBlock = Number(betEvent.revealBlock);
+    
+    const bet = {
+      roomId: betEvent.roomId,
+      player: betEvent.player,
+      amount: onChainBet.amount,
+      betBig: onChainBet.betBig,
+      betId: onChainBet.betId.toString(),
+      blockNumber: betEvent.blockNumber,
+      timeStamp: betEvent.blockTimestamp,
+      commitBlock: Number(betEvent.commitBlock),
+      revealBlock,
+      transactionHash: betEvent.transactionHash,
+      logIndex: betEvent.logIndex,
+      recovered: true
+    };
+    
+    // 停機期間已超過可結算範圍的投注無法再結算
+    const currentBlock = await this.httpProvider.getBlockNumber();
+    if (currentBlock >= this.getBetExpiryBlock(bet)) {
+      await this._expireBet(key, bet, currentBlock);
+      return { stale: false, expired: true, revealBlock };
+    }
+    
+    const queued = await this._enqueueBet(key, bet);
+    
+    return { stale: false, revealBlock, deadLetter: !queued };
+  }
+  
+  /**
+   * 從交易收據中重新讀取 BetPlaced 事件的提交區塊與揭示區塊
+   * @param {string} transactionHash BetPlaced 交易哈希
+   * @param {number} logIndex BetPlaced 日誌索引
+   * @returns {Promise<{commitBlock: number, revealBlock: number}|null>} 事件中的區塊，找不到事件時返回 null
+   * @private
+   */
+  async _readRevealWindow(transactionHash, logIndex) {
+    const receipt = await this.httpProvider.getTransactionReceipt(transactionHash);
+    if (!receipt) {
+      return null;
+    }
+    
+    const log = receipt.logs.find(item => item.index === logIndex);
+    const parsedLog = log ? this.contract.interface.parseLog(log) : null;
+    if (!parsedLog || parsedLog.name !== 'BetPlaced') {
+      return null;
+    }
+    
+    return {
+      commitBlock: Number(parsedLog.args.commitBlock),
+      revealBlock: Number(parsedLog.args.revealBlockNumber)
+    };
+  }
+  
+  /**
+   * 比對事件中的提交區塊/揭示區塊與本地依事件區塊及 revealDelay 推算的值，不一致時記錄到 BetPlaced 記錄
+   * @param {Object} betEvent BetPlaced 記錄
+   * @param {Object} meta 事件元數據
+   * @param {number} commitBlock 事件中的提交區塊
+   * @param {number} revealBlock 事件中的揭示區塊
+   * @param {boolean} alert 是否發出告警（歷史回補期間 revealDelay 可能已修改，只記錄不告警）
+   * @private
+   */
+  async _recordRevealBlockDiscrepancy(betEvent, meta, commitBlock, revealBlock, alert) {
+    const expectedRevealBlock = meta.blockNumber + this.revealDelay;
+    if (commitBlock === meta.blockNumber && revealBlock === expectedRevealBlock) {
+      return;
+    }
+    
+    const discrepancy = {
+      eventBlock: meta.blockNumber,
+      commitBlock,
+      revealBlock,
+      expectedCommitBlock: meta.blockNumber,
+      expectedRevealBlock,
+      revealDelay: this.revealDelay,
+      detectedAt: new Date()
+    };
+    
+    this.revealBlockDiscrepancies.count++;
+    this.revealBlockDiscrepancies.last = { transactionHash: meta.transactionHash, logIndex: meta.logIndex, ...discrepancy };
+    console.warn(`投注 ${meta.transactionHash}#${meta.logIndex} 的揭示區塊 ${revealBlock} (提交區塊 ${commitBlock}) 與本地推算的 ${expectedRevealBlock} (區塊 ${meta.blockNumber} + revealDelay ${this.revealDelay}) 不一致，以事件為準`);
+    
+    try {
+      await GameEvent.updateOne({ _id: betEvent._id }, { $set: { revealBlockDiscrepancy: discrepancy } });
+    } catch (error) {
+      console.error(`記錄投注 ${meta.transactionHash} 的揭示區塊差異失敗:`, error);
+    }
+    
+    const details = {
+      deployment: this.name,
+      chainId: this.chainId,
+      contractAddress: this.contractAddress,
+      transactionHash: meta.transactionHash,
+      logIndex: meta.logIndex,
+      ...discrepancy
+    };
+    this.emit('revealBlockDiscrepancy', details);
+    
+    if (alert) {
+      // revealDelay 可能已透過 setBlockParams 修改，立即刷新；刷新與告警在背景進行，不阻塞事件寫入
+      this._fetchContractBlockParams().catch((error) => {
+        console.error('刷新區塊參數失敗:', error);
+      });
+      sendAlert('reveal_block_discrepancy', `投注 ${meta.transactionHash} 的揭示區塊與本地推算不一致`, details).catch((error) => {
+        console.error('發送揭示區塊差異告警失敗:', error);
+      });
+    }
+  }
+  
+  /**
+   * 延後排程揭示區塊暫時無法確定的投注，依指數退避重新讀取鏈上事件
+   * 達到重試上限後放棄並發出告警，投注保留在數據庫中，下次成為領導者或重啟時重新恢復
+   * @param {string} key 待處理投注鍵
+   * @param {string} transactionHash BetPlaced 交易哈希
+   * @param {number} logIndex BetPlaced 日誌索引
+   * @param {string} reason 延後原因
+   * @private
+   */
+  _deferBet(key, transactionHash, logIndex, reason) {
+    const existing = this.deferredBets.get(key);
+    if (existing && existing.timer) {
+      clearTimeout(existing.timer);
+    }
+    
+    const attempts = existing ? existing.attempts + 1 : 1;
+    if (attempts > SETTLEMENT_MAX_ATTEMPTS) {
+      this.deferredBets.delete(key);
+      console.error(`投注 ${key} 的揭示區塊連續 ${SETTLEMENT_MAX_ATTEMPTS} 次無法確定，停止重試: ${reason}`);
+      this._markBetSettlementStatus({ transactionHash, logIndex }, null, `揭示區塊無法確定: ${reason}`);
+      sendAlert('reveal_block_unresolved', `投注 ${key} 的揭示區塊無法確定，未能排程結算`, {
+        deployment: this.name,
+        chainId: this.chainId,
+        contractAddress: this.contractAddress,
+        key,
+        transactionHash,
+        logIndex,
+        reason
+      });
+      return;
+    }
+    
+    const delay = retryDelay(attempts, SETTLEMENT_RETRY_BASE_MS, SETTLEMENT_RETRY_MAX_MS);
+    const entry = { transactionHash, logIndex, attempts, reason, nextRetryAt: Date.now() + delay, timer: null };
+    entry.timer = setTimeout(() => {
+      this._retryDeferredBet(key).catch((error) => {
+        console.error(`重試排程投注 ${key} 失敗:`, error);
+      });
+    }, delay);
+    this.deferredBets.set(key, entry);
+    
+    console.warn(`投注 ${key} 暫不排程 (第 ${attempts} 次): ${reason}，將於 ${new Date(entry.nextRetryAt).toISOString()} 重試`);
+  }
+  
+  /**
+   * 重新讀取延後投注的鏈上事件並加入待處理列表
+   * @param {string} key 待處理投注鍵
+   * @private
+   */
+  async _retryDeferredBet(key) {
+    const entry = this.deferredBets.get(key);
+    if (!entry) {
+      return;
+    }
+    entry.timer = null;
+    
+    // 已卸任或已由其他路徑（例如鏈重組恢復）加入待處理列表
+    if (!this.isLeader() || this.pendingBets.has(key)) {
+      this.deferredBets.delete(key);
+      return;
+    }
+    
+    const betEvent = await GameEvent.findOne({
+      ...this.eventFilter(),
+      eventType: 'BetPlaced',
+      transactionHash: entry.transactionHash,
+      logIndex: entry.logIndex
+    });
+    
+    if (!betEvent) {
+      this.deferredBets.delete(key);
+      console.warn(`延後排程的投注 ${key} 已不在數據庫中（可能因鏈重組移除），停止重試`);
+      return;
+    }
+    
+    let result;
+    try {
+      result = await this._restorePendingBet(betEvent);
+    } catch (error) {
+      this._deferBet(key, entry.transactionHash, entry.logIndex, error.message);
+      return;
+    }
+    
+    if (!result.deferred) {
+      this.deferredBets.delete(key);
+      const outcome = result.stale ? `無需結算 (${result.reason})` : (result.expired ? '已過期' : `已加入待處理列表，揭示區塊 ${result.revealBlock}`);
+      console.log(`延後排程的投注 ${key} ${outcome}`);
+    }
+  }
+  
+  /**
+   * 清除所有延後排程的投注
+   * @private
+   */
+  _clearDeferredBets() {
+    for (const entry of this.deferredBets.values()) {
+      if (entry.timer) {
+        clearTimeout(entry.timer);
+      }
+    }
+    this.deferredBets.clear();
+  }
+  
+  /**
+   * 獲取揭示區塊狀態：與本地推算不一致的次數及延後排程的投注
+   * @returns {Object} 揭示區塊狀態
+   */
+  getRevealBlockStatus() {
+    return {
+      discrepancies: this.revealBlockDiscrepancies.count,
+      lastDiscrepancy: this.revealBlockDiscrepancies.last,
+      deferred: Array.from(this.deferredBets.entries()).map(([key, entry]) => ({
+        key,
+        transactionHash: entry.transactionHash,
+        attempts: entry.attempts,
+        reason: entry.reason,
+        nextRetryAt: new Date(entry.nextRetryAt).toISOString()
+      }))
+    };
+  }
+  
+  /**
+   * 啟動鏈重組監控
+   * @private
+   */
+  _startReorgMonitor() {
+    this.reorgMonitor = new ReorgMonitor({
+      provider: this.httpProvider,
+      confirmationDepth: CONFIRMATION_DEPTH,
+      eventFilter: this.eventFilter()
+    });
+    
+    this.reorgMonitor.on('reorg', (reorg) => {
+      this._handleReorg(reorg).catch((error) => {
+        console.error('處理鏈重組回滾失敗:', error);
+      });
+    });
+    
+    this.reorgMonitor.start();
+  }
+  
+  /**
+   * 處理鏈重組：從待處理列表移除失效投注，恢復被回滾結算的投注，並從重組區塊重新索引
+   * @param {Object} reorg 重組信息 {blockNumber, removedEvents, unlinkedPlacedEvents}
+   * @private
+   */
+  async _handleReorg({ blockNumber, removedEvents, unlinkedPlacedEvents }) {
+    // 移除已失效的投注
+    const removedTxHashes = new Set(
+      removedEvents.filter(e => e.eventType === 'BetPlaced').map(e => e.transactionHash)
+    );
+    for (const [key, bet] of this.pendingBets.entries()) {
+      if (removedTxHashes.has(bet.transactionHash)) {
+        this.pendingBets.delete(key);
+        await this._closeSettlementJob(key, 'cancelled', '投注因鏈重組失效');
+        console.log(`鏈重組: 從待處理列表移除失效投注 ${key} (${bet.transactionHash})`);
+      }
+    }
+    
+    // 結算事件被回滾的投注，依鏈上狀態重新加入待處理列表（只由領導者處理）
+    for (const betEvent of this.isLeader() ? unlinkedPlacedEvents : []) {
+      try {
+        const result = await this._restorePendingBet(betEvent);
+        const outcome = result.stale
+          ? `未重新加入 (${result.reason})`
+          : (result.expired ? '已過期' : (result.deferred ? `延後排程 (${result.reason})` : '已重新加入待處理列表'));
+        console.log(`鏈重組: 投注 ${betEvent.transactionHash} ${outcome}`);
+      } catch (error) {
+        console.error(`鏈重組: 恢復投注 ${betEvent.transactionHash} 失敗:`, error);
+      }
+    }
+    
+    // 從重組區塊重新索引新鏈上的事件，其後的手續費更新可能已失效，先回滾再由重新索引寫入
+    if (this.indexer && this.indexer.mode === 'live') {
+      try {
+        await rollbackFeeUpdates(this.eventFilter(), blockNumber);
+      } catch (error) {
+        console.error('鏈重組: 回滾手續費更新失敗:', error);
+      }
+      await this.indexer.rewind(blockNumber - 1);
+      await this.indexer.catchUp();
+    }
+  }
+  
+  /**
+   * 啟動待處理投注檢查定時任務
+   * @private
+   */
+  _startPendingBetCheck() {
+    // 清理現有定時器
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+    }
+    
+    // 每10秒檢查一次
+    this.checkInterval = setInterval(async () => {
+      await this._checkPendingBets();
+    }, 10000);
+    
+    console.log('啟動待處理投注定期檢查，每 10 秒檢查一次');
+  }
+  
+  /**
+   * 從合約中讀取 revealDelay 與 maxCommitAge 值
+   * @private
+   */
+  async _fetchContractBlockParams() {
+    try {
+      // 從合約中讀取 revealDelay 參數
+      const contractRevealDelay = await this.contract.revealDelay();
+      
+      // 確保轉換為有效的數字並更新服務中的值
+      const revealDelayNumber = Number(contractRevealDelay);
+      if (!isNaN(revealDelayNumber) && revealDelayNumber > 0) {
+        if (revealDelayNumber !== this.revealDelay) {
+          console.log(`從智能合約中讀取 revealDelay 值: ${revealDelayNumber} 區塊`);
+        }
+        this.revealDelay = revealDelayNumber;
+      } else {
+        console.warn(`合約返回的 revealDelay 值無效: ${contractRevealDelay}，使用預設值: ${this.revealDelay}`);
+      }
+    } catch (error) {
+      console.error('讀取合約 revealDelay 值失敗:', error.shortMessage || error.message);
+      console.log(`使用預設 revealDelay 值: ${this.revealDelay} 區塊`);
+    }
+    
+    try {
+      const maxCommitAge = Number(await this.contract.maxCommitAge());
+      if (!isNaN(maxCommitAge) && maxCommitAge > 0) {
+        if (maxCommitAge !== this.maxCommitAge) {
+          console.log(`從智能合約中讀取 maxCommitAge 值: ${maxCommitAge} 區塊`);
+        }
+        this.maxCommitAge = maxCommitAge;
+      } else {
+        console.warn(`合約返回的 maxCommitAge 值無效: ${maxCommitAge}`);
+      }
+    } catch (error) {
+      console.error('讀取合約 maxCommitAge 值失敗:', error.shortMessage || error.message);
+      console.log(`maxCommitAge 未知，只依 blockhash 可用範圍 (${BLOCKHASH_WINDOW} 區塊) 判斷投注過期`);
+    }
+  }
+  
+  /**
+   * 立即刷新合約區塊參數（例如透過管理 API 修改 setBlockParams 後）
+   * @returns {Promise<{revealDelay: number, maxCommitAge: number|null}>} 刷新後的區塊參數
+   */
+  async refreshBlockParams() {
+    await this._fetchContractBlockParams();
+    return { revealDelay: this.revealDelay, maxCommitAge: this.maxCommitAge };
+  }
+  
+  /**
+   * 獲取調用合約管理函數的簽名者
+   * @returns {Promise<ethers.Signer>} 管理錢包簽名者
+   */
+  async getAdminSigner() {
+    if (!this.adminSigner) {
+      this.adminSigner = await createAdminSigner(this.httpProvider, {
+        contractInterface: this.contract.interface,
+        context: { deployment: this.name, chainId: this.chainId }
+      });
+    }
+    return this.adminSigner;
+  }
+  
+  /**
+   * 定期刷新合約區塊參數，以反映 setBlockParams 的修改
+   * @private
+   */
+  _startBlockParamsRefresh() {
+    if (this.blockParamsInterval) {
+      clearInterval(this.blockParamsInterval);
+    }
+    
+    // 每10分鐘刷新一次
+    this.blockParamsInterval = setInterval(async () => {
+      await this._fetchContractBlockParams();
+    }, 10 * 60 * 1000);
+  }
+  
+  /**
+   * 計算投注最後可結算的區塊
+   * 取 commitBlock + maxCommitAge 與 revealBlock 的 blockhash 可用範圍兩者中較早者
+   * @param {Object} bet 待處理投注 {commitBlock, revealBlock}
+   * @returns {number} 最後可結算的區塊號
+   */
+  getBetExpiryBlock(bet) {
+    const blockhashLimit = Number(bet.revealBlock) + BLOCKHASH_WINDOW;
+    if (!this.maxCommitAge) {
+      return blockhashLimit;
+    }
+    return Math.min(Number(bet.commitBlock) + this.maxCommitAge, blockhashLimit);
+  }
+  
+  /**
+   * 將已超過可結算範圍的投注移出待處理列表，標記為過期並發出告警
+   * @param {string} key 待處理投注鍵
+   * @param {Object} bet 待處理投注
+   * @param {number} currentBlock 當前區塊號
+   * @private
+   */
+  async _expireBet(key, bet, currentBlock) {
+    const expiryBlock = this.getBetExpiryBlock(bet);
+    const note = `超過可結算區塊 ${expiryBlock} (提交區塊 ${bet.commitBlock}, maxCommitAge ${this.maxCommitAge || '未知'})，需人工處理退款`;
+    
+    this.pendingBets.delete(key);
+    await this._markBetSettlementStatus(bet, 'expired', note);
+    await this._closeSettlementJob(key, 'cancelled', `投注已過期: ${note}`);
+    
+    const details = {
+      deployment: this.name,
+      chainId: this.chainId,
+      contractAddress: this.contractAddress,
+      key,
+      roomId: bet.roomId,
+      player: bet.player,
+      betId: bet.betId || null,
+      amount: bet.amount !== undefined ? bet.amount.toString() : null,
+      commitBlock: bet.commitBlock,
+      expiryBlock,
+      currentBlock
+    };
+    this.emit('betExpired', details);
+    await sendAlert('bet_expired', `投注 ${key} 未能在可結算範圍內結算，已標記為過期`, details);
+  }
+  
+  /**
+   * 啟動 WebSocket 連接監控
+   * @private
+   */
+  _startConnectionMonitor() {
+    // 清理現有定時器
+    if (this.reconnectInterval) {
+      clearInterval(this.reconnectInterval);
+    }
+    
+    // 每分鐘檢查一次
+    this.reconnectInterval = setInterval(async () => {
+      try {
+        // 輪詢模式下由 WebSocket 管理器自行重連，避免重建管理器而中斷輪詢
+        if (this.wsManager && this.wsManager.mode === 'polling') {
+          console.debug(`WebSocket 重連中，以 HTTP 輪詢模式運作，最後輪詢區塊 ${this.wsManager.lastPolledBlock}`);
+          return;
+        }
+        
+        // 檢查基本連接狀態
+        if (!this.wsProvider || !this.wsManager || !this.wsManager.isConnected) {
+          console.log('檢測到 WebSocket 連接中斷，嘗試重新連接...');
+          await this._reconnectWebSocket();
+          return;
+        }
+        
+        // 檢查區塊更新是否停滯
+        const now = Date.now();
+        const lastBlockTime = this.wsManager.lastBlockTime || 0;
+        const blockAge = now - lastBlockTime;
+        const MAX_BLOCK_AGE = 3 * 60 * 1000; // 3分鐘未收到新區塊視為異常
+        
+        if (blockAge > MAX_BLOCK_AGE) {
+          console.warn(`檢測到 ${Math.floor(blockAge/1000)} 秒未收到新區塊，最後區塊時間: ${new Date(lastBlockTime).toISOString()}`);
+          console.log('嘗試重新連接 WebSocket 以恢復區塊更新...');
+          await this._reconnectWebSocket();
+        } else {
+          console.debug(`WebSocket 連接正常，最後區塊更新於 ${Math.floor(blockAge/1000)} 秒前`);
+        }
+      } catch (error) {
+        console.error('WebSocket 監控檢查出錯:', error);
+      }
+    }, 60000); // 每分鐘檢查一次
+    
+    console.log('啟動 WebSocket 連接監控，每 60 秒檢查一次');
+  }
+  
+  /**
+   * 重新連接 WebSocket
+   * @private
+   */
+  async _reconnectWebSocket() {
+    try {
+      // 清理現有連接
+      if (this.wsManager) {
+        console.log('正在清理現有 WebSocket 連接...');
+        try {
+          this.wsManager.removeAllListeners();
+          this.wsManager.stop();
+        } catch (cleanupError) {
+          console.error('清理 WebSocket 連接時出錯:', cleanupError);
+        }
+      }
+      
+      // 重新初始化連接
+      console.log('正在重新初始化 WebSocket 連接...');
+      await this._initWebSocketConnection();
+      
+      // 重置最後區塊時間
+      if (this.wsManager) {
+        this.wsManager.lastBlockTime = Date.now();
+      }
+      
+      console.log('WebSocket 重新連接成功');
+    } catch (error) {
+      console.error('WebSocket 重新連接失敗:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * 本實例是否為此部署的結算者
+   * @returns {boolean} 是否為領導者
+   */
+  isLeader() {
+    return !!this.leaderElection && this.leaderElection.isLeader;
+  }
+  
+  /**
+   * 獲取本實例在此部署的角色
+   * @returns {Object|null} 選舉狀態
+   */
+  getLeaderStatus() {
+    return this.leaderElection ? this.leaderElection.getStatus() : null;
+  }
+  
+  /**
+   * 啟動領導者選舉，等待首次競選的角色切換完成
+   * @private
+   */
+  async _startLeaderElection() {
+    this.leaderElection = new LeaderElection({
+      name: `settler:${this.chainId}:${this.contractAddress}`,
+      instanceId: INSTANCE_ID,
+      leaseMs: LEADER_LEASE_MS,
+      renewIntervalMs: LEADER_RENEW_INTERVAL_MS
+    });
+    
+    this.leaderElection.on('elected', () => this._queueRoleChange(() => this._becomeLeader()));
+    this.leaderElection.on('demoted', () => this._queueRoleChange(() => this._stepDown()));
+    
+    await this.leaderElection.start();
+    await this.roleChange;
+    
+    if (!this.isLeader()) {
+      console.log(`部署 ${this.name} 的結算者為實例 ${this.leaderElection.holder || '未知'}，本實例只索引事件與提供 API`);
+    }
+  }
+  
+  /**
+   * 依序執行角色切換，避免成為領導者與卸任交錯進行
+   * @param {Function} change 角色切換函數
+   * @private
+   */
+  _queueRoleChange(change) {
+    this.roleChange = this.roleChange.then(change).catch((error) => {
+      console.error('切換結算角色失敗:', error);
+    });
+  }
+  
+  /**
+   * 成為領導者：啟動結算錢包池並從數據庫恢復未結算的投注
+   * 啟動失敗時釋放租約，讓其他副本有機會接手
+   * @private
+   */
+  async _becomeLeader() {
+    if (!this.isLeader()) {
+      return;
+    }
+    
+    try {
+      await this._startSettlerPool();
+    } catch (error) {
+      console.error('啟動結算錢包池失敗，釋放結算者租約:', error);
+      if (this.settlerPool) {
+        this.settlerPool.stop();
+        this.settlerPool = null;
+      }
+      await this.leaderElection.release();
+      return;
+    }
+    
+    // 從數據庫和鏈上狀態恢復未結算的投注
+    await this._recoverPendingBets();
+  }
+  
+  /**
+   * 卸任領導者：停止發送結算交易並清空待處理列表，已送出的交易由新的領導者追蹤
+   * @private
+   */
+  async _stepDown() {
+    if (this.settlerPool) {
+      this.settlerPool.stop();
+      this.settlerPool = null;
+    }
+    
+    this.pendingBets.clear();
+    this._clearDeferredBets();
+    console.log(`部署 ${this.name} 已停止結算，待處理投注交由新的結算者處理`);
+  }
+  
+  /**
+   * 啟動結算錢包池
+   * @private
+   */
+  async _startSettlerPool() {
+    // 依配置的簽名後端創建結算錢包，所有簽名請求都寫入審計記錄
+    const signers = await createSettlerSigners(this.httpProvider, {
+      contractInterface: this.contract.interface,
+      context: { deployment: this.name, chainId: this.chainId }
+    });
+    
+    this.settlerPool = new SettlerPool({
+      signers,
+      contract: this.contract,
+      provider: this.httpProvider,
+      eventFilter: this.eventFilter(),
+      managerOptions: {
+        maxConcurrent: SETTLEMENT_MAX_CONCURRENT,
+        stuckTimeoutMs: SETTLEMENT_STUCK_TIMEOUT_MS,
+        feeBumpPercent: SETTLEMENT_FEE_BUMP_PERCENT,
+        maxReplacements: SETTLEMENT_MAX_REPLACEMENTS,
+        maxFeePerGas: SETTLEMENT_MAX_FEE_GWEI ? ethers.parseUnits(SETTLEMENT_MAX_FEE_GWEI, 'gwei') : null
+      },
+      minBalance: ethers.parseEther(SETTLER_MIN_BALANCE),
+      lowPoolBalance: ethers.parseEther(SETTLER_POOL_LOW_BALANCE),
+      balanceCheckIntervalMs: SETTLER_BALANCE_CHECK_INTERVAL_MS,
+      name: this.name
+    });
+    
+    this.settlerPool.on('confirmed', ({ key }) => {
+      if (this.pendingBets.has(key)) {
+        this.pendingBets.delete(key);
+        console.log(`結算完成後從待處理列表移除，當前待處理投注數: ${this.pendingBets.size}`);
+      }
+      this._closeSettlementJob(key, 'completed');
+    });
+    
+    // 執行失敗或被其他交易取代時保留在待處理列表，依退避時間重新結算
+    this.settlerPool.on('reverted', ({ key, receipt }) => {
+      this._handleSettlementFailure(key, `結算交易 ${receipt.hash} 執行失敗`);
+    });
+    
+    this.settlerPool.on('dropped', ({ key }) => {
+      this._handleSettlementFailure(key, '結算交易的 nonce 已被其他交易使用');
+    });
+    
+    await this.settlerPool.start();
+  }
+  
+  /**
+   * 檢查待處理投注
+   * @private
+   */
+  async _checkPendingBets() {
+    // 每次檢查都重新讀取共用的暫停狀態，讀取失敗時本次不發送結算交易
+    let settlementPaused;
+    try {
+      settlementPaused = !!(await this.refreshSettlementPause());
+    } catch (error) {
+      console.error('讀取結算暫停狀態失敗，本次不處理待處理投注:', error.message);
+      return;
+    }
+    
+    if (!this.settlerPool || this.pendingBets.size === 0) {
+      return;
+    }
+    
+    try {
+      console.log(`檢查待處理投注，當前數量: ${this.pendingBets.size}`);
+      
+      // 獲取當前區塊號
+      const currentBlockNumber = await this.httpProvider.getBlockNumber();
+      
+      const currentBlockNum = Number(currentBlockNumber);
+      
+      // 最接近過期的投注優先處理
+      const entries = Array.from(this.pendingBets.entries())
+        .map(([key, bet]) => ({ key, bet, expiryBlock: this.getBetExpiryBlock(bet) }))
+        .sort((a, b) => a.expiryBlock - b.expiryBlock);
+      
+      // 檢查每個待處理的投注
+      for (const { key, bet, expiryBlock } of entries) {
+        try {
+          const { roomId, player, revealBlock } = bet;
+          
+          // 已有等待確認的結算交易
+          if (this.settlerPool.isInFlight(key)) {
+            continue;
+          }
+          
+          // 下一個區塊已超過可結算範圍
+          const blocksUntilExpiry = expiryBlock - currentBlockNum;
+          if (blocksUntilExpiry <= 0) {
+            await this._expireBet(key, bet, currentBlockNum);
+            continue;
+          }
+          
+          // 尚未到達退避後的重試時間，即將過期的投注不再等待
+          const nearExpiry = blocksUntilExpiry <= SETTLEMENT_EXPIRY_WARNING_BLOCKS;
+          if (bet.nextRetryAt && bet.nextRetryAt > Date.now() && !nearExpiry) {
+            continue;
+          }
+          
+          // 檢查是否已達到揭示區塊
+          const revealBlockNum = Number(revealBlock);
+          
+          if (currentBlockNum >= revealBlockNum) {
+            if (settlementPaused) {
+              if (nearExpiry) {
+                console.warn(`結算已暫停，投注 ${key} 距離過期只剩 ${blocksUntilExpiry} 個區塊 (可結算至區塊 ${expiryBlock})`);
+              } else {
+                console.log(`投注 ${key} 的揭示區塊 ${revealBlockNum} 已到達，結算已暫停，恢復後再結算`);
+              }
+              continue;
+            }
+            if (!this.settlerPool.hasCapacity()) {
+              console.log(`可用結算錢包的等待確認交易已達上限 ${this.settlerPool.maxConcurrent}，其餘投注下次再處理`);
+              break;
+            }
+            if (nearExpiry) {
+              console.warn(`投注 ${key} 距離過期只剩 ${blocksUntilExpiry} 個區塊 (可結算至區塊 ${expiryBlock})`);
+            }
+            console.log(`投注 ${key} 的揭示區塊 ${revealBlockNum} 已到達，當前區塊 ${currentBlockNum}，開始結算...`);
+            await this._settleBet(roomId, player, key);
+          } else {
+            const blocksRemaining = revealBlockNum - currentBlockNum;
+            console.log(`投注 ${key} 等待中，還需 ${blocksRemaining} 個區塊到達揭示區塊 ${revealBlockNum}`);
+          }
+        } catch (error) {
+          console.error(`處理待處理投注 ${key} 時出錯:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('檢查待處理投注失敗:', error);
+    }
+  }
+  
+  /**
+   * 結算投注
+   * @param {number} roomId 房間ID
+   * @param {string} player 玩家地址
+   * @param {string} key 唯一鍵
+   * @private
+   */
+  async _settleBet(roomId, player, key) {
+    try {
+      console.log(`嘗試結算投注: ${key}`);
+      
+      // 交由結算錢包池發送，確認後由 confirmed 事件從待處理列表移除
+      const bet = this.pendingBets.get(key);
+      const txHash = await this.settlerPool.submit({ key, roomId, player, betId: bet ? bet.betId : null });
+      if (!txHash) {
+        return false;
+      }
+      
+      return true;
+    } catch (error) {
+      const revertReason = decodeRevert(error);
+      
+      // 不是合約回退（網絡錯誤、發送失敗等），依退避時間重試
+      if (!revertReason) {
+        console.error(`結算投注 ${key} 失敗:`, error);
+        await this._handleSettlementFailure(key, error.shortMessage || error.message);
+        return false;
+      }
+      
+      console.warn(`模擬結算投注 ${key} 回退: ${revertReason.message} (處理方式: ${revertReason.action})`);
+      
+      if (revertReason.action === 'drop') {
+        await this._dropRejectedBet(key, revertReason);
+        return true;
+      }
+      
+      if (revertReason.action === 'escalate') {
+        await this._escalateBet(key, revertReason);
+        return false;
       }
       
-      console.error(`結算投注 ${key} 失敗:`, error);
+      await this._handleSettlementFailure(key, revertReason.message, revertReason);
       return false;
     }
   }
+  
+  /**
+   * 合約拒絕結算且無需重試：從待處理列表移除
+   * 數據庫中沒有對應的結算事件時，代表合約拒絕了這筆投注的結算，記錄下來而不是靜默丟棄
+   * @param {string} key 待處理投注鍵
+   * @param {Object} revertReason 解碼後的回退原因
+   * @private
+   */
+  async _dropRejectedBet(key, revertReason) {
+    console.log(`投注已被結算或找不到，從待處理列表移除: ${key}`);
+    const bet = this.pendingBets.get(key);
+    this.pendingBets.delete(key);
+    
+    if (!bet) {
+      return;
+    }
+    
+    const settledEvent = bet.betId
+      ? await GameEvent.findOne({ ...this.eventFilter(), eventType: 'BetSettled', betId: bet.betId, roomId: bet.roomId }).lean()
+      : null;
+    if (!settledEvent) {
+      console.warn(`投注 ${key} (betId=${bet.betId || '未知'}) 被合約拒絕結算: ${revertReason.message}`);
+      await this._markBetSettlementStatus(bet, 'rejected', revertReason.message);
+      await this._closeSettlementJob(key, 'cancelled', `合約拒絕結算: ${revertReason.message}`, revertReason);
+    } else {
+      await this._closeSettlementJob(key, 'completed', null, revertReason);
+    }
+  }
+  
+  /**
+   * 回退原因無法自動處理：移出待處理列表，任務移入死信並發出告警
+   * @param {string} key 待處理投注鍵
+   * @param {Object} revertReason 解碼後的回退原因
+   * @private
+   */
+  async _escalateBet(key, revertReason) {
+    const bet = this.pendingBets.get(key);
+    this.pendingBets.delete(key);
+    
+    try {
+      await escalateJob(this.eventFilter(), key, revertReason.message, revertReason);
+    } catch (error) {
+      console.error(`將投注 ${key} 的結算任務移入死信失敗:`, error);
+    }
+    
+    await sendAlert('settlement_escalated', `投注 ${key} 結算模擬回退，需人工確認: ${revertReason.message}`, {
+      deployment: this.name,
+      chainId: this.chainId,
+      contractAddress: this.contractAddress,
+      key,
+      roomId: bet ? bet.roomId : null,
+      player: bet ? bet.player : null,
+      betId: bet ? bet.betId || null : null,
+      revertReason
+    });
+  }
 }
 
 module.exports = AutoRevealService;
@@ -0,0 +1,241 @@
+/**
+ * 歷史事件回補索引器
+ * 透過 HTTP 提供者按區塊範圍讀取合約日誌，補齊服務停機期間遺漏的事件，
+ * 並持久化最後索引的區塊，重啟後從檢查點繼續，完成後交由即時監聽接手
+ */
+const EventEmitter = require('events');
+const IndexerCheckpoint = require('../models/IndexerCheckpoint');
+
+class BackfillIndexer extends EventEmitter {
+  /**
+   * @param {Object} options 配置
+   * @param {ethers.JsonRpcProvider} options.provider HTTP 提供者
+   * @param {ethers.Contract} options.contract 合約實例（用於取得地址與 ABI 介面）
+   * @param {string[]} options.eventNames 需要索引的事件名稱
+   * @param {Function} options.handleLog 處理單條已解碼日誌的回調 (parsedLog, log) => Promise
+   * @param {number} options.chainId 鏈 ID（用於區分不同鏈上相同地址的合約檢查點）
+   * @param {number|null} options.startBlock 沒有檢查點時的起始區塊
+   * @param {number} options.batchSize 每次查詢的區塊範圍大小
+   */
+  constructor({ provider, contract, eventNames, handleLog, chainId, startBlock = null, batchSize = 2000 }) {
+    super();
+    this.provider = provider;
+    this.contract = contract;
+    this.eventNames = eventNames;
+    this.handleLog = handleLog;
+    this.chainId = chainId;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+
+    this.checkpointKey = null;
+    this.lastIndexedBlock = null;
+    this.targetBlock = null;
+    this.isSyncing = false;
+
+    // 即時監聽寫入失敗的最早區塊，檢查點不會推進到此區塊，重新索引成功後清除
+    this.failedLiveBlock = null;
+
+    // 模式: idle（未啟動）、backfill（回補中）、live（已交由即時監聽）
+    this.mode = 'idle';
+  }
+
+  /**
+   * 獲取索引器狀態
+   * @returns {Object} 狀態信息
+   */
+  getStatus() {
+    return {
+      mode: this.mode,
+      lastIndexedBlock: this.lastIndexedBlock,
+      targetBlock: this.targetBlock,
+      isSyncing: this.isSyncing,
+      failedLiveBlock: this.failedLiveBlock
+    };
+  }
+
+  /**
+   * 啟動回補：讀取檢查點並索引到當前區塊，完成後切換到即時模式
+   */
+  async start() {
+    const contractAddress = await this.contract.getAddress();
+    this.checkpointKey = `backfill:${this.chainId}:${contractAddress.toLowerCase()}`;
+
+    let checkpoint = await IndexerCheckpoint.findOne({ key: this.checkpointKey }).lean();
+
+    // 沿用未區分鏈 ID 的舊版檢查點
+    if (!checkpoint) {
+      checkpoint = await IndexerCheckpoint.findOne({ key: `backfill:${contractAddress.toLowerCase()}` }).lean();
+    }
+
+    if (checkpoint) {
+      this.lastIndexedBlock = checkpoint.lastBlock;
+      console.log(`讀取索引檢查點: 最後索引區塊 ${this.lastIndexedBlock}`);
+    } else if (this.startBlock !== null && !isNaN(this.startBlock)) {
+      this.lastIndexedBlock = this.startBlock - 1;
+      console.log(`未找到索引檢查點，從配置的起始區塊 ${this.startBlock} 開始回補`);
+    } else {
+      // 沒有檢查點也沒有起始區塊時，從當前區塊開始記錄，不回補歷史
+      const currentBlock = await this.provider.getBlockNumber();
+      await this._saveCheckpoint(currentBlock);
+      console.warn(`未設置 INDEXER_START_BLOCK 且沒有檢查點，從當前區塊 ${currentBlock} 開始索引`);
+    }
+
+    this.mode = 'backfill';
+    await this.catchUp();
+    this.mode = 'live';
+    this.emit('live', this.lastIndexedBlock);
+    console.log(`歷史事件回補完成，最後索引區塊 ${this.lastIndexedBlock}，交由即時監聽接手`);
+  }
+
+  /**
+   * 從檢查點索引到當前最新區塊
+   * 用於啟動回補以及 WebSocket 重連後補齊斷線期間的事件
+   * @returns {Promise<number>} 本次處理的日誌數
+   */
+  async catchUp() {
+    if (this.isSyncing || this.lastIndexedBlock === null) {
+      return 0;
+    }
+
+    this.isSyncing = true;
+    let processed = 0;
+
+    try {
+      this.targetBlock = await this.provider.getBlockNumber();
+
+      while (this.lastIndexedBlock < this.targetBlock) {
+        const fromBlock = this.lastIndexedBlock + 1;
+        const toBlock = Math.min(fromBlock + this.batchSize - 1, this.targetBlock);
+
+        processed += await this._indexRange(fromBlock, toBlock);
+        await this._saveCheckpoint(toBlock);
+      }
+
+      // 即時監聽失敗的區塊已重新索引
+      if (this.failedLiveBlock !== null && this.failedLiveBlock <= this.lastIndexedBlock) {
+        console.log(`即時監聽寫入失敗的區塊 ${this.failedLiveBlock} 已重新索引`);
+        this.failedLiveBlock = null;
+      }
+    } finally {
+      this.isSyncing = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * 將檢查點回退到指定區塊（例如發生鏈重組時），之後的區塊將被重新索引
+   * @param {number} blockNumber 回退後的最後索引區塊
+   */
+  async rewind(blockNumber) {
+    if (this.lastIndexedBlock === null || blockNumber >= this.lastIndexedBlock) {
+      return;
+    }
+
+    console.log(`索引檢查點由區塊 ${this.lastIndexedBlock} 回退到 ${blockNumber}`);
+    await this._saveCheckpoint(blockNumber);
+  }
+
+  /**
+   * 記錄即時監聽寫入失敗的日誌區塊：檢查點回退到此區塊之前，
+   * 在失敗的區塊重新索引成功前不再推進
+   * @param {number} blockNumber 寫入失敗的日誌所在區塊
+   */
+  async recordLiveFailure(blockNumber) {
+    const failedBlock = Number(blockNumber);
+    if (this.failedLiveBlock === null || failedBlock < this.failedLiveBlock) {
+      this.failedLiveBlock = failedBlock;
+    }
+
+    try {
+      await this.rewind(failedBlock - 1);
+    } catch (error) {
+      // 未能保存時仍在記憶體中回退，下次保存檢查點前會先重新索引失敗的區塊
+      console.error('回退索引檢查點失敗:', error);
+      this.lastIndexedBlock = Math.min(this.lastIndexedBlock, failedBlock - 1);
+    }
+  }
+
+  /**
+   * 即時模式下記錄已收到的新區塊，推進檢查點；
+   * 有即時監聽寫入失敗的區塊時改為從檢查點重新索引，成功後才繼續推進
+   * @param {number} blockNumber 區塊號
+   */
+  async recordLiveBlock(blockNumber) {
+    if (this.mode !== 'live' || this.isSyncing) {
+      return;
+    }
+
+    if (this.failedLiveBlock !== null) {
+      try {
+        await this.catchUp();
+      } catch (error) {
+        console.error(`重新索引寫入失敗的區塊 ${this.failedLiveBlock} 失敗:`, error);
+      }
+      return;
+    }
+
+    // 當前區塊的事件可能尚未全部送達，只推進到前一個區塊
+    const safeBlock = Number(blockNumber) - 1;
+    if (this.lastIndexedBlock !== null && safeBlock <= this.lastIndexedBlock) {
+      return;
+    }
+
+    try {
+      await this._saveCheckpoint(safeBlock);
+    } catch (error) {
+      console.error('更新索引檢查點失敗:', error);
+    }
+  }
+
+  /**
+   * 索引指定區塊範圍內的合約日誌
+   * @param {number} fromBlock 起始區塊
+   * @param {number} toBlock 結束區塊
+   * @returns {Promise<number>} 處理的日誌數
+   * @private
+   */
+  async _indexRange(fromBlock, toBlock) {
+    const topics = this.eventNames.map(name => this.contract.interface.getEvent(name).topicHash);
+
+    const logs = await this.provider.getLogs({
+      address: await this.contract.getAddress(),
+      topics: [topics],
+      fromBlock,
+      toBlock
+    });
+
+    if (logs.length > 0) {
+      console.log(`回補區塊 ${fromBlock} - ${toBlock}，找到 ${logs.length} 條事件日誌`);
+    }
+
+    // 依區塊號與日誌索引排序，確保 BetPlaced 先於對應的 BetSettled 處理
+    logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+
+    for (const log of logs) {
+      const parsedLog = this.contract.interface.parseLog(log);
+      if (!parsedLog) {
+        continue;
+      }
+      await this.handleLog(parsedLog, log);
+    }
+
+    return logs.length;
+  }
+
+  /**
+   * 保存檢查點
+   * @param {number} blockNumber 最後完成索引的區塊號
+   * @private
+   */
+  async _saveCheckpoint(blockNumber) {
+    await IndexerCheckpoint.updateOne(
+      { key: this.checkpointKey },
+      { $set: { lastBlock: blockNumber, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    this.lastIndexedBlock = blockNumber;
+  }
+}
+
+module.exports = BackfillIndexer;
@@ -0,0 +1,166 @@
+/**
+ * 投注結果驗證
+ * 從鏈上讀取揭示區塊與結算交易，依合約的推導方式重新計算結果值，
+ * 與數據庫記錄及鏈上 BetSettled 事件比對，並返回所有中間值供玩家自行重現。
+ * 未配置推導方式時只比對記錄與鏈上事件，結果值相關的檢查與整體結果為 null，不視為驗證失敗
+ */
+const { ethers } = require('ethers');
+const GameEvent = require('../models/GameEvent');
+const { isDerivationConfigured, deriveResult } = require('../utils/resultDerivation');
+
+/**
+ * 查找結算記錄對應的 BetPlaced 記錄
+ * @param {Object} settledEvent BetSettled 記錄
+ * @returns {Promise<Object|null>} BetPlaced 記錄
+ */
+async function findPlacedEvent(settledEvent) {
+  if (settledEvent.relatedEventId) {
+    const related = await GameEvent.findById(settledEvent.relatedEventId).lean();
+    if (related) {
+      return related;
+    }
+  }
+
+  return GameEvent.findOne({
+    chainId: settledEvent.chainId,
+    contractAddress: settledEvent.contractAddress,
+    eventType: 'BetPlaced',
+    betId: settledEvent.betId,
+    roomId: settledEvent.roomId
+  }).lean();
+}
+
+/**
+ * 從結算交易收據中讀取鏈上的 BetSettled 事件
+ * @param {Object} autoRevealService 部署的自動揭示服務
+ * @param {Object} settledEvent BetSettled 記錄
+ * @returns {Promise<Object|null>} 鏈上事件參數，找不到時返回 null
+ */
+async function readOnChainSettlement(autoRevealService, settledEvent) {
+  const receipt = await autoRevealService.httpProvider.getTransactionReceipt(settledEvent.transactionHash);
+  if (!receipt) {
+    return null;
+  }
+
+  const log = receipt.logs.find(item => item.index === settledEvent.logIndex &&
+    ethers.getAddress(item.address) === autoRevealService.contractAddress);
+  if (!log) {
+    return null;
+  }
+
+  const parsed = autoRevealService.contract.interface.parseLog(log);
+  if (!parsed || parsed.name !== 'BetSettled') {
+    return null;
+  }
+
+  return {
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    logIndex: log.index,
+    roomId: Number(parsed.args.roomId),
+    player: parsed.args.player,
+    betId: parsed.args.betId.toString(),
+    won: parsed.args.won,
+    hashValue: Number(parsed.args.hashValue),
+    blockHash: parsed.args.blockHash
+  };
+}
+
+/**
+ * 驗證已結算投注的結果
+ * @param {Object} autoRevealService 部署的自動揭示服務（需已初始化）
+ * @param {Object} settledEvent BetSettled 記錄
+ * @returns {Promise<Object>} 驗證結果與所有中間值，未配置推導方式時 verified 為 null
+ */
+async function verifySettledBet(autoRevealService, settledEvent) {
+  const derivationConfigured = isDerivationConfigured();
+  const placedEvent = await findPlacedEvent(settledEvent);
+
+  const revealBlockNumber = placedEvent && Number(placedEvent.revealBlock) > 0
+    ? Number(placedEvent.revealBlock)
+    : Number(settledEvent.resultBlock);
+  const betBig = placedEvent ? placedEvent.betBig : settledEvent.betBig;
+
+  const [revealBlock, onChainEvent] = await Promise.all([
+    revealBlockNumber > 0 ? autoRevealService.httpProvider.getBlock(revealBlockNumber) : null,
+    readOnChainSettlement(autoRevealService, settledEvent)
+  ]);
+
+  // 推導使用鏈上揭示區塊的哈希，不依賴數據庫或事件中記錄的值
+  let derivation = null;
+  let derivationError = derivationConfigured ? null : '未配置結果推導方式，無法重新計算結果值';
+  if (revealBlock && derivationConfigured) {
+    try {
+      derivation = deriveResult({
+        blockHash: revealBlock.hash,
+        player: settledEvent.player,
+        betId: settledEvent.betId,
+        roomId: settledEvent.roomId,
+        commitBlock: placedEvent ? placedEvent.commitBlock : null,
+        revealBlock: revealBlockNumber,
+        amount: placedEvent ? ethers.parseEther(placedEvent.amount) : null
+      });
+    } catch (error) {
+      derivationError = error.message;
+    }
+  }
+
+  const eventBlockHash = onChainEvent ? onChainEvent.blockHash : settledEvent.blockHash;
+  const checks = {
+    // 數據庫記錄與鏈上 BetSettled 事件一致
+    settlementMatchesChain: !!onChainEvent &&
+      onChainEvent.hashValue === settledEvent.hashValue &&
+      onChainEvent.won === settledEvent.won &&
+      onChainEvent.blockHash === settledEvent.blockHash,
+    // 事件中的區塊哈希即為揭示區塊的哈希
+    blockHashMatches: !!revealBlock && revealBlock.hash === eventBlockHash,
+    // 重新計算的結果值與記錄一致
+    hashValueMatches: derivationConfigured
+      ? !!derivation && derivation.resultValue === settledEvent.hashValue
+      : null,
+    // 依結果值與投注方向判斷的輸贏與記錄一致
+    outcomeMatches: derivationConfigured
+      ? !!derivation && betBig !== null && betBig !== undefined && (betBig === derivation.resultBig) === settledEvent.won
+      : null
+  };
+
+  return {
+    verified: derivationConfigured ? Object.values(checks).every(Boolean) : null,
+    derivationConfigured,
+    checks,
+    betId: settledEvent.betId,
+    chainId: settledEvent.chainId,
+    contractAddress: settledEvent.contractAddress,
+    roomId: settledEvent.roomId,
+    player: settledEvent.player,
+    bet: placedEvent ? {
+      amount: placedEvent.amount,
+      betBig: placedEvent.betBig,
+      choiceText: placedEvent.betBig ? '大' : '小',
+      commitBlock: placedEvent.commitBlock,
+      revealBlock: placedEvent.revealBlock,
+      transactionHash: placedEvent.transactionHash,
+      blockNumber: placedEvent.blockNumber
+    } : null,
+    settlement: {
+      transactionHash: settledEvent.transactionHash,
+      blockNumber: settledEvent.blockNumber,
+      logIndex: settledEvent.logIndex,
+      hashValue: settledEvent.hashValue,
+      blockHash: settledEvent.blockHash,
+      won: settledEvent.won
+    },
+    onChainEvent,
+    revealBlock: revealBlock ? {
+      number: revealBlock.number,
+      hash: revealBlock.hash,
+      timestamp: revealBlock.timestamp
+    } : { number: revealBlockNumber > 0 ? revealBlockNumber : null, hash: null, timestamp: null },
+    derivation,
+    derivationError
+  };
+}
+
+module.exports = {
+  verifySettledBet
+};
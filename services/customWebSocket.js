@@ -4,20 +4,57 @@
  */
 const { ethers } = require('ethers');
 const EventEmitter = require('events');
+const { maskUrl } = require('./rpcPool');
 
 class CustomWebSocketManager extends EventEmitter {
-  constructor(wsUrl, httpUrl) {
+  /**
+   * @param {string|string[]} wsUrls WebSocket RPC 地址（多個地址時斷線後輪流嘗試）
+   * @param {string|ethers.JsonRpcProvider} httpProvider HTTP RPC 地址或提供者（如 RPC 節點池）
+   * @param {Object} [options] 選項
+   * @param {Object} [options.logFilter] WebSocket 不可用時輪詢的日誌過濾條件 {address, topics}
+   * @param {number} [options.pollingIntervalMs] 輪詢間隔
+   * @param {number} [options.pollingBatchSize] 每次輪詢的最大區塊範圍
+   */
+  constructor(wsUrls, httpProvider, options = {}) {
     super();
-    this.wsUrl = wsUrl;
-    this.httpUrl = httpUrl;
+    this.wsEndpoints = (Array.isArray(wsUrls) ? wsUrls : [wsUrls]).map(url => ({
+      url,
+      label: maskUrl(url),
+      connects: 0,
+      failures: 0,
+      lastError: null,
+      lastConnectedAt: null
+    }));
+    this.wsEndpointIndex = 0;
     this.wsProvider = null;
-    this.httpProvider = null;
+    this.httpProvider = typeof httpProvider === 'string' ? new ethers.JsonRpcProvider(httpProvider) : httpProvider;
     this.isConnected = false;
     this.lastBlockTime = Date.now();
+    this.lastBlockNumber = null;
     this.connectionCheckInterval = null;
     this.reconnectTimeout = null;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
+    
+    // HTTP 日誌輪詢（WebSocket 不可用時的備援模式）
+    this.logFilter = options.logFilter || null;
+    this.pollingIntervalMs = options.pollingIntervalMs || 5000;
+    this.pollingBatchSize = options.pollingBatchSize || 2000;
+    this.pollingInterval = null;
+    this.isPolling = false;
+    this.lastPolledBlock = null;
+    this.lastPollTime = null;
+    
+    // 事件來源模式: websocket（訂閱）或 polling（HTTP 輪詢）
+    this.mode = 'websocket';
+  }
+
+  /**
+   * 當前使用的 WebSocket 節點
+   * @returns {Object} 節點
+   */
+  get wsEndpoint() {
+    return this.wsEndpoints[this.wsEndpointIndex];
   }
 
   /**
@@ -46,16 +83,13 @@ class CustomWebSocketManager extends EventEmitter {
     }
 
     try {
-      console.log(`初始化 WebSocket 連接: ${this.wsUrl}`);
+      console.log(`初始化 WebSocket 連接: ${this.wsEndpoint.label}`);
 
       // 先清理可能存在的舊連接
       this._cleanupConnection();
 
       // 創建 WebSocket 提供者
-      this.wsProvider = new ethers.WebSocketProvider(this.wsUrl);
-
-      // 創建 HttpProvider 作為備用
-      this.httpProvider = new ethers.JsonRpcProvider(this.httpUrl);
+      this.wsProvider = new ethers.WebSocketProvider(this.wsEndpoint.url);
       
       console.log('等待 WebSocket 連接就緒...');
       
@@ -80,12 +114,16 @@ class CustomWebSocketManager extends EventEmitter {
       
       // 更新狀態並觸發事件
       this.isConnected = true;
+      this.wsEndpoint.connects++;
+      this.wsEndpoint.lastConnectedAt = new Date();
       this.emit('connected', this.wsProvider);
       
       console.log('WebSocket 連接成功建立');
       return this.wsProvider;
     } catch (error) {
       console.error('建立 WebSocket 連接失敗:', error);
+      this.wsEndpoint.failures++;
+      this.wsEndpoint.lastError = error.shortMessage || error.message;
       this._handleReconnect();
       throw error;
     }
@@ -98,6 +136,7 @@ class CustomWebSocketManager extends EventEmitter {
   _handleNewBlock(blockNumber) {
     // 更新最後收到區塊的時間
     this.lastBlockTime = Date.now();
+    this.lastBlockNumber = Number(blockNumber);
     
     // 只在每10個區塊輸出一次日誌
     if (blockNumber % 10 === 0) {
@@ -121,8 +160,7 @@ class CustomWebSocketManager extends EventEmitter {
       this.wsProvider = null;
     }
     
-    // 清理 HttpProvider
-    this.httpProvider = null;
+    // HttpProvider 保留給輪詢模式使用
     
     // 清理計時器
     if (this.connectionCheckInterval) {
@@ -195,9 +233,11 @@ class CustomWebSocketManager extends EventEmitter {
     
     this.reconnectAttempts++;
     
-    if (this.reconnectAttempts > this.maxReconnectAttempts) {
-      console.error(`已達到最大重連次數 ${this.maxReconnectAttempts}，停止重連`);
-      return;
+    // WebSocket 不可用期間改用 HTTP 輪詢取得事件
+    this._startPolling();
+    
+    if (this.reconnectAttempts === this.maxReconnectAttempts) {
+      console.error(`已達到最大重連次數 ${this.maxReconnectAttempts}，維持 HTTP 輪詢模式並每 30 秒繼續嘗試重連`);
     }
     
     // 使用指數退避策略
@@ -206,6 +246,12 @@ class CustomWebSocketManager extends EventEmitter {
     
     this._cleanupConnection();
     
+    // 有多個節點時改用下一個節點重連
+    if (this.wsEndpoints.length > 1) {
+      this.wsEndpointIndex = (this.wsEndpointIndex + 1) % this.wsEndpoints.length;
+      console.log(`下次重連將使用 WebSocket 節點 ${this.wsEndpoint.label}`);
+    }
+    
     this.reconnectTimeout = setTimeout(async () => {
       this.reconnectTimeout = null;
       console.log('嘗試重新初始化 WebSocket 連接...');
@@ -215,6 +261,9 @@ class CustomWebSocketManager extends EventEmitter {
         this.reconnectAttempts = 0;
         this.emit('reconnected', this.wsProvider);
         console.log('重連成功！');
+        
+        // 訂閱恢復後補齊最後一段區塊，再切回訂閱模式
+        await this._stopPolling();
       } catch (error) {
         console.error('重連失敗:', error.message);
         this._handleReconnect();
@@ -222,10 +271,157 @@ class CustomWebSocketManager extends EventEmitter {
     }, delay);
   }
 
+  /**
+   * 獲取事件來源狀態
+   * @returns {Object} 狀態信息
+   */
+  getStatus() {
+    return {
+      mode: this.mode,
+      connected: this.isConnected,
+      lastBlockNumber: this.lastBlockNumber,
+      lastPolledBlock: this.lastPolledBlock,
+      lastPollTime: this.lastPollTime ? new Date(this.lastPollTime).toISOString() : null,
+      reconnectAttempts: this.reconnectAttempts,
+      wsEndpoints: this.wsEndpoints.map(endpoint => ({
+        url: endpoint.label,
+        active: endpoint === this.wsEndpoint,
+        connects: endpoint.connects,
+        failures: endpoint.failures,
+        lastError: endpoint.lastError,
+        lastConnectedAt: endpoint.lastConnectedAt ? endpoint.lastConnectedAt.toISOString() : null
+      }))
+    };
+  }
+
+  /**
+   * 輪詢模式是否正常運作
+   * @param {number} maxAge 最後一次成功輪詢的最長間隔（毫秒）
+   * @returns {boolean} 是否正常
+   */
+  isPollingHealthy(maxAge = 2 * 60 * 1000) {
+    return this.mode === 'polling' && !!this.lastPollTime && Date.now() - this.lastPollTime < maxAge;
+  }
+
+  /**
+   * 切換到 HTTP 輪詢模式
+   * 從最後看到的區塊開始讀取合約日誌，重複的日誌由事件寫入端去重
+   */
+  _startPolling() {
+    if (this.pollingInterval || !this.logFilter) {
+      return;
+    }
+
+    this.mode = 'polling';
+    // 最後看到的區塊的日誌可能尚未送達，從該區塊重新讀取
+    this.lastPolledBlock = this.lastBlockNumber !== null ? this.lastBlockNumber - 1 : null;
+    console.warn(`WebSocket 不可用，切換到 HTTP 日誌輪詢模式，從區塊 ${this.lastPolledBlock !== null ? this.lastPolledBlock + 1 : '最新'} 開始`);
+
+    this.pollingInterval = setInterval(() => {
+      this._pollLogs().catch((error) => {
+        console.error('HTTP 日誌輪詢失敗:', error.message);
+      });
+    }, this.pollingIntervalMs);
+  }
+
+  /**
+   * 停止 HTTP 輪詢並切回訂閱模式
+   * 停止前先輪詢到當前最新區塊，避免切換期間遺漏事件
+   */
+  async _stopPolling() {
+    if (!this.pollingInterval) {
+      return;
+    }
+
+    clearInterval(this.pollingInterval);
+    this.pollingInterval = null;
+
+    try {
+      await this._pollLogs();
+    } catch (error) {
+      console.error('切回訂閱模式前的最後一次輪詢失敗:', error.message);
+    }
+
+    this.mode = 'websocket';
+    console.log(`WebSocket 訂閱已恢復，停止 HTTP 輪詢，最後輪詢區塊 ${this.lastPolledBlock}`);
+  }
+
+  /**
+   * 執行一次日誌輪詢
+   * 讀取到的日誌以 'log' 事件發出，由與訂閱相同的處理函數處理；
+   * 日誌處理失敗時輪詢進度停在失敗日誌所在區塊之前，不發出 'polled'，下次輪詢從該區塊重新讀取
+   */
+  async _pollLogs() {
+    if (this.isPolling) {
+      return;
+    }
+
+    this.isPolling = true;
+
+    try {
+      const currentBlock = await this.httpProvider.getBlockNumber();
+
+      if (this.lastPolledBlock === null) {
+        this.lastPolledBlock = currentBlock - 1;
+      }
+
+      while (this.lastPolledBlock < currentBlock) {
+        const fromBlock = this.lastPolledBlock + 1;
+        const toBlock = Math.min(fromBlock + this.pollingBatchSize - 1, currentBlock);
+
+        const logs = await this.httpProvider.getLogs({
+          ...this.logFilter,
+          fromBlock,
+          toBlock
+        });
+
+        logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+
+        for (const log of logs) {
+          // 逐條等待處理完成，確保 BetPlaced 先於對應的 BetSettled 寫入
+          try {
+            await this._emitLog(log);
+          } catch (error) {
+            // 同一區塊中已處理的日誌會在重新讀取時由寫入端去重
+            this.lastPolledBlock = Math.max(this.lastPolledBlock, log.blockNumber - 1);
+            throw error;
+          }
+        }
+
+        this.lastPolledBlock = toBlock;
+      }
+
+      this.lastPollTime = Date.now();
+      this.emit('polled', this.lastPolledBlock);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * 發出輪詢取得的日誌並等待所有監聽器處理完成，任一監聽器失敗時拋出錯誤
+   * @param {ethers.Log} log 日誌
+   */
+  async _emitLog(log) {
+    const listeners = this.listeners('log');
+    for (const listener of listeners) {
+      try {
+        await listener(log);
+      } catch (error) {
+        console.error(`處理輪詢日誌 ${log.transactionHash}#${log.index} 失敗:`, error);
+        throw error;
+      }
+    }
+  }
+
   /**
    * 停止服務
    */
   stop() {
+    if (this.pollingInterval) {
+      clearInterval(this.pollingInterval);
+      this.pollingInterval = null;
+    }
     this._cleanupConnection();
     console.log('WebSocket 管理器已停止');
   }
@@ -0,0 +1,431 @@
+/**
+ * 遊戲事件存儲
+ * 即時監聽與歷史回補共用的 BetPlaced / BetSettled 寫入邏輯，
+ * 確保不論事件從哪條路徑進來，寫入 GameEvent 的結構都一致，
+ * 並以鏈上日誌的 (transactionHash, logIndex) 作為唯一識別，重複寫入不會產生新記錄。
+ * BetPlaced 與 BetSettled 依 betId 配對，無法配對的事件標記為孤兒事件以供查詢
+ */
+const { ethers } = require('ethers');
+const GameEvent = require('../models/GameEvent');
+const { recordBetSettled } = require('../utils/betRecordUtils');
+const { findFeeUpdateAt, toFeeRates } = require('./feeStore');
+
+/**
+ * 獲取事件的唯一識別條件
+ * @param {Object} meta 事件元數據
+ * @returns {{transactionHash: string, logIndex: number}} 查詢條件
+ */
+function eventIdentity(meta) {
+  if (!meta.transactionHash || !Number.isInteger(meta.logIndex) || !Number.isInteger(meta.blockNumber)) {
+    throw new Error('事件缺少 transactionHash、logIndex 或 blockNumber，無法寫入');
+  }
+
+  return { transactionHash: meta.transactionHash, logIndex: meta.logIndex };
+}
+
+/**
+ * 獲取事件所屬部署的查詢條件
+ * @param {Object} meta 事件元數據
+ * @returns {{chainId: number, contractAddress: string}} 查詢條件
+ */
+function deploymentFilter(meta) {
+  return { chainId: meta.chainId, contractAddress: meta.contractAddress };
+}
+
+/**
+ * 查找已存在的相同事件（同一交易的同一日誌）
+ * @param {Object} meta 事件元數據
+ * @returns {Promise<Object|null>} 已存在的事件記錄
+ */
+async function findExistingEvent(meta) {
+  return GameEvent.findOne(eventIdentity(meta));
+}
+
+/**
+ * 以 (transactionHash, logIndex) 為鍵寫入事件，已存在時不覆蓋
+ * @param {Object} fields 事件欄位
+ * @returns {Promise<{event: Object, created: boolean}>} 寫入結果
+ */
+async function upsertEvent(fields) {
+  const filter = eventIdentity(fields);
+  let created;
+
+  try {
+    const result = await GameEvent.updateOne(filter, { $setOnInsert: fields }, { upsert: true });
+    created = result.upsertedCount > 0;
+  } catch (error) {
+    // 並發寫入同一事件時，唯一索引會拒絕其中一個 upsert
+    if (error.code !== 11000) {
+      throw error;
+    }
+    created = false;
+  }
+
+  const event = await GameEvent.findOne(filter);
+  return { event, created };
+}
+
+/**
+ * 關聯一組 BetPlaced 與 BetSettled 事件，並清除孤兒標記
+ * @param {Object} placedEvent BetPlaced 事件記錄
+ * @param {Object} settledEvent BetSettled 事件記錄
+ */
+async function linkEvents(placedEvent, settledEvent) {
+  placedEvent.relatedEventId = settledEvent._id;
+  placedEvent.processed = true;
+  placedEvent.orphanReason = null;
+  placedEvent.settlementStatus = 'settled';
+  await placedEvent.save();
+
+  settledEvent.relatedEventId = placedEvent._id;
+  settledEvent.processed = true;
+  settledEvent.orphanReason = null;
+  await settledEvent.save();
+
+  console.log(`已關聯 BetPlaced 和 BetSettled 事件 (betId=${settledEvent.betId}): ${placedEvent._id} <-> ${settledEvent._id}`);
+}
+
+/**
+ * 保存 BetPlaced 事件
+ * 若先前已收到相同 betId 的孤兒結算事件（例如回補順序不同），寫入後立即關聯
+ * @param {Object} args 事件參數 {roomId, player, amount, betBig, commitBlock, revealBlock, betId}
+ * @param {Object} meta 事件元數據 {chainId, contractAddress, transactionHash, blockNumber, blockHash, logIndex, blockTimestamp}
+ * @returns {Promise<{event: Object, created: boolean}>} 保存結果
+ */
+async function saveBetPlaced(args, meta) {
+  const existing = await findExistingEvent(meta);
+  if (existing) {
+    return { event: existing, created: false };
+  }
+
+  const { roomId, player, amount, betBig, commitBlock, revealBlock, betId } = args;
+  const resolvedBetId = betId !== null && betId !== undefined ? betId.toString() : null;
+
+  // 建立新的遊戲事件記錄
+  const result = await upsertEvent({
+    eventType: 'BetPlaced',
+    roomId: Number(roomId),
+    player,
+    amount: ethers.formatEther(amount),  // 使用可讀格式的金額
+    amountWei: amount.toString(),        // 同時保存原始 Wei 格式
+    betBig,
+    commitBlock: Number(commitBlock),
+    revealBlock: Number(revealBlock),
+    betId: resolvedBetId,
+    orphanReason: resolvedBetId ? null : 'bet_id_unresolved',
+    ...deploymentFilter(meta),
+    transactionHash: meta.transactionHash,
+    blockNumber: meta.blockNumber,
+    eventBlockHash: meta.blockHash || null,
+    blockTimestamp: meta.blockTimestamp,
+    logIndex: meta.logIndex
+  });
+
+  if (!result.created) {
+    return result;
+  }
+
+  console.log(`已將 BetPlaced 事件保存到數據庫, ID: ${result.event._id}, betId=${resolvedBetId || '未知'}`);
+
+  if (!resolvedBetId) {
+    console.warn(`無法取得投注 ${meta.transactionHash} 的 betId，已列入孤兒事件`);
+    return result;
+  }
+
+  // 結算事件可能先於投注事件寫入
+  const orphanSettledEvent = await GameEvent.findOne({
+    ...deploymentFilter(meta),
+    eventType: 'BetSettled',
+    betId: resolvedBetId,
+    roomId: Number(roomId),
+    player,
+    relatedEventId: null
+  });
+
+  if (orphanSettledEvent) {
+    await linkEvents(result.event, orphanSettledEvent);
+  }
+
+  return result;
+}
+
+/**
+ * 保存 BetSettled 事件，並與相同 betId 的 BetPlaced 事件關聯
+ * @param {Object} args 事件參數 {roomId, player, amount, won, hashValue, blockHash, betId}
+ * @param {Object} meta 事件元數據 {chainId, contractAddress, transactionHash, blockNumber, blockHash, logIndex, blockTimestamp}
+ * @param {Object} [original] 待處理列表中的原始投注 {amount, betBig, revealBlock}
+ * @returns {Promise<{event: Object, created: boolean}>} 保存結果
+ */
+async function saveBetSettled(args, meta, original = null) {
+  const existing = await findExistingEvent(meta);
+  if (existing) {
+    return { event: existing, created: false };
+  }
+
+  const { roomId, player, amount, won, hashValue, blockHash, betId } = args;
+  const formattedRoomId = Number(roomId);
+
+  // 依 betId 尋找對應的 BetPlaced 事件
+  const matchingPlacedEvent = await GameEvent.findOne({
+    ...deploymentFilter(meta),
+    eventType: 'BetPlaced',
+    betId: betId.toString(),
+    roomId: formattedRoomId,
+    player
+  });
+
+  // 優先使用待處理列表中的原始投注，其次使用數據庫中的 BetPlaced 記錄
+  let originalBetAmount = original && original.amount ? original.amount : null;
+  let originalBetBig = original ? original.betBig : null;
+  let revealBlockNum = original ? Number(original.revealBlock) : NaN;
+
+  if (matchingPlacedEvent) {
+    if (!originalBetAmount && matchingPlacedEvent.amount) {
+      try {
+        originalBetAmount = ethers.parseEther(matchingPlacedEvent.amount);
+      } catch (error) {
+        console.warn(`無法解析 BetPlaced 記錄金額: ${matchingPlacedEvent.amount}`);
+      }
+    }
+    if (originalBetBig === null || originalBetBig === undefined) {
+      originalBetBig = matchingPlacedEvent.betBig;
+    }
+    if (isNaN(revealBlockNum) || revealBlockNum <= 0) {
+      revealBlockNum = Number(matchingPlacedEvent.revealBlock);
+    }
+  }
+
+  // 如果沒有找到原始投注金額，則使用事件中的金額
+  if (!originalBetAmount) {
+    originalBetAmount = amount;
+    console.log(`未找到原始投注記錄，使用結算事件金額: ${ethers.formatEther(originalBetAmount)} ETH`);
+  }
+
+  // 計算獎勵金額並轉成可讀格式，獎勵金額就是合約返回的結算金額
+  let rewardAmountWei = '0';
+  let rewardAmountEth = '0.0';
+  if (won) {
+    rewardAmountWei = amount.toString();
+    rewardAmountEth = ethers.formatEther(rewardAmountWei);
+  }
+
+  // 結算時生效的手續費，用於向玩家說明淨派彩
+  const feeUpdate = await findFeeUpdateAt(deploymentFilter(meta), meta.blockNumber, meta.logIndex);
+
+  // 建立新的遊戲事件記錄
+  const result = await upsertEvent({
+    eventType: 'BetSettled',
+    roomId: formattedRoomId,
+    player,
+    amount: ethers.formatEther(originalBetAmount),  // 使用原始投注金額
+    amountWei: originalBetAmount.toString(),       // 保存原始 Wei 格式
+    rewardAmount: rewardAmountEth,
+    rewardAmountWei,
+    won,
+    betBig: originalBetBig === undefined ? null : originalBetBig,
+    hashValue: Number(hashValue),
+    blockHash: blockHash || '',
+    resultBlock: isNaN(revealBlockNum) ? null : revealBlockNum, // 用於計算結果的揭示區塊號
+    feeRates: toFeeRates(feeUpdate),
+    betId: betId.toString(),
+    orphanReason: matchingPlacedEvent ? null : 'unmatched_settlement',
+    ...deploymentFilter(meta),
+    transactionHash: meta.transactionHash,
+    blockNumber: meta.blockNumber,
+    eventBlockHash: meta.blockHash || null,
+    blockTimestamp: meta.blockTimestamp,
+    logIndex: meta.logIndex
+  });
+
+  // 並發寫入時由另一條路徑完成了後續的關聯
+  if (!result.created) {
+    return result;
+  }
+
+  const gameEvent = result.event;
+  console.log(`已將 BetSettled 事件保存到數據庫, ID: ${gameEvent._id}`);
+
+  // 記錄到 JSON 文件
+  try {
+    const settledData = {
+      _id: gameEvent._id,
+      eventType: 'BetSettled',
+      roomId: formattedRoomId,
+      player,
+      amount: originalBetAmount,
+      rewardAmount: won ? amount : '0', // 贏的話使用實際獎勵金額，輸的話獎勵金額為零
+      won,
+      hashValue: Number(hashValue),
+      blockHash,
+      resultBlock: gameEvent.resultBlock,
+      transactionHash: meta.transactionHash,
+      blockNumber: meta.blockNumber,
+      timestamp: meta.blockTimestamp ? meta.blockTimestamp * 1000 : Date.now(),
+      betBig: gameEvent.betBig,
+      betId: betId.toString()
+    };
+
+    if (matchingPlacedEvent) {
+      settledData.relatedEventId = matchingPlacedEvent._id.toString();
+    }
+
+    const filePath = await recordBetSettled(settledData, matchingPlacedEvent);
+    if (filePath) {
+      console.log(`結算事件已記錄到 JSON 文件: ${filePath}`);
+    }
+  } catch (jsonError) {
+    console.error('記錄結算事件到 JSON 失敗:', jsonError);
+  }
+
+  // 建立 BetPlaced 和 BetSettled 的關聯
+  if (matchingPlacedEvent) {
+    await linkEvents(matchingPlacedEvent, gameEvent);
+  } else {
+    console.warn(`找不到 betId=${betId} 的 BetPlaced 事件，結算事件 ${gameEvent._id} 已列入孤兒事件`);
+  }
+
+  return result;
+}
+
+/**
+ * 修復玩家 BetPlaced 與 BetSettled 之間損壞或缺失的 relatedEventId 關聯
+ * @param {string} player 玩家地址
+ * @param {Function} [resolveBetId] 為缺少 betId 的 BetPlaced 記錄補查 betId 的回調 (placedEvent) => Promise<string|null>
+ * @param {Object} [eventFilter] 限定修復範圍的部署條件 {chainId, contractAddress}
+ * @returns {Promise<{linksCleared: number, linksRepaired: number, orphans: number}>} 修復統計
+ */
+async function repairPlayerEventLinks(player, resolveBetId = null, eventFilter = {}) {
+  const stats = { linksCleared: 0, linksRepaired: 0, orphans: 0 };
+
+  const events = await GameEvent.find({
+    ...eventFilter,
+    player,
+    eventType: { $in: ['BetPlaced', 'BetSettled'] }
+  }).sort({ blockNumber: 1, logIndex: 1 });
+
+  const eventsById = new Map(events.map(e => [e._id.toString(), e]));
+
+  // 第一步：清除指向不存在、不一致或 betId 不符記錄的關聯
+  for (const gameEvent of events) {
+    if (!gameEvent.relatedEventId) {
+      continue;
+    }
+
+    const related = eventsById.get(gameEvent.relatedEventId.toString());
+    const isConsistent = related &&
+      related.eventType !== gameEvent.eventType &&
+      (!related.betId || !gameEvent.betId || related.betId === gameEvent.betId) &&
+      (!related.relatedEventId || related.relatedEventId.equals(gameEvent._id));
+
+    if (!isConsistent) {
+      console.log(`清除損壞的事件關聯: ${gameEvent._id} -> ${gameEvent.relatedEventId}`);
+      gameEvent.relatedEventId = null;
+      gameEvent.processed = false;
+      await gameEvent.save();
+      stats.linksCleared++;
+    } else if (!related.relatedEventId) {
+      // 單向關聯，補上反向關聯
+      related.relatedEventId = gameEvent._id;
+      related.processed = true;
+      await related.save();
+      stats.linksRepaired++;
+    }
+  }
+
+  // 第二步：為缺少 betId 的投注事件補查 betId
+  const unlinkedPlaced = events.filter(e => e.eventType === 'BetPlaced' && !e.relatedEventId);
+
+  if (resolveBetId) {
+    for (const placed of unlinkedPlaced) {
+      if (placed.betId) {
+        continue;
+      }
+
+      const betId = await resolveBetId(placed);
+      if (betId) {
+        placed.betId = betId;
+        placed.orphanReason = null;
+        await placed.save();
+      }
+    }
+  }
+
+  // 第三步：依 betId 配對未關聯的事件
+  const placedByBetId = new Map(
+    unlinkedPlaced.filter(e => e.betId).map(e => [`${e.roomId}-${e.betId}`, e])
+  );
+
+  for (const settled of events) {
+    if (settled.eventType !== 'BetSettled' || settled.relatedEventId) {
+      continue;
+    }
+
+    const placed = placedByBetId.get(`${settled.roomId}-${settled.betId}`);
+    if (!placed) {
+      if (settled.orphanReason !== 'unmatched_settlement') {
+        settled.orphanReason = 'unmatched_settlement';
+        await settled.save();
+      }
+      stats.orphans++;
+      continue;
+    }
+
+    placedByBetId.delete(`${settled.roomId}-${settled.betId}`);
+    await linkEvents(placed, settled);
+    stats.linksRepaired++;
+  }
+
+  return stats;
+}
+
+/**
+ * 回滾因鏈重組而失效的事件
+ * 刪除失效事件，並解除其關聯事件的關聯狀態
+ * @param {Object[]} events 失效的事件記錄
+ * @returns {Promise<{removedEvents: Object[], unlinkedPlacedEvents: Object[]}>} 回滾結果
+ */
+async function rollbackEvents(events) {
+  const removedIds = events.map(e => e._id);
+  const unlinkedPlacedEvents = [];
+
+  for (const gameEvent of events) {
+    if (!gameEvent.relatedEventId || removedIds.some(id => id.equals(gameEvent.relatedEventId))) {
+      continue;
+    }
+
+    const related = await GameEvent.findById(gameEvent.relatedEventId);
+    if (!related) {
+      continue;
+    }
+
+    related.relatedEventId = null;
+    related.processed = false;
+    // 投注事件被回滾後，原結算事件失去配對
+    if (related.eventType === 'BetSettled') {
+      related.orphanReason = 'unmatched_settlement';
+    }
+    // 結算事件被回滾後，投注不再是已結算狀態
+    if (related.eventType === 'BetPlaced') {
+      related.settlementStatus = null;
+      related.settlementNote = null;
+    }
+    await related.save();
+
+    // 結算事件被回滾後，原投注重新變為未結算
+    if (related.eventType === 'BetPlaced') {
+      unlinkedPlacedEvents.push(related);
+    }
+  }
+
+  await GameEvent.deleteMany({ _id: { $in: removedIds } });
+  console.log(`已回滾 ${removedIds.length} 筆因鏈重組失效的事件`);
+
+  return { removedEvents: events, unlinkedPlacedEvents };
+}
+
+module.exports = {
+  saveBetPlaced,
+  saveBetSettled,
+  repairPlayerEventLinks,
+  rollbackEvents
+};
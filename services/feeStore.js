@@ -0,0 +1,186 @@
+/**
+ * 手續費記錄存儲
+ * 寫入 FeeUpdated 事件，查詢任一區塊生效的手續費比例，
+ * 並為 BetSettled 記錄標註結算時生效的手續費（feeRates）
+ */
+const FeeUpdate = require('../models/FeeUpdate');
+const GameEvent = require('../models/GameEvent');
+
+/**
+ * 日誌位置之後的查詢條件
+ * @param {number} blockNumber 區塊號
+ * @param {number} logIndex 日誌索引
+ * @returns {Object} 查詢條件
+ */
+function afterPosition(blockNumber, logIndex) {
+  return { $or: [{ blockNumber: { $gt: blockNumber } }, { blockNumber, logIndex: { $gt: logIndex } }] };
+}
+
+/**
+ * 日誌位置之前的查詢條件
+ * @param {number} blockNumber 區塊號
+ * @param {number} logIndex 日誌索引
+ * @returns {Object} 查詢條件
+ */
+function beforePosition(blockNumber, logIndex) {
+  return { $or: [{ blockNumber: { $lt: blockNumber } }, { blockNumber, logIndex: { $lt: logIndex } }] };
+}
+
+/**
+ * 將手續費更新記錄轉換為 BetSettled 的手續費標註
+ * @param {Object|null} update 手續費更新記錄
+ * @returns {Object|null} 手續費標註 {bankerFee, playerFee, effectiveFromBlock, transactionHash}
+ */
+function toFeeRates(update) {
+  if (!update) {
+    return null;
+  }
+
+  return {
+    bankerFee: update.bankerFee,
+    playerFee: update.playerFee,
+    effectiveFromBlock: update.blockNumber,
+    transactionHash: update.transactionHash
+  };
+}
+
+/**
+ * 查找某個日誌位置生效的手續費更新
+ * @param {Object} eventFilter 所屬部署 {chainId, contractAddress}
+ * @param {number} blockNumber 區塊號
+ * @param {number} [logIndex] 日誌索引，未指定時包括該區塊內的所有更新
+ * @returns {Promise<Object|null>} 手續費更新記錄，尚未索引到任何更新時返回 null
+ */
+async function findFeeUpdateAt(eventFilter, blockNumber, logIndex = Number.MAX_SAFE_INTEGER) {
+  return FeeUpdate.findOne({ ...eventFilter, ...beforePosition(blockNumber, logIndex) })
+    .sort({ blockNumber: -1, logIndex: -1 })
+    .lean();
+}
+
+/**
+ * 為一段區間內的 BetSettled 記錄標註手續費
+ * @param {Object} eventFilter 所屬部署
+ * @param {Object|null} update 區間起點生效的手續費更新
+ * @param {Object} range 區間 {from: {blockNumber, logIndex}, to: {blockNumber, logIndex}|null}
+ * @returns {Promise<number>} 更新的記錄數
+ */
+async function annotateSettledRange(eventFilter, update, { from, to }) {
+  const conditions = [afterPosition(from.blockNumber, from.logIndex)];
+  if (to) {
+    conditions.push(beforePosition(to.blockNumber, to.logIndex));
+  }
+
+  const result = await GameEvent.updateMany(
+    { ...eventFilter, eventType: 'BetSettled', $and: conditions },
+    { $set: { feeRates: toFeeRates(update) } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * 保存 FeeUpdated 事件，並重新標註此更新生效期間內的 BetSettled 記錄
+ * （歷史回補可能晚於結算事件寫入手續費更新）
+ * @param {Object} args 事件參數 {bankerFee, playerFee}
+ * @param {Object} meta 事件元數據 {chainId, contractAddress, transactionHash, blockNumber, blockHash, logIndex, blockTimestamp}
+ * @returns {Promise<{update: Object, created: boolean}>} 保存結果
+ */
+async function saveFeeUpdated(args, meta) {
+  const eventFilter = { chainId: meta.chainId, contractAddress: meta.contractAddress };
+  const identity = { transactionHash: meta.transactionHash, logIndex: meta.logIndex };
+
+  let created;
+  try {
+    const result = await FeeUpdate.updateOne(identity, {
+      $setOnInsert: {
+        ...eventFilter,
+        ...identity,
+        bankerFee: Number(args.bankerFee),
+        playerFee: Number(args.playerFee),
+        blockNumber: meta.blockNumber,
+        eventBlockHash: meta.blockHash || null,
+        blockTimestamp: meta.blockTimestamp
+      }
+    }, { upsert: true });
+    created = result.upsertedCount > 0;
+  } catch (error) {
+    // 並發寫入同一事件時，唯一索引會拒絕其中一個 upsert
+    if (error.code !== 11000) {
+      throw error;
+    }
+    created = false;
+  }
+
+  const update = await FeeUpdate.findOne(identity).lean();
+  if (!created) {
+    return { update, created };
+  }
+
+  console.log(`已保存手續費更新: 莊家 ${update.bankerFee}%, 玩家 ${update.playerFee}%，自區塊 ${update.blockNumber} 生效`);
+
+  const nextUpdate = await FeeUpdate.findOne({ ...eventFilter, ...afterPosition(meta.blockNumber, meta.logIndex) })
+    .sort({ blockNumber: 1, logIndex: 1 })
+    .lean();
+  const annotated = await annotateSettledRange(eventFilter, update, {
+    from: { blockNumber: meta.blockNumber, logIndex: meta.logIndex },
+    to: nextUpdate ? { blockNumber: nextUpdate.blockNumber, logIndex: nextUpdate.logIndex } : null
+  });
+  if (annotated > 0) {
+    console.log(`已為 ${annotated} 筆結算記錄重新標註手續費`);
+  }
+
+  return { update, created };
+}
+
+/**
+ * 回滾因鏈重組而失效的手續費更新
+ * 刪除指定區塊及之後的更新，並將之後的 BetSettled 標註恢復為之前生效的手續費，待重新索引後再更新
+ * @param {Object} eventFilter 所屬部署
+ * @param {number} blockNumber 發生重組的區塊號
+ * @returns {Promise<number>} 刪除的記錄數
+ */
+async function rollbackFeeUpdates(eventFilter, blockNumber) {
+  const result = await FeeUpdate.deleteMany({ ...eventFilter, blockNumber: { $gte: blockNumber } });
+  if (result.deletedCount === 0) {
+    return 0;
+  }
+
+  const previous = await findFeeUpdateAt(eventFilter, blockNumber, -1);
+  await annotateSettledRange(eventFilter, previous, { from: { blockNumber, logIndex: -1 }, to: null });
+
+  console.log(`已回滾 ${result.deletedCount} 筆因鏈重組失效的手續費更新`);
+  return result.deletedCount;
+}
+
+/**
+ * 查詢區塊範圍內的手續費歷史
+ * @param {Object} eventFilter 所屬部署
+ * @param {Object} [range] 區塊範圍 {fromBlock, toBlock}
+ * @returns {Promise<{inForceAtStart: Object|null, updates: Object[]}>} 範圍開始時生效的手續費與範圍內的更新
+ */
+async function getFeeHistory(eventFilter, { fromBlock = null, toBlock = null } = {}) {
+  const query = { ...eventFilter };
+  if (fromBlock !== null || toBlock !== null) {
+    query.blockNumber = {};
+    if (fromBlock !== null) {
+      query.blockNumber.$gte = fromBlock;
+    }
+    if (toBlock !== null) {
+      query.blockNumber.$lte = toBlock;
+    }
+  }
+
+  const [inForceAtStart, updates] = await Promise.all([
+    fromBlock !== null ? findFeeUpdateAt(eventFilter, fromBlock, -1) : null,
+    FeeUpdate.find(query).sort({ blockNumber: 1, logIndex: 1 }).lean()
+  ]);
+
+  return { inForceAtStart, updates };
+}
+
+module.exports = {
+  toFeeRates,
+  findFeeUpdateAt,
+  saveFeeUpdated,
+  rollbackFeeUpdates,
+  getFeeHistory
+};
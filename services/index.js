@@ -1,23 +1,50 @@
 /**
  * 服務模組導出
  */
+const { ethers } = require('ethers');
 const AutoRevealService = require('./autoRevealService');
+const { loadDeployments } = require('../config/deployments');
 
-// 單例實例
-let autoRevealServiceInstance = null;
+// 每個部署一個實例，第一個部署為主要部署
+let autoRevealServiceInstances = null;
 
 /**
- * 獲取自動揭示服務單例
- * @returns {AutoRevealService} 自動揭示服務實例
+ * 獲取所有部署的自動揭示服務
+ * @returns {AutoRevealService[]} 自動揭示服務實例列表
  */
-function getAutoRevealService() {
-  if (!autoRevealServiceInstance) {
-    autoRevealServiceInstance = new AutoRevealService();
+function getAutoRevealServices() {
+  if (!autoRevealServiceInstances) {
+    autoRevealServiceInstances = loadDeployments().map(deployment => new AutoRevealService(deployment));
   }
-  return autoRevealServiceInstance;
+  return autoRevealServiceInstances;
+}
+
+/**
+ * 獲取自動揭示服務
+ * 未指定條件時返回主要部署的服務
+ * @param {Object} [criteria] 查找條件
+ * @param {number} [criteria.chainId] 鏈 ID
+ * @param {string} [criteria.contractAddress] 合約地址
+ * @returns {AutoRevealService|null} 自動揭示服務實例
+ */
+function getAutoRevealService(criteria = {}) {
+  const services = getAutoRevealServices();
+  const { chainId, contractAddress } = criteria;
+
+  if (chainId === undefined && contractAddress === undefined) {
+    return services[0];
+  }
+
+  const normalizedAddress = contractAddress ? ethers.getAddress(contractAddress) : undefined;
+
+  return services.find(service =>
+    (chainId === undefined || service.chainId === chainId) &&
+    (normalizedAddress === undefined || service.contractAddress === normalizedAddress)
+  ) || null;
 }
 
 module.exports = {
   AutoRevealService,
-  getAutoRevealService
+  getAutoRevealService,
+  getAutoRevealServices
 };
@@ -0,0 +1,183 @@
+/**
+ * 領導者選舉
+ * 以 MongoDB 租約確保同一時間只有一個服務副本擔任結算者：
+ * 定期嘗試取得或續約租約，租約過期（持有者停止運行）時其他副本自動接手。
+ * 實例間的時鐘誤差需遠小於租約時長
+ */
+const EventEmitter = require('events');
+const LeaderLease = require('../models/LeaderLease');
+
+class LeaderElection extends EventEmitter {
+  /**
+   * @param {Object} options 配置
+   * @param {string} options.name 租約名稱
+   * @param {string} options.instanceId 本實例 ID
+   * @param {number} [options.leaseMs] 租約時長
+   * @param {number} [options.renewIntervalMs] 續約間隔，需小於租約時長
+   */
+  constructor({ name, instanceId, leaseMs = 30000, renewIntervalMs = 10000 }) {
+    super();
+    this.name = name;
+    this.instanceId = instanceId;
+    this.leaseMs = leaseMs;
+    this.renewIntervalMs = renewIntervalMs;
+
+    this.isLeader = false;
+    this.holder = null;
+    this.expiresAt = null;
+    this.lastRenewedAt = null;
+    this.lastError = null;
+
+    this.renewInterval = null;
+  }
+
+  /**
+   * 開始競選：立即嘗試取得租約，之後定期續約或重試
+   */
+  async start() {
+    await this.tick();
+
+    this.stopInterval();
+    this.renewInterval = setInterval(() => {
+      this.tick().catch((error) => {
+        console.error(`租約 ${this.name} 續約失敗:`, error);
+      });
+    }, this.renewIntervalMs);
+  }
+
+  /**
+   * 停止定期續約
+   */
+  stopInterval() {
+    if (this.renewInterval) {
+      clearInterval(this.renewInterval);
+      this.renewInterval = null;
+    }
+  }
+
+  /**
+   * 停止競選並釋放租約，讓其他副本立即接手
+   */
+  async stop() {
+    this.stopInterval();
+    await this.release();
+  }
+
+  /**
+   * 釋放租約並轉為跟隨者，仍繼續參與之後的競選
+   */
+  async release() {
+    if (this.isLeader) {
+      this._setLeader(false);
+      try {
+        await LeaderLease.updateOne(
+          { _id: this.name, holder: this.instanceId },
+          { $set: { expiresAt: new Date() } }
+        );
+        console.log(`已釋放租約 ${this.name}`);
+      } catch (error) {
+        console.error(`釋放租約 ${this.name} 失敗:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * 嘗試取得或續約租約
+   * 租約由本實例持有或已過期時才能取得；無法連接數據庫且租約可能已過期時主動卸任
+   */
+  async tick() {
+    const now = new Date();
+
+    try {
+      const lease = await LeaderLease.findOneAndUpdate(
+        {
+          _id: this.name,
+          $or: [{ holder: this.instanceId }, { expiresAt: { $lte: now } }]
+        },
+        {
+          $set: {
+            holder: this.instanceId,
+            expiresAt: new Date(now.getTime() + this.leaseMs),
+            renewedAt: now,
+            ...(this.isLeader ? {} : { acquiredAt: now })
+          }
+        },
+        { upsert: true, new: true }
+      ).lean();
+
+      this.holder = lease.holder;
+      this.expiresAt = lease.expiresAt;
+      this.lastRenewedAt = now;
+      this.lastError = null;
+      this._setLeader(true);
+    } catch (error) {
+      // 租約由其他實例持有時，upsert 會因 _id 重複而失敗
+      if (error.code === 11000) {
+        this.lastError = null;
+        await this._readHolder();
+        this._setLeader(false);
+        return;
+      }
+
+      this.lastError = error.message;
+      console.warn(`租約 ${this.name} 更新失敗: ${error.message}`);
+
+      // 上次續約的租約即將到期，其他實例可能已接手
+      if (this.isLeader && (!this.lastRenewedAt || Date.now() - this.lastRenewedAt.getTime() >= this.leaseMs - this.renewIntervalMs)) {
+        this._setLeader(false);
+      }
+    }
+  }
+
+  /**
+   * 讀取當前租約持有者
+   * @private
+   */
+  async _readHolder() {
+    try {
+      const lease = await LeaderLease.findById(this.name).lean();
+      this.holder = lease ? lease.holder : null;
+      this.expiresAt = lease ? lease.expiresAt : null;
+    } catch (error) {
+      this.lastError = error.message;
+    }
+  }
+
+  /**
+   * 更新角色並在角色變化時通知
+   * @param {boolean} isLeader 是否為領導者
+   * @private
+   */
+  _setLeader(isLeader) {
+    if (isLeader === this.isLeader) {
+      return;
+    }
+
+    this.isLeader = isLeader;
+    if (isLeader) {
+      console.log(`實例 ${this.instanceId} 取得租約 ${this.name}，成為領導者`);
+      this.emit('elected');
+    } else {
+      console.warn(`實例 ${this.instanceId} 失去租約 ${this.name}，轉為跟隨者`);
+      this.emit('demoted');
+    }
+  }
+
+  /**
+   * 獲取選舉狀態
+   * @returns {Object} 狀態信息
+   */
+  getStatus() {
+    return {
+      lease: this.name,
+      instanceId: this.instanceId,
+      role: this.isLeader ? 'leader' : 'follower',
+      holder: this.holder,
+      expiresAt: this.expiresAt ? new Date(this.expiresAt).toISOString() : null,
+      lastRenewedAt: this.lastRenewedAt ? this.lastRenewedAt.toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = LeaderElection;
@@ -0,0 +1,89 @@
+/**
+ * 待處理投注隊列管理操作
+ * 透過管理 API 立即結算、移除或重新加入待處理投注，以及暫停與恢復結算，每次操作都追加 AdminAudit 記錄
+ */
+const crypto = require('crypto');
+const AdminAudit = require('../models/AdminAudit');
+
+// 可執行的隊列操作：run 執行操作，succeeded 判斷操作是否生效
+const QUEUE_ACTIONS = {
+  forceSettle: {
+    run: (autoRevealService, params) => autoRevealService.forceSettleBet(params.key),
+    succeeded: result => result.submitted
+  },
+  dropPendingBet: {
+    run: (autoRevealService, params) => autoRevealService.dropPendingBet(params.key, params.reason),
+    succeeded: result => result.dropped
+  },
+  requeueBet: {
+    run: (autoRevealService, params) => autoRevealService.requeueBetEvent(params.eventId),
+    succeeded: result => result.requeued
+  },
+  pauseSettlement: {
+    run: (autoRevealService, params, caller) => autoRevealService.pauseSettlement({
+      reason: params.reason,
+      pausedBy: caller.name,
+      durationMs: params.resumeAfterMinutes ? params.resumeAfterMinutes * 60 * 1000 : null
+    }),
+    succeeded: result => result.paused
+  },
+  resumeSettlement: {
+    run: (autoRevealService, params, caller) => autoRevealService.resumeSettlement({ resumedBy: caller.name }),
+    succeeded: result => result.resumed
+  }
+};
+
+/**
+ * 執行待處理投注隊列操作
+ * 先寫入 requested 記錄，寫入失敗時不執行操作；完成後依結果寫入 completed、rejected 或 failed 記錄
+ * @param {Object} autoRevealService 部署的自動揭示服務
+ * @param {string} action 隊列操作名稱
+ * @param {Object} params 已校驗的參數
+ * @param {Object} caller 調用者身份 {name, ip, userAgent}
+ * @returns {Promise<Object>} 操作結果 {requestId, action, params, stage, result, error}
+ */
+async function executeQueueAction(autoRevealService, action, params, caller) {
+  const definition = QUEUE_ACTIONS[action];
+  if (!definition) {
+    throw new Error(`不支援的隊列操作: ${action}`);
+  }
+
+  const base = {
+    requestId: crypto.randomUUID(),
+    deployment: autoRevealService.name,
+    chainId: autoRevealService.chainId,
+    contractAddress: autoRevealService.contractAddress,
+    caller,
+    action,
+    params
+  };
+
+  await AdminAudit.create({ ...base, stage: 'requested' });
+  console.log(`管理操作 ${base.requestId}: ${caller.name} 請求執行 ${action}`, params);
+
+  let stage;
+  let result = null;
+  let errorMessage = null;
+  try {
+    result = await definition.run(autoRevealService, params, caller);
+    stage = definition.succeeded(result) ? 'completed' : 'rejected';
+  } catch (error) {
+    console.error(`管理操作 ${base.requestId}: 執行 ${action} 失敗:`, error);
+    stage = 'failed';
+    errorMessage = error.message;
+  }
+
+  const note = errorMessage || (result && result.reason) || null;
+  try {
+    await AdminAudit.create({ ...base, stage, error: note });
+  } catch (error) {
+    console.error(`寫入管理操作審計記錄失敗 (${base.requestId} ${stage}):`, error.message);
+  }
+
+  return { requestId: base.requestId, action, params, stage, result, error: errorMessage };
+}
+
+module.exports = {
+  QUEUE_ACTIONS,
+  executeQueueAction
+};
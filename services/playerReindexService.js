@@ -0,0 +1,198 @@
+/**
+ * 玩家記錄重新索引服務
+ * 從鏈上重新讀取指定玩家的 BetPlaced / BetSettled 日誌，補齊缺失的事件並修復事件關聯，
+ * 以任務形式在背景執行，前端可透過任務 ID 輪詢進度
+ */
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { INDEXER_BATCH_SIZE, REINDEX_MAX_CONCURRENT_JOBS } = require('../config/contract');
+const { repairPlayerEventLinks } = require('./eventStore');
+
+// 任務保留時間（完成後1小時清除）
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+// 重新索引任務 - Map<jobId, job>
+const jobs = new Map();
+
+/**
+ * 清除過期的任務
+ */
+function cleanupExpiredJobs() {
+  const now = Date.now();
+  for (const [jobId, job] of jobs.entries()) {
+    if (job.finishedAt && now - job.finishedAt.getTime() > JOB_RETENTION_MS) {
+      jobs.delete(jobId);
+    }
+  }
+}
+
+/**
+ * 將任務轉換為 API 回應格式
+ * @param {Object} job 任務
+ * @returns {Object} 任務信息
+ */
+function serializeJob(job) {
+  return {
+    jobId: job.jobId,
+    deployment: job.deployment,
+    playerAddress: job.playerAddress,
+    status: job.status,
+    progress: { ...job.progress },
+    summary: { ...job.summary },
+    error: job.error,
+    createdAt: job.createdAt.toISOString(),
+    finishedAt: job.finishedAt ? job.finishedAt.toISOString() : null
+  };
+}
+
+/**
+ * 執行重新索引任務
+ * @param {Object} job 任務
+ * @param {AutoRevealService} autoRevealService 自動揭示服務
+ */
+async function runReindexJob(job, autoRevealService) {
+  const { httpProvider, contract } = autoRevealService;
+  job.status = 'running';
+
+  try {
+    const contractAddress = autoRevealService.contractAddress;
+    const placedTopic = contract.interface.getEvent('BetPlaced').topicHash;
+    const settledTopic = contract.interface.getEvent('BetSettled').topicHash;
+    // player 是第二個 indexed 參數（topics[2]）
+    const playerTopic = ethers.zeroPadValue(job.playerAddress, 32);
+
+    const toBlock = await httpProvider.getBlockNumber();
+    job.progress.toBlock = toBlock;
+
+    for (let fromBlock = job.progress.fromBlock; fromBlock <= toBlock; fromBlock += INDEXER_BATCH_SIZE) {
+      const batchEnd = Math.min(fromBlock + INDEXER_BATCH_SIZE - 1, toBlock);
+
+      const logs = await httpProvider.getLogs({
+        address: contractAddress,
+        topics: [[placedTopic, settledTopic], null, playerTopic],
+        fromBlock,
+        toBlock: batchEnd
+      });
+
+      logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+
+      for (const log of logs) {
+        const parsedLog = contract.interface.parseLog(log);
+        if (!parsedLog) {
+          continue;
+        }
+
+        job.summary.logsScanned++;
+        // 歷史日誌不直接排程，修復關聯後由 recoverPlayerPendingBets 依鏈上狀態決定哪些投注仍待結算
+        const result = await autoRevealService.ingestLog(log, { schedule: false });
+        if (result && result.created) {
+          if (parsedLog.name === 'BetPlaced') {
+            job.summary.betPlacedAdded++;
+          } else {
+            job.summary.betSettledAdded++;
+          }
+        }
+      }
+
+      job.progress.currentBlock = batchEnd;
+    }
+
+    // 修復事件關聯
+    const linkStats = await repairPlayerEventLinks(
+      job.playerAddress,
+      (placed) => autoRevealService.resolveBetId(placed.roomId, placed.player, placed.blockNumber, placed.commitBlock),
+      autoRevealService.eventFilter()
+    );
+    job.summary.linksCleared = linkStats.linksCleared;
+    job.summary.linksRepaired = linkStats.linksRepaired;
+    job.summary.orphans = linkStats.orphans;
+
+    // 補回的投注中鏈上仍未結算的加入待處理列表（只有結算者實例會處理）
+    job.summary.betsRestored = await autoRevealService.recoverPlayerPendingBets(job.playerAddress);
+
+    job.status = 'completed';
+    console.log(`玩家 ${job.playerAddress} 重新索引完成:`, JSON.stringify(job.summary));
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+    console.error(`玩家 ${job.playerAddress} 重新索引失敗:`, error);
+  } finally {
+    job.finishedAt = new Date();
+  }
+}
+
+/**
+ * 啟動玩家重新索引任務
+ * 同一部署的同一玩家已有進行中的任務時直接返回該任務；
+ * 進行中的任務已達 REINDEX_MAX_CONCURRENT_JOBS 時不啟動新任務
+ * @param {AutoRevealService} autoRevealService 自動揭示服務（部署需設置起始區塊）
+ * @param {string} playerAddress 玩家地址
+ * @param {Object} [options] 選項
+ * @param {number} [options.fromBlock] 起始區塊，默認且最早為部署的起始區塊
+ * @returns {Object|null} 任務信息，已達並發上限時返回 null
+ */
+function startPlayerReindex(autoRevealService, playerAddress, options = {}) {
+  cleanupExpiredJobs();
+
+  const normalizedAddress = ethers.getAddress(playerAddress);
+
+  for (const job of jobs.values()) {
+    if (job.deployment === autoRevealService.name && job.playerAddress === normalizedAddress && !job.finishedAt) {
+      return serializeJob(job);
+    }
+  }
+
+  const activeJobs = Array.from(jobs.values()).filter(job => !job.finishedAt).length;
+  if (activeJobs >= REINDEX_MAX_CONCURRENT_JOBS) {
+    return null;
+  }
+
+  const { startBlock } = autoRevealService.deployment;
+  if (startBlock === null || startBlock === undefined) {
+    throw new Error(`部署 ${autoRevealService.name} 未設置起始區塊，無法重新索引`);
+  }
+  // 合約部署前沒有事件，不從更早的區塊掃描
+  const fromBlock = options.fromBlock !== undefined ? Math.max(options.fromBlock, startBlock) : startBlock;
+
+  const job = {
+    jobId: crypto.randomUUID(),
+    deployment: autoRevealService.name,
+    playerAddress: normalizedAddress,
+    status: 'queued',
+    progress: { fromBlock, toBlock: null, currentBlock: null },
+    summary: {
+      logsScanned: 0,
+      betPlacedAdded: 0,
+      betSettledAdded: 0,
+      linksCleared: 0,
+      linksRepaired: 0,
+      orphans: 0,
+      betsRestored: 0
+    },
+    error: null,
+    createdAt: new Date(),
+    finishedAt: null
+  };
+
+  jobs.set(job.jobId, job);
+
+  // 在背景執行，不阻塞請求
+  setImmediate(() => runReindexJob(job, autoRevealService));
+
+  return serializeJob(job);
+}
+
+/**
+ * 獲取重新索引任務
+ * @param {string} jobId 任務 ID
+ * @returns {Object|null} 任務信息
+ */
+function getReindexJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? serializeJob(job) : null;
+}
+
+module.exports = {
+  startPlayerReindex,
+  getReindexJob
+};
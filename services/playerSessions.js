@@ -0,0 +1,151 @@
+/**
+ * 玩家會話存儲
+ * 發出 Sign-In with Ethereum nonce，驗證玩家簽名後建立會話，並以會話令牌查找登入的玩家。
+ * nonce 與會話令牌都保存在數據庫中，多個實例共用；會話令牌只保存雜湊值
+ */
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const AuthNonce = require('../models/AuthNonce');
+const PlayerSession = require('../models/PlayerSession');
+const { parseSiweMessage } = require('../utils/siwe');
+const { SIWE_DOMAIN, SIWE_NONCE_TTL_MS, SIWE_SESSION_TTL_MS } = require('../config/contract');
+
+// 會話令牌前綴，與 API 金鑰區分
+const SESSION_TOKEN_PREFIX = 'ses_';
+
+// 允許的時鐘誤差
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * 計算會話令牌的 SHA-256 雜湊值
+ * @param {string} token 會話令牌
+ * @returns {string} 十六進制雜湊值
+ */
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * 是否為會話令牌
+ * @param {string} token 令牌
+ * @returns {boolean} 是否為會話令牌
+ */
+function isSessionToken(token) {
+  return typeof token === 'string' && token.startsWith(SESSION_TOKEN_PREFIX);
+}
+
+/**
+ * 發出登入 nonce
+ * @returns {Promise<{nonce: string, domain: string, expiresAt: Date}>} nonce 與簽名訊息需要使用的 domain
+ */
+async function issueNonce() {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + SIWE_NONCE_TTL_MS);
+  await AuthNonce.create({ nonce, expiresAt });
+  return { nonce, domain: SIWE_DOMAIN, expiresAt };
+}
+
+/**
+ * 驗證 SIWE 簽名並建立會話
+ * 訊息格式、domain、時間或簽名不符時返回錯誤原因，不消耗 nonce；驗證通過後 nonce 立即失效
+ * @param {string} message 簽名訊息
+ * @param {string} signature 簽名
+ * @returns {Promise<{error?: string, token?: string, address?: string, chainId?: number, expiresAt?: Date}>} 登入結果
+ */
+async function signIn(message, signature) {
+  let parsed;
+  try {
+    parsed = parseSiweMessage(message);
+  } catch (error) {
+    return { error: `簽名訊息格式錯誤: ${error.message}` };
+  }
+
+  if (parsed.domain !== SIWE_DOMAIN) {
+    return { error: `簽名訊息的 domain ${parsed.domain} 與服務不符` };
+  }
+
+  const now = Date.now();
+  if (parsed.issuedAt.getTime() > now + CLOCK_SKEW_MS || parsed.issuedAt.getTime() < now - SIWE_NONCE_TTL_MS) {
+    return { error: '簽名訊息的 Issued At 不在有效時間內' };
+  }
+  if (parsed.expirationTime && parsed.expirationTime.getTime() <= now) {
+    return { error: '簽名訊息已過期' };
+  }
+  if (parsed.notBefore && parsed.notBefore.getTime() > now + CLOCK_SKEW_MS) {
+    return { error: '簽名訊息尚未生效' };
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(message, signature);
+  } catch (error) {
+    return { error: '簽名格式無效' };
+  }
+  if (signer !== parsed.address) {
+    return { error: '簽名與訊息中的地址不符' };
+  }
+
+  // 刪除 nonce，同一 nonce 只能登入一次
+  const nonce = await AuthNonce.findOneAndDelete({ nonce: parsed.nonce, expiresAt: { $gt: new Date(now) } });
+  if (!nonce) {
+    return { error: 'nonce 無效、已使用或已過期' };
+  }
+
+  const token = `${SESSION_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const expiresAt = new Date(Math.min(
+    now + SIWE_SESSION_TTL_MS,
+    parsed.expirationTime ? parsed.expirationTime.getTime() : Infinity
+  ));
+
+  await PlayerSession.create({
+    tokenHash: hashSessionToken(token),
+    address: parsed.address,
+    chainId: parsed.chainId,
+    domain: parsed.domain,
+    nonce: parsed.nonce,
+    expiresAt
+  });
+
+  console.log(`玩家 ${parsed.address} 已登入，會話有效至 ${expiresAt.toISOString()}`);
+  return { token, address: parsed.address, chainId: parsed.chainId, expiresAt };
+}
+
+/**
+ * 以會話令牌查找未過期的會話
+ * @param {string} token 會話令牌
+ * @returns {Promise<Object|null>} 會話 {address, chainId, expiresAt}
+ */
+async function findSession(token) {
+  if (!isSessionToken(token)) {
+    return null;
+  }
+
+  const session = await PlayerSession.findOne({
+    tokenHash: hashSessionToken(token),
+    expiresAt: { $gt: new Date() }
+  }).lean();
+
+  return session ? { address: session.address, chainId: session.chainId, expiresAt: session.expiresAt } : null;
+}
+
+/**
+ * 登出：刪除會話
+ * @param {string} token 會話令牌
+ * @returns {Promise<boolean>} 是否刪除了會話
+ */
+async function signOut(token) {
+  if (!isSessionToken(token)) {
+    return false;
+  }
+
+  const result = await PlayerSession.deleteOne({ tokenHash: hashSessionToken(token) });
+  return result.deletedCount > 0;
+}
+
+module.exports = {
+  isSessionToken,
+  issueNonce,
+  signIn,
+  findSession,
+  signOut
+};
@@ -0,0 +1,140 @@
+/**
+ * 外部簽名服務簽名者
+ * 透過本地 JSON-RPC 介面（eth_signTransaction / eth_sign / eth_signTypedData_v4）請求外部簽名服務簽名，
+ * 私鑰不進入本服務。可使用 scripts/remote-signer-stub.js 作為測試用的簽名服務
+ */
+const { ethers } = require('ethers');
+
+/**
+ * 將數值轉換為 JSON-RPC 使用的十六進制字符串
+ * @param {bigint|number|null|undefined} value 數值
+ * @returns {string|undefined} 十六進制字符串
+ */
+const toRpcQuantity = (value) => (value === null || value === undefined ? undefined : ethers.toQuantity(value));
+
+class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {string} address 簽名錢包地址
+   * @param {string} url 簽名服務 JSON-RPC 地址
+   * @param {ethers.Provider|null} provider 提供者
+   * @param {Object} [options] 選項
+   * @param {string} [options.token] 簽名服務的 Bearer token
+   * @param {number} [options.timeoutMs] 請求超時
+   */
+  constructor(address, url, provider = null, { token = null, timeoutMs = 10000 } = {}) {
+    super(provider);
+    this.address = ethers.getAddress(address);
+    this.url = url;
+    this.token = token;
+    this.timeoutMs = timeoutMs;
+    this.requestId = 0;
+  }
+
+  /**
+   * 向簽名服務查詢可用的錢包地址
+   * @param {string} url 簽名服務 JSON-RPC 地址
+   * @param {Object} [options] 選項 {token, timeoutMs}
+   * @returns {Promise<string[]>} 錢包地址
+   */
+  static async listAccounts(url, options = {}) {
+    const probe = new RemoteSigner(ethers.ZeroAddress, url, null, options);
+    const accounts = await probe._request('eth_accounts', []);
+    return (accounts || []).map(account => ethers.getAddress(account));
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.address, this.url, provider, { token: this.token, timeoutMs: this.timeoutMs });
+  }
+
+  /**
+   * 請求簽名服務簽署交易，並校驗簽名者與交易內容
+   * @param {ethers.TransactionRequest} tx 交易
+   * @returns {Promise<string>} 已簽名的交易
+   */
+  async signTransaction(tx) {
+    const { to, from } = await ethers.resolveProperties({
+      to: tx.to ? ethers.resolveAddress(tx.to, this.provider) : undefined,
+      from: tx.from ? ethers.resolveAddress(tx.from, this.provider) : undefined
+    });
+
+    if (from && from !== this.address) {
+      throw new Error(`交易的 from ${from} 與簽名錢包 ${this.address} 不一致`);
+    }
+
+    const unsigned = ethers.Transaction.from({ ...tx, to, from: undefined });
+
+    const result = await this._request('eth_signTransaction', [{
+      from: this.address,
+      to: unsigned.to || undefined,
+      data: unsigned.data,
+      value: toRpcQuantity(unsigned.value),
+      nonce: toRpcQuantity(unsigned.nonce),
+      gas: toRpcQuantity(unsigned.gasLimit),
+      gasPrice: unsigned.type === 2 ? undefined : toRpcQuantity(unsigned.gasPrice),
+      maxFeePerGas: unsigned.type === 2 ? toRpcQuantity(unsigned.maxFeePerGas) : undefined,
+      maxPriorityFeePerGas: unsigned.type === 2 ? toRpcQuantity(unsigned.maxPriorityFeePerGas) : undefined,
+      chainId: toRpcQuantity(unsigned.chainId),
+      type: toRpcQuantity(unsigned.type)
+    }]);
+
+    // geth / clef 返回 {raw, tx}，其他實現直接返回已簽名的交易
+    const raw = typeof result === 'string' ? result : result && result.raw;
+    if (!raw) {
+      throw new Error('簽名服務沒有返回已簽名的交易');
+    }
+
+    // 確認簽名服務沒有改動交易內容且使用了正確的錢包
+    const signed = ethers.Transaction.from(raw);
+    if (signed.from !== this.address) {
+      throw new Error(`簽名服務返回的交易簽名者 ${signed.from} 與 ${this.address} 不一致`);
+    }
+    if (signed.unsignedHash !== unsigned.unsignedHash) {
+      throw new Error('簽名服務返回的交易內容與請求不一致');
+    }
+
+    return raw;
+  }
+
+  async signMessage(message) {
+    const data = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+    return this._request('eth_sign', [this.address, ethers.hexlify(data)]);
+  }
+
+  async signTypedData(domain, types, value) {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+    return this._request('eth_signTypedData_v4', [this.address, JSON.stringify(payload)]);
+  }
+
+  /**
+   * 發送 JSON-RPC 請求到簽名服務
+   * @param {string} method 方法名
+   * @param {Array} params 參數
+   * @returns {Promise<*>} 返回結果
+   * @private
+   */
+  async _request(method, params) {
+    const request = new ethers.FetchRequest(this.url);
+    request.timeout = this.timeoutMs;
+    request.setHeader('content-type', 'application/json');
+    if (this.token) {
+      request.setHeader('authorization', `Bearer ${this.token}`);
+    }
+    request.body = JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params });
+
+    const response = await request.send();
+    response.assertOk();
+
+    const body = response.bodyJson;
+    if (body.error) {
+      throw new Error(`簽名服務拒絕 ${method} 請求: ${body.error.message || JSON.stringify(body.error)}`);
+    }
+
+    return body.result;
+  }
+}
+
+module.exports = RemoteSigner;
@@ -0,0 +1,162 @@
+/**
+ * 鏈重組監控器
+ * 定期比對未確認事件所在區塊的哈希，達到確認深度後標記為已確認，
+ * 區塊哈希改變時回滾受影響的事件
+ */
+const EventEmitter = require('events');
+const GameEvent = require('../models/GameEvent');
+const { rollbackEvents } = require('./eventStore');
+
+class ReorgMonitor extends EventEmitter {
+  /**
+   * @param {Object} options 配置
+   * @param {ethers.JsonRpcProvider} options.provider HTTP 提供者
+   * @param {number} options.confirmationDepth 確認深度（區塊數）
+   * @param {number} [options.checkIntervalMs] 檢查間隔
+   * @param {Object} [options.eventFilter] 限定檢查的事件範圍（部署的 chainId 與合約地址）
+   */
+  constructor({ provider, confirmationDepth, checkIntervalMs = 15000, eventFilter = {} }) {
+    super();
+    this.provider = provider;
+    this.eventFilter = eventFilter;
+    this.confirmationDepth = confirmationDepth;
+    this.checkIntervalMs = checkIntervalMs;
+    this.checkInterval = null;
+    this.isChecking = false;
+
+    this.lastCheckedBlock = null;
+    this.reorgsDetected = 0;
+    this.lastReorg = null;
+  }
+
+  /**
+   * 獲取監控器狀態
+   * @returns {Object} 狀態信息
+   */
+  getStatus() {
+    return {
+      confirmationDepth: this.confirmationDepth,
+      lastCheckedBlock: this.lastCheckedBlock,
+      reorgsDetected: this.reorgsDetected,
+      lastReorg: this.lastReorg
+    };
+  }
+
+  /**
+   * 啟動定期檢查
+   */
+  start() {
+    this.stop();
+
+    this.checkInterval = setInterval(() => {
+      this.check().catch((error) => {
+        console.error('鏈重組檢查失敗:', error);
+      });
+    }, this.checkIntervalMs);
+
+    console.log(`啟動鏈重組監控，確認深度 ${this.confirmationDepth} 個區塊，每 ${this.checkIntervalMs / 1000} 秒檢查一次`);
+  }
+
+  /**
+   * 停止定期檢查
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * 檢查所有未確認事件的區塊哈希
+   */
+  async check() {
+    if (this.isChecking) {
+      return;
+    }
+
+    this.isChecking = true;
+
+    try {
+      const currentBlock = await this.provider.getBlockNumber();
+
+      const unconfirmedEvents = await GameEvent.find({ ...this.eventFilter, confirmationStatus: 'unconfirmed' })
+        .sort({ blockNumber: 1, logIndex: 1 });
+
+      // 按區塊分組，每個區塊只查詢一次
+      const eventsByBlock = new Map();
+      for (const gameEvent of unconfirmedEvents) {
+        if (!eventsByBlock.has(gameEvent.blockNumber)) {
+          eventsByBlock.set(gameEvent.blockNumber, []);
+        }
+        eventsByBlock.get(gameEvent.blockNumber).push(gameEvent);
+      }
+
+      for (const [blockNumber, events] of eventsByBlock.entries()) {
+        const block = await this.provider.getBlock(blockNumber);
+        if (!block) {
+          // 節點尚未看到此區塊，下次再檢查
+          continue;
+        }
+
+        // 舊記錄沒有保存區塊哈希時，以當前鏈上區塊為準
+        const staleEvents = events.filter(e => e.eventBlockHash && e.eventBlockHash !== block.hash);
+        if (staleEvents.length > 0) {
+          await this._handleReorg(blockNumber, staleEvents, block.hash);
+          continue;
+        }
+
+        const confirmations = currentBlock - blockNumber + 1;
+        if (confirmations >= this.confirmationDepth) {
+          await GameEvent.updateMany(
+            { _id: { $in: events.map(e => e._id) } },
+            { $set: { confirmationStatus: 'confirmed', eventBlockHash: block.hash } }
+          );
+        } else {
+          const missingHash = events.filter(e => !e.eventBlockHash);
+          if (missingHash.length > 0) {
+            await GameEvent.updateMany(
+              { _id: { $in: missingHash.map(e => e._id) } },
+              { $set: { eventBlockHash: block.hash } }
+            );
+          }
+        }
+      }
+
+      this.lastCheckedBlock = currentBlock;
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * 處理鏈重組：回滾失效事件並通知
+   * @param {number} blockNumber 發生重組的區塊號
+   * @param {Object[]} events 失效的事件
+   * @param {string} newBlockHash 新的區塊哈希
+   * @private
+   */
+  async _handleReorg(blockNumber, events, newBlockHash) {
+    const oldBlockHash = events[0].eventBlockHash;
+    console.warn(`檢測到鏈重組: 區塊 ${blockNumber} 哈希由 ${oldBlockHash} 變為 ${newBlockHash}，回滾 ${events.length} 筆事件`);
+
+    const result = await rollbackEvents(events);
+
+    this.reorgsDetected++;
+    this.lastReorg = {
+      blockNumber,
+      oldBlockHash,
+      newBlockHash,
+      rolledBackEvents: events.map(e => ({
+        id: e._id.toString(),
+        eventType: e.eventType,
+        transactionHash: e.transactionHash
+      })),
+      detectedAt: new Date().toISOString()
+    };
+
+    this.emit('reorg', { blockNumber, ...result });
+  }
+}
+
+module.exports = ReorgMonitor;
@@ -0,0 +1,348 @@
+/**
+ * RPC 節點池
+ * 將多個 HTTP RPC 節點包裝成單一提供者，依延遲、錯誤率與區塊落後程度選擇節點，
+ * 請求失敗時自動切換到下一個節點，並定期交叉比對各節點的區塊哈希以找出落後或異常的節點
+ */
+const { ethers } = require('ethers');
+
+// 延遲與錯誤率的指數移動平均權重
+const EWMA_WEIGHT = 0.2;
+
+// 節點請求失敗後暫停使用的時間
+const FAILURE_COOLDOWN_MS = 30000;
+
+// 交叉比對時往回取的區塊數，避免比對到各節點尚未同步的最新區塊
+const CROSS_CHECK_DEPTH = 3;
+
+/**
+ * 隱藏節點地址中的路徑與查詢參數（常包含 API 金鑰），只保留協議與主機
+ * @param {string} url 節點地址
+ * @returns {string} 可公開顯示的地址
+ */
+function maskUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host}`;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+class RpcPool extends ethers.JsonRpcProvider {
+  /**
+   * @param {string[]} urls HTTP RPC 節點地址列表
+   * @param {Object} [options] 選項
+   * @param {number} [options.maxBlockLag] 允許落後最高區塊的區塊數，超過視為不健康
+   * @param {number} [options.healthCheckIntervalMs] 健康檢查間隔
+   */
+  constructor(urls, options = {}) {
+    if (!urls || urls.length === 0) {
+      throw new Error('RPC 節點池至少需要一個節點地址');
+    }
+
+    super(urls[0]);
+
+    this.maxBlockLag = options.maxBlockLag || 5;
+    this.healthCheckIntervalMs = options.healthCheckIntervalMs || 30000;
+    this.healthCheckInterval = null;
+    this.activeUrl = maskUrl(urls[0]);
+
+    this.endpoints = urls.map(url => ({
+      url,
+      label: maskUrl(url),
+      provider: new ethers.JsonRpcProvider(url),
+      healthy: true,
+      latencyMs: null,
+      errorRate: 0,
+      requests: 0,
+      errors: 0,
+      blockNumber: null,
+      blockLag: 0,
+      headMismatch: false,
+      lastError: null,
+      cooldownUntil: 0,
+      lastCheckedAt: null
+    }));
+  }
+
+  /**
+   * 將 JSON-RPC 請求發送到最佳節點，失敗時依序嘗試其他節點
+   * @param {Object|Object[]} payload JSON-RPC 請求
+   * @returns {Promise<Object[]>} JSON-RPC 回應
+   */
+  async _send(payload) {
+    let lastError = null;
+
+    for (const endpoint of this._rankEndpoints()) {
+      const startTime = Date.now();
+      try {
+        const result = await endpoint.provider._send(payload);
+        this._recordSuccess(endpoint, Date.now() - startTime);
+        this._setActive(endpoint);
+        return result;
+      } catch (error) {
+        this._recordFailure(endpoint, error);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * 啟動定期健康檢查
+   */
+  startHealthCheck() {
+    this.stopHealthCheck();
+
+    this.checkHealth().catch((error) => {
+      console.error('RPC 節點健康檢查失敗:', error);
+    });
+
+    this.healthCheckInterval = setInterval(() => {
+      this.checkHealth().catch((error) => {
+        console.error('RPC 節點健康檢查失敗:', error);
+      });
+    }, this.healthCheckIntervalMs);
+
+    console.log(`啟動 RPC 節點健康檢查，共 ${this.endpoints.length} 個節點，每 ${this.healthCheckIntervalMs / 1000} 秒檢查一次`);
+  }
+
+  /**
+   * 停止定期健康檢查
+   */
+  stopHealthCheck() {
+    if (this.healthCheckInterval) {
+      clearInterval(this.healthCheckInterval);
+      this.healthCheckInterval = null;
+    }
+  }
+
+  /**
+   * 檢查所有節點的最新區塊與延遲，並交叉比對區塊哈希
+   */
+  async checkHealth() {
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      const startTime = Date.now();
+      try {
+        const result = await this._call(endpoint, 'eth_blockNumber', []);
+        endpoint.blockNumber = Number(result);
+        this._recordSuccess(endpoint, Date.now() - startTime);
+      } catch (error) {
+        this._recordFailure(endpoint, error);
+      }
+      endpoint.lastCheckedAt = new Date();
+    }));
+
+    const responding = this.endpoints.filter(e => e.cooldownUntil <= Date.now() && e.blockNumber !== null);
+    const highestBlock = Math.max(...responding.map(e => e.blockNumber), 0);
+
+    for (const endpoint of this.endpoints) {
+      endpoint.blockLag = endpoint.blockNumber !== null ? highestBlock - endpoint.blockNumber : null;
+    }
+
+    await this._crossCheckHeads(responding);
+
+    for (const endpoint of this.endpoints) {
+      const wasHealthy = endpoint.healthy;
+      endpoint.healthy = endpoint.cooldownUntil <= Date.now()
+        && endpoint.blockLag !== null
+        && endpoint.blockLag <= this.maxBlockLag
+        && !endpoint.headMismatch;
+
+      if (wasHealthy && !endpoint.healthy) {
+        console.warn(`RPC 節點 ${endpoint.label} 標記為不健康: 落後 ${endpoint.blockLag} 個區塊${endpoint.headMismatch ? '，區塊哈希與其他節點不一致' : ''}${endpoint.lastError ? `，最後錯誤: ${endpoint.lastError}` : ''}`);
+      } else if (!wasHealthy && endpoint.healthy) {
+        console.log(`RPC 節點 ${endpoint.label} 已恢復健康`);
+      }
+    }
+  }
+
+  /**
+   * 獲取各節點狀態
+   * @returns {Object} 狀態信息
+   */
+  getStatus() {
+    return {
+      activeUrl: this.activeUrl,
+      endpoints: this.endpoints.map(endpoint => ({
+        url: endpoint.label,
+        active: endpoint.label === this.activeUrl,
+        healthy: endpoint.healthy,
+        latencyMs: endpoint.latencyMs !== null ? Math.round(endpoint.latencyMs) : null,
+        errorRate: Number(endpoint.errorRate.toFixed(3)),
+        requests: endpoint.requests,
+        errors: endpoint.errors,
+        blockNumber: endpoint.blockNumber,
+        blockLag: endpoint.blockLag,
+        headMismatch: endpoint.headMismatch,
+        lastError: endpoint.lastError,
+        lastCheckedAt: endpoint.lastCheckedAt ? endpoint.lastCheckedAt.toISOString() : null
+      }))
+    };
+  }
+
+  /**
+   * 是否至少有一個健康的節點
+   * @returns {boolean} 是否健康
+   */
+  isHealthy() {
+    return this.endpoints.some(e => e.healthy);
+  }
+
+  /**
+   * 停止節點池
+   */
+  destroy() {
+    this.stopHealthCheck();
+    for (const endpoint of this.endpoints) {
+      endpoint.provider.destroy();
+    }
+    super.destroy();
+  }
+
+  /**
+   * 依健康狀態、錯誤率與延遲排序節點，冷卻中的節點排在最後
+   * @returns {Object[]} 排序後的節點
+   * @private
+   */
+  _rankEndpoints() {
+    const now = Date.now();
+    return [...this.endpoints].sort((a, b) => {
+      const aAvailable = a.healthy && a.cooldownUntil <= now;
+      const bAvailable = b.healthy && b.cooldownUntil <= now;
+      if (aAvailable !== bAvailable) {
+        return aAvailable ? -1 : 1;
+      }
+      return this._score(a) - this._score(b);
+    });
+  }
+
+  /**
+   * 計算節點分數（越低越好）
+   * @param {Object} endpoint 節點
+   * @returns {number} 分數
+   * @private
+   */
+  _score(endpoint) {
+    const latency = endpoint.latencyMs !== null ? endpoint.latencyMs : 1000;
+    return latency * (1 + endpoint.errorRate * 10) + (endpoint.blockLag || 0) * 1000;
+  }
+
+  /**
+   * 交叉比對各節點在同一高度的區塊哈希，與多數節點不一致的節點標記為異常
+   * @param {Object[]} endpoints 有回應的節點
+   * @private
+   */
+  async _crossCheckHeads(endpoints) {
+    for (const endpoint of this.endpoints) {
+      endpoint.headMismatch = false;
+    }
+
+    if (endpoints.length < 2) {
+      return;
+    }
+
+    const checkBlock = Math.min(...endpoints.map(e => e.blockNumber)) - CROSS_CHECK_DEPTH;
+    if (checkBlock < 0) {
+      return;
+    }
+
+    const hashes = new Map();
+    await Promise.all(endpoints.map(async (endpoint) => {
+      try {
+        const block = await this._call(endpoint, 'eth_getBlockByNumber', [ethers.toQuantity(checkBlock), false]);
+        if (block && block.hash) {
+          hashes.set(endpoint, block.hash);
+        }
+      } catch (error) {
+        this._recordFailure(endpoint, error);
+      }
+    }));
+
+    const counts = new Map();
+    for (const hash of hashes.values()) {
+      counts.set(hash, (counts.get(hash) || 0) + 1);
+    }
+
+    const [majorityHash, majorityCount] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+    if (!majorityHash) {
+      return;
+    }
+
+    if (majorityCount * 2 <= hashes.size) {
+      if (counts.size > 1) {
+        console.warn(`RPC 節點在區塊 ${checkBlock} 的哈希不一致且沒有多數結果，無法判斷異常節點`);
+      }
+      return;
+    }
+
+    for (const [endpoint, hash] of hashes.entries()) {
+      if (hash !== majorityHash) {
+        endpoint.headMismatch = true;
+        console.warn(`RPC 節點 ${endpoint.label} 的區塊 ${checkBlock} 哈希 ${hash} 與多數節點 ${majorityHash} 不一致`);
+      }
+    }
+  }
+
+  /**
+   * 直接向指定節點發送單一 JSON-RPC 請求
+   * @param {Object} endpoint 節點
+   * @param {string} method 方法名
+   * @param {Array} params 參數
+   * @returns {Promise<*>} 回應結果
+   * @private
+   */
+  async _call(endpoint, method, params) {
+    const [response] = await endpoint.provider._send({ method, params, id: 1, jsonrpc: '2.0' });
+    if (!response || response.error) {
+      throw new Error(response && response.error ? response.error.message : `${method} 沒有回應`);
+    }
+    return response.result;
+  }
+
+  /**
+   * 記錄成功的請求
+   * @param {Object} endpoint 節點
+   * @param {number} latencyMs 延遲
+   * @private
+   */
+  _recordSuccess(endpoint, latencyMs) {
+    endpoint.requests++;
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? latencyMs
+      : endpoint.latencyMs * (1 - EWMA_WEIGHT) + latencyMs * EWMA_WEIGHT;
+    endpoint.errorRate = endpoint.errorRate * (1 - EWMA_WEIGHT);
+  }
+
+  /**
+   * 記錄失敗的請求，並暫停使用該節點一段時間
+   * @param {Object} endpoint 節點
+   * @param {Error} error 錯誤
+   * @private
+   */
+  _recordFailure(endpoint, error) {
+    endpoint.requests++;
+    endpoint.errors++;
+    endpoint.errorRate = endpoint.errorRate * (1 - EWMA_WEIGHT) + EWMA_WEIGHT;
+    // ethers 的完整錯誤信息包含請求地址（可能帶有 API 金鑰），只保留簡短描述
+    endpoint.lastError = error.shortMessage || error.message;
+    endpoint.cooldownUntil = Date.now() + FAILURE_COOLDOWN_MS;
+    console.warn(`RPC 節點 ${endpoint.label} 請求失敗: ${endpoint.lastError}`);
+  }
+
+  /**
+   * 更新當前使用的節點
+   * @param {Object} endpoint 節點
+   * @private
+   */
+  _setActive(endpoint) {
+    if (endpoint.label !== this.activeUrl) {
+      console.warn(`RPC 節點切換: ${this.activeUrl} -> ${endpoint.label}`);
+      this.activeUrl = endpoint.label;
+    }
+  }
+}
+
+module.exports = RpcPool;
+module.exports.maskUrl = maskUrl;
@@ -0,0 +1,177 @@
+/**
+ * 結算任務存儲
+ * 待處理投注的持久化狀態：失敗時依指數退避安排下次重試，
+ * 失敗次數達到上限後移入死信，並提供人工重試與捨棄死信任務的操作
+ */
+const SettlementJob = require('../models/SettlementJob');
+
+/**
+ * 計算第 N 次失敗後的重試延遲
+ * @param {number} attempts 失敗次數
+ * @param {number} baseDelayMs 基礎延遲
+ * @param {number} maxDelayMs 最長延遲
+ * @returns {number} 延遲毫秒數
+ */
+function retryDelay(attempts, baseDelayMs, maxDelayMs) {
+  return Math.min(maxDelayMs, baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+/**
+ * 建立或重新開啟投注的結算任務
+ * 死信或已捨棄的任務保持原狀，需透過 API 人工處理
+ * @param {Object} eventFilter 所屬部署 {chainId, contractAddress}
+ * @param {string} betKey 待處理投注鍵
+ * @param {Object} bet 待處理投注 {roomId, player, betId, revealBlock, transactionHash, logIndex}
+ * @returns {Promise<Object>} 結算任務
+ */
+async function saveJob(eventFilter, betKey, bet) {
+  const filter = { ...eventFilter, betKey };
+  const now = new Date();
+  const fields = {
+    transactionHash: bet.transactionHash,
+    logIndex: bet.logIndex,
+    roomId: bet.roomId,
+    player: bet.player,
+    betId: bet.betId || null,
+    revealBlock: bet.revealBlock,
+    updatedAt: now
+  };
+
+  const existing = await SettlementJob.findOne(filter).lean();
+
+  if (!existing) {
+    try {
+      return (await SettlementJob.create({ ...filter, ...fields, status: 'pending', nextRetryAt: now, createdAt: now })).toObject();
+    } catch (error) {
+      // 並發建立同一任務時，唯一索引會拒絕其中一個
+      if (error.code !== 11000) {
+        throw error;
+      }
+      return SettlementJob.findOne(filter).lean();
+    }
+  }
+
+  if (existing.status === 'dead' || existing.status === 'discarded') {
+    return existing;
+  }
+
+  // 已完成或取消的任務在投注重新變為待結算時（例如鏈重組）重新開啟
+  const update = existing.status === 'pending'
+    ? fields
+    : { ...fields, status: 'pending', note: null, nextRetryAt: now };
+
+  return SettlementJob.findOneAndUpdate(filter, { $set: update }, { new: true }).lean();
+}
+
+/**
+ * 記錄一次結算失敗，安排下次重試或移入死信
+ * @param {Object} eventFilter 所屬部署 {chainId, contractAddress}
+ * @param {string} betKey 待處理投注鍵
+ * @param {string} errorMessage 錯誤信息
+ * @param {Object} options 重試配置 {maxAttempts, baseDelayMs, maxDelayMs}
+ * @param {Object} [revertReason] 解碼後的回退原因
+ * @returns {Promise<Object|null>} 更新後的結算任務
+ */
+async function recordJobFailure(eventFilter, betKey, errorMessage, { maxAttempts, baseDelayMs, maxDelayMs }, revertReason = null) {
+  const job = await SettlementJob.findOneAndUpdate(
+    { ...eventFilter, betKey, status: 'pending' },
+    { $inc: { attempts: 1 }, $set: { lastError: errorMessage, revertReason, updatedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!job) {
+    return null;
+  }
+
+  if (job.attempts >= maxAttempts) {
+    job.status = 'dead';
+    job.note = `連續失敗 ${job.attempts} 次，移入死信`;
+  } else {
+    job.nextRetryAt = new Date(Date.now() + retryDelay(job.attempts, baseDelayMs, maxDelayMs));
+  }
+
+  await job.save();
+  return job.toObject();
+}
+
+/**
+ * 結束結算任務
+ * @param {Object} eventFilter 所屬部署 {chainId, contractAddress}
+ * @param {string} betKey 待處理投注鍵
+ * @param {string} status completed 或 cancelled
+ * @param {string} [note] 說明
+ * @param {Object} [revertReason] 導致任務結束的回退原因
+ */
+async function closeJob(eventFilter, betKey, status, note = null, revertReason = null) {
+  const update = { status, note, updatedAt: new Date() };
+  if (revertReason) {
+    update.revertReason = revertReason;
+  }
+
+  await SettlementJob.updateOne(
+    { ...eventFilter, betKey, status: 'pending' },
+    { $set: update }
+  );
+}
+
+/**
+ * 將無法自動處理的任務直接移入死信
+ * @param {Object} eventFilter 所屬部署 {chainId, contractAddress}
+ * @param {string} betKey 待處理投注鍵
+ * @param {string} errorMessage 錯誤信息
+ * @param {Object} revertReason 解碼後的回退原因
+ * @returns {Promise<Object|null>} 更新後的結算任務
+ */
+async function escalateJob(eventFilter, betKey, errorMessage, revertReason) {
+  return SettlementJob.findOneAndUpdate(
+    { ...eventFilter, betKey, status: 'pending' },
+    {
+      $inc: { attempts: 1 },
+      $set: {
+        status: 'dead',
+        lastError: errorMessage,
+        revertReason,
+        note: '合約回退原因無法自動處理，需人工確認',
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * 將死信任務重新設為待結算，重置失敗次數
+ * @param {string} jobId 任務 ID
+ * @returns {Promise<Object|null>} 更新後的任務，任務不存在或不是死信時返回 null
+ */
+async function retryDeadJob(jobId) {
+  return SettlementJob.findOneAndUpdate(
+    { _id: jobId, status: 'dead' },
+    { $set: { status: 'pending', attempts: 0, lastError: null, revertReason: null, note: '人工重試', nextRetryAt: new Date(), updatedAt: new Date() } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * 捨棄死信任務
+ * @param {string} jobId 任務 ID
+ * @param {string} reason 捨棄原因
+ * @returns {Promise<Object|null>} 更新後的任務，任務不存在或不是死信時返回 null
+ */
+async function discardDeadJob(jobId, reason) {
+  return SettlementJob.findOneAndUpdate(
+    { _id: jobId, status: 'dead' },
+    { $set: { status: 'discarded', note: reason, updatedAt: new Date() } },
+    { new: true }
+  ).lean();
+}
+
+module.exports = {
+  retryDelay,
+  saveJob,
+  recordJobFailure,
+  closeJob,
+  escalateJob,
+  retryDeadJob,
+  discardDeadJob
+};
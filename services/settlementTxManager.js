@@ -0,0 +1,581 @@
+/**
+ * 結算交易管理器
+ * 為結算錢包在本地分配 nonce，並發送出多筆 settleBet 交易（有上限），
+ * 定期檢查交易收據，長時間未確認的交易以相同 nonce 提高手續費後替換，
+ * 每一筆送出的交易都記錄到 SettlementAttempt
+ */
+const EventEmitter = require('events');
+const SettlementAttempt = require('../models/SettlementAttempt');
+
+class SettlementTxManager extends EventEmitter {
+  /**
+   * @param {Object} options 配置
+   * @param {ethers.Signer} options.signer 結算錢包
+   * @param {ethers.Contract} options.contract 已連接結算錢包的合約實例
+   * @param {ethers.Provider} options.provider HTTP 提供者
+   * @param {Object} options.eventFilter 所屬部署 {chainId, contractAddress}
+   * @param {number} [options.maxConcurrent] 同時等待確認的交易數上限
+   * @param {number} [options.stuckTimeoutMs] 交易未確認多久後視為卡住並替換
+   * @param {number} [options.feeBumpPercent] 替換交易提高手續費的百分比（節點通常要求至少 10%）
+   * @param {number} [options.maxReplacements] 每筆交易最多替換次數
+   * @param {bigint|null} [options.maxFeePerGas] 手續費上限（wei），null 表示不設上限
+   * @param {number} [options.checkIntervalMs] 檢查間隔
+   */
+  constructor({
+    signer,
+    contract,
+    provider,
+    eventFilter,
+    maxConcurrent = 5,
+    stuckTimeoutMs = 90000,
+    feeBumpPercent = 20,
+    maxReplacements = 5,
+    maxFeePerGas = null,
+    checkIntervalMs = 5000
+  }) {
+    super();
+    this.signer = signer;
+    this.contract = contract;
+    this.provider = provider;
+    this.eventFilter = eventFilter;
+    this.maxConcurrent = maxConcurrent;
+    this.stuckTimeoutMs = stuckTimeoutMs;
+    this.feeBumpPercent = BigInt(Math.max(10, feeBumpPercent));
+    this.maxReplacements = maxReplacements;
+    this.maxFeePerGas = maxFeePerGas;
+    this.checkIntervalMs = checkIntervalMs;
+
+    this.address = null;
+    this.nextNonce = null;
+
+    // 等待確認的交易 - Map<betKey, entry>
+    this.inFlight = new Map();
+
+    // 發送交易的互斥鎖，確保 nonce 依序分配並送出
+    this.sendLock = Promise.resolve();
+
+    this.checkInterval = null;
+    this.isChecking = false;
+  }
+
+  /**
+   * 啟動管理器：同步鏈上 nonce、恢復重啟前未確認的交易並開始定期檢查
+   */
+  async start() {
+    this.address = await this.signer.getAddress();
+    await this._syncNonce();
+    await this._restoreInFlight();
+
+    this.stop();
+    this.checkInterval = setInterval(() => {
+      this.checkInFlight().catch((error) => {
+        console.error('檢查結算交易狀態失敗:', error);
+      });
+    }, this.checkIntervalMs);
+
+    console.log(`結算交易管理器已啟動，錢包 ${this.address}，下一個 nonce ${this.nextNonce}，並發上限 ${this.maxConcurrent}`);
+  }
+
+  /**
+   * 停止定期檢查
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * 獲取管理器狀態
+   * @returns {Object} 狀態信息
+   */
+  getStatus() {
+    return {
+      address: this.address,
+      nextNonce: this.nextNonce,
+      maxConcurrent: this.maxConcurrent,
+      inFlight: Array.from(this.inFlight.values()).map(entry => ({
+        key: entry.key,
+        roomId: entry.roomId,
+        player: entry.player,
+        betId: entry.betId,
+        nonce: entry.nonce,
+        transactionHashes: [...entry.hashes],
+        replacements: entry.replacements,
+        lastSentAt: entry.lastSentAt ? new Date(entry.lastSentAt).toISOString() : null
+      }))
+    };
+  }
+
+  /**
+   * 投注是否已有等待確認的結算交易
+   * @param {string} key 待處理投注鍵
+   * @returns {boolean} 是否等待確認中
+   */
+  isInFlight(key) {
+    return this.inFlight.has(key);
+  }
+
+  /**
+   * 是否還能發送新的結算交易
+   * @returns {boolean} 是否未達並發上限
+   */
+  hasCapacity() {
+    return this.inFlight.size < this.maxConcurrent;
+  }
+
+  /**
+   * 發送結算交易，不等待確認
+   * 發送前先以 staticCall 模擬，合約會回退時（例如投注已結算）拋出 CALL_EXCEPTION 錯誤，此時不佔用 nonce
+   * @param {Object} bet 投注 {key, roomId, player, betId}
+   * @returns {Promise<string|null>} 交易哈希，已在等待確認或達到並發上限時返回 null
+   */
+  async submit(bet) {
+    return this._withSendLock(async () => {
+      if (this.inFlight.has(bet.key) || !this.hasCapacity()) {
+        return null;
+      }
+
+      // 模擬結算，回退數據由調用方解碼
+      await this.contract.settleBet.staticCall(bet.roomId, bet.player);
+
+      const populated = await this.contract.settleBet.populateTransaction(bet.roomId, bet.player);
+      const gasLimit = await this.signer.estimateGas(populated);
+      const fees = await this._getNetworkFees();
+
+      const entry = {
+        key: bet.key,
+        roomId: bet.roomId,
+        player: bet.player,
+        betId: bet.betId || null,
+        nonce: this.nextNonce,
+        to: populated.to,
+        data: populated.data,
+        gasLimit,
+        fees,
+        hashes: [],
+        attemptIds: [],
+        replacements: 0,
+        lastSentAt: null
+      };
+
+      try {
+        await this._send(entry, null);
+      } catch (error) {
+        await this._handleSendError(error);
+        throw error;
+      }
+
+      this.nextNonce++;
+      this.inFlight.set(entry.key, entry);
+      return entry.hashes[0];
+    });
+  }
+
+  /**
+   * 檢查所有等待確認的交易，已上鏈的完成處理，卡住的提高手續費替換
+   */
+  async checkInFlight() {
+    if (this.isChecking || this.inFlight.size === 0) {
+      return;
+    }
+
+    this.isChecking = true;
+
+    try {
+      for (const entry of Array.from(this.inFlight.values())) {
+        try {
+          const receipt = await this._findReceipt(entry);
+          if (receipt) {
+            await this._finalize(entry, receipt);
+            continue;
+          }
+
+          if (Date.now() - entry.lastSentAt < this.stuckTimeoutMs) {
+            continue;
+          }
+
+          // 同一 nonce 已上鏈但找不到本管理器送出的交易收據，代表被其他交易佔用
+          const minedNonce = await this.provider.getTransactionCount(this.address, 'latest');
+          if (minedNonce > entry.nonce) {
+            entry.nonceUsedChecks = (entry.nonceUsedChecks || 0) + 1;
+            if (entry.nonceUsedChecks >= 3) {
+              await this._drop(entry);
+            }
+            continue;
+          }
+
+          await this._replace(entry);
+        } catch (error) {
+          console.error(`檢查結算交易 ${entry.key} (nonce ${entry.nonce}) 失敗:`, error.shortMessage || error.message);
+        }
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * 以相同 nonce 與提高的手續費重新發送卡住的交易
+   * @param {Object} entry 等待確認的交易
+   * @private
+   */
+  async _replace(entry) {
+    if (entry.replacements >= this.maxReplacements) {
+      if (!entry.replacementLimitLogged) {
+        console.warn(`結算交易 ${entry.key} (nonce ${entry.nonce}) 已替換 ${entry.replacements} 次仍未確認，停止替換並繼續等待`);
+        entry.replacementLimitLogged = true;
+      }
+      return;
+    }
+
+    const networkFees = await this._getNetworkFees();
+    const bumpedFees = this._bumpFees(entry.fees, networkFees);
+
+    if (!this._isHigher(bumpedFees, entry.fees)) {
+      console.warn(`結算交易 ${entry.key} (nonce ${entry.nonce}) 手續費已達上限，無法再提高，繼續等待`);
+      entry.lastSentAt = Date.now();
+      return;
+    }
+
+    const previousHash = entry.hashes[entry.hashes.length - 1];
+    const previousFees = entry.fees;
+    entry.fees = bumpedFees;
+    entry.replacements++;
+
+    console.warn(`結算交易 ${previousHash} (nonce ${entry.nonce}) 超過 ${this.stuckTimeoutMs / 1000} 秒未確認，提高手續費後替換`);
+
+    try {
+      await this._send(entry, previousHash);
+    } catch (error) {
+      const code = error.code;
+      if (code === 'NONCE_EXPIRED') {
+        // nonce 已被使用，下次檢查時讀取收據
+        console.log(`nonce ${entry.nonce} 已上鏈，等待讀取收據`);
+      } else if (code === 'REPLACEMENT_UNDERPRICED') {
+        // 保留提高後的手續費，下次在此基礎上繼續提高
+        console.warn(`替換交易手續費不足，下次繼續提高: ${error.shortMessage || error.message}`);
+      } else {
+        entry.fees = previousFees;
+        console.error(`發送替換交易失敗: ${error.shortMessage || error.message}`);
+      }
+      entry.lastSentAt = Date.now();
+    }
+  }
+
+  /**
+   * 發送交易並記錄嘗試
+   * @param {Object} entry 交易
+   * @param {string|null} replacesTransactionHash 被替換的交易哈希
+   * @private
+   */
+  async _send(entry, replacesTransactionHash) {
+    const txRequest = {
+      to: entry.to,
+      data: entry.data,
+      nonce: entry.nonce,
+      gasLimit: entry.gasLimit,
+      ...entry.fees
+    };
+
+    const attemptFields = {
+      ...this.eventFilter,
+      betKey: entry.key,
+      roomId: entry.roomId,
+      player: entry.player,
+      betId: entry.betId,
+      from: this.address,
+      nonce: entry.nonce,
+      replacesTransactionHash,
+      maxFeePerGas: entry.fees.maxFeePerGas !== undefined ? entry.fees.maxFeePerGas.toString() : null,
+      maxPriorityFeePerGas: entry.fees.maxPriorityFeePerGas !== undefined ? entry.fees.maxPriorityFeePerGas.toString() : null,
+      gasPrice: entry.fees.gasPrice !== undefined ? entry.fees.gasPrice.toString() : null,
+      gasLimit: entry.gasLimit.toString(),
+      sentAt: new Date()
+    };
+
+    let response;
+    try {
+      response = await this.signer.sendTransaction(txRequest);
+    } catch (error) {
+      await this._recordAttempt({
+        ...attemptFields,
+        status: 'send_failed',
+        error: error.shortMessage || error.message,
+        finishedAt: new Date()
+      });
+      throw error;
+    }
+
+    console.log(`發送結算交易 ${response.hash} (投注 ${entry.key}, nonce ${entry.nonce}${replacesTransactionHash ? `, 替換 ${replacesTransactionHash}` : ''})`);
+
+    const attempt = await this._recordAttempt({ ...attemptFields, transactionHash: response.hash, status: 'pending' });
+
+    entry.hashes.push(response.hash);
+    if (attempt) {
+      entry.attemptIds.push(attempt._id);
+    }
+    entry.lastSentAt = Date.now();
+
+    if (replacesTransactionHash) {
+      await this._updateAttempts({ transactionHash: replacesTransactionHash, status: 'pending' }, { status: 'replaced' });
+    }
+  }
+
+  /**
+   * 交易已上鏈：更新記錄並通知
+   * @param {Object} entry 交易
+   * @param {ethers.TransactionReceipt} receipt 交易收據
+   * @private
+   */
+  async _finalize(entry, receipt) {
+    const succeeded = receipt.status === 1;
+
+    await this._updateAttempts(
+      { transactionHash: receipt.hash },
+      {
+        status: succeeded ? 'confirmed' : 'failed',
+        error: succeeded ? null : '交易執行失敗',
+        receiptBlockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        finishedAt: new Date()
+      }
+    );
+    await this._updateAttempts(
+      { _id: { $in: entry.attemptIds }, transactionHash: { $ne: receipt.hash } },
+      { status: 'dropped', finishedAt: new Date() }
+    );
+
+    this.inFlight.delete(entry.key);
+
+    console.log(`結算交易 ${receipt.hash} 已確認，區塊高度: ${receipt.blockNumber}, 狀態: ${succeeded ? '成功' : '失敗'}`);
+    this.emit(succeeded ? 'confirmed' : 'reverted', { key: entry.key, receipt });
+  }
+
+  /**
+   * nonce 已被其他交易佔用：放棄此交易並通知
+   * @param {Object} entry 交易
+   * @private
+   */
+  async _drop(entry) {
+    await this._updateAttempts(
+      { _id: { $in: entry.attemptIds } },
+      { status: 'dropped', error: `nonce ${entry.nonce} 已被其他交易使用`, finishedAt: new Date() }
+    );
+
+    this.inFlight.delete(entry.key);
+
+    console.warn(`結算交易 ${entry.key} 的 nonce ${entry.nonce} 已被其他交易使用，放棄此交易`);
+    this.emit('dropped', { key: entry.key });
+  }
+
+  /**
+   * 查找交易收據，較新的替換交易優先
+   * @param {Object} entry 交易
+   * @returns {Promise<ethers.TransactionReceipt|null>} 交易收據
+   * @private
+   */
+  async _findReceipt(entry) {
+    for (const hash of [...entry.hashes].reverse()) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 發送失敗後調整本地 nonce
+   * @param {Error} error 發送錯誤
+   * @private
+   */
+  async _handleSendError(error) {
+    // nonce 與鏈上不一致時重新同步，其他錯誤代表 nonce 未被使用，下次沿用
+    if (error.code === 'NONCE_EXPIRED' || (error.message && error.message.includes('nonce'))) {
+      await this._syncNonce();
+    }
+  }
+
+  /**
+   * 從鏈上同步下一個 nonce（包含節點交易池中的交易）
+   * @private
+   */
+  async _syncNonce() {
+    const pendingNonce = await this.provider.getTransactionCount(this.address, 'pending');
+    const highestInFlight = Math.max(-1, ...Array.from(this.inFlight.values()).map(e => e.nonce));
+    this.nextNonce = Math.max(pendingNonce, highestInFlight + 1);
+  }
+
+  /**
+   * 恢復重啟前尚未確認的交易，繼續追蹤與替換
+   * @private
+   */
+  async _restoreInFlight() {
+    const attempts = await SettlementAttempt.find({
+      ...this.eventFilter,
+      from: this.address,
+      status: { $in: ['pending', 'replaced'] }
+    }).sort({ sentAt: 1 }).lean();
+
+    for (const attempt of attempts) {
+      let entry = this.inFlight.get(attempt.betKey);
+
+      if (!entry) {
+        const populated = await this.contract.settleBet.populateTransaction(attempt.roomId, attempt.player);
+        entry = {
+          key: attempt.betKey,
+          roomId: attempt.roomId,
+          player: attempt.player,
+          betId: attempt.betId,
+          nonce: attempt.nonce,
+          to: populated.to,
+          data: populated.data,
+          gasLimit: BigInt(attempt.gasLimit),
+          fees: null,
+          hashes: [],
+          attemptIds: [],
+          replacements: 0,
+          lastSentAt: null
+        };
+        this.inFlight.set(entry.key, entry);
+      }
+
+      entry.hashes.push(attempt.transactionHash);
+      entry.attemptIds.push(attempt._id);
+      entry.fees = attempt.maxFeePerGas !== null
+        ? { maxFeePerGas: BigInt(attempt.maxFeePerGas), maxPriorityFeePerGas: BigInt(attempt.maxPriorityFeePerGas) }
+        : { gasPrice: BigInt(attempt.gasPrice) };
+      entry.lastSentAt = new Date(attempt.sentAt).getTime();
+      if (attempt.replacesTransactionHash) {
+        entry.replacements++;
+      }
+    }
+
+    if (this.inFlight.size > 0) {
+      console.log(`恢復 ${this.inFlight.size} 筆重啟前未確認的結算交易`);
+      await this._syncNonce();
+    }
+  }
+
+  /**
+   * 讀取當前網絡手續費，支持 EIP-1559 的網絡使用 maxFeePerGas，否則使用 gasPrice
+   * @returns {Promise<Object>} 手續費
+   * @private
+   */
+  async _getNetworkFees() {
+    const feeData = await this.provider.getFeeData();
+
+    if (feeData.maxFeePerGas !== null && feeData.maxPriorityFeePerGas !== null) {
+      return this._capFees({
+        maxFeePerGas: feeData.maxFeePerGas,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+      });
+    }
+
+    return this._capFees({ gasPrice: feeData.gasPrice });
+  }
+
+  /**
+   * 計算替換交易的手續費：舊手續費提高指定百分比，且不低於當前網絡手續費
+   * @param {Object} previous 舊手續費
+   * @param {Object} network 當前網絡手續費
+   * @returns {Object} 新手續費
+   * @private
+   */
+  _bumpFees(previous, network) {
+    const bump = (value) => (value * (100n + this.feeBumpPercent)) / 100n;
+    const max = (a, b) => (b !== undefined && b > a ? b : a);
+
+    if (previous.maxFeePerGas !== undefined) {
+      return this._capFees({
+        maxFeePerGas: max(bump(previous.maxFeePerGas), network.maxFeePerGas),
+        maxPriorityFeePerGas: max(bump(previous.maxPriorityFeePerGas), network.maxPriorityFeePerGas)
+      });
+    }
+
+    return this._capFees({ gasPrice: max(bump(previous.gasPrice), network.gasPrice) });
+  }
+
+  /**
+   * 套用手續費上限
+   * @param {Object} fees 手續費
+   * @returns {Object} 套用上限後的手續費
+   * @private
+   */
+  _capFees(fees) {
+    if (this.maxFeePerGas === null) {
+      return fees;
+    }
+
+    const cap = (value) => (value > this.maxFeePerGas ? this.maxFeePerGas : value);
+
+    if (fees.maxFeePerGas !== undefined) {
+      const maxFeePerGas = cap(fees.maxFeePerGas);
+      return {
+        maxFeePerGas,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : fees.maxPriorityFeePerGas
+      };
+    }
+
+    return { gasPrice: cap(fees.gasPrice) };
+  }
+
+  /**
+   * 新手續費是否高於舊手續費
+   * @param {Object} next 新手續費
+   * @param {Object} previous 舊手續費
+   * @returns {boolean} 是否提高
+   * @private
+   */
+  _isHigher(next, previous) {
+    if (next.maxFeePerGas !== undefined) {
+      return next.maxFeePerGas > previous.maxFeePerGas || next.maxPriorityFeePerGas > previous.maxPriorityFeePerGas;
+    }
+    return next.gasPrice > previous.gasPrice;
+  }
+
+  /**
+   * 寫入交易嘗試記錄，寫入失敗不影響交易流程
+   * @param {Object} fields 記錄欄位
+   * @returns {Promise<Object|null>} 記錄
+   * @private
+   */
+  async _recordAttempt(fields) {
+    try {
+      return await SettlementAttempt.create(fields);
+    } catch (error) {
+      console.error('保存結算交易記錄失敗:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 更新交易嘗試記錄，寫入失敗不影響交易流程
+   * @param {Object} filter 查詢條件
+   * @param {Object} update 更新欄位
+   * @private
+   */
+  async _updateAttempts(filter, update) {
+    try {
+      await SettlementAttempt.updateMany({ ...this.eventFilter, ...filter }, { $set: update });
+    } catch (error) {
+      console.error('更新結算交易記錄失敗:', error);
+    }
+  }
+
+  /**
+   * 在發送鎖內執行，確保 nonce 分配與交易送出依序進行
+   * @param {Function} fn 要執行的函數
+   * @returns {Promise<*>} 函數返回值
+   * @private
+   */
+  _withSendLock(fn) {
+    const run = this.sendLock.then(fn, fn);
+    this.sendLock = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = SettlementTxManager;
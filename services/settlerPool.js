@@ -0,0 +1,248 @@
+/**
+ * 結算錢包池
+ * 每個結算錢包各自擁有一個結算交易管理器（獨立分配 nonce），新的結算交易分配給
+ * 等待確認交易最少的可用錢包；定期檢查餘額，低於下限的錢包暫停分配新交易，
+ * 已送出的交易仍由原錢包的管理器繼續追蹤。錢包池可用餘額不足時發出告警
+ */
+const { ethers } = require('ethers');
+const EventEmitter = require('events');
+const SettlementTxManager = require('./settlementTxManager');
+const { sendAlert } = require('../utils/alert');
+
+class SettlerPool extends EventEmitter {
+  /**
+   * @param {Object} options 配置
+   * @param {ethers.Signer[]} options.signers 結算錢包
+   * @param {ethers.Contract} options.contract 合約實例（各錢包以 connect 取得自己的實例）
+   * @param {ethers.Provider} options.provider HTTP 提供者
+   * @param {Object} options.eventFilter 所屬部署 {chainId, contractAddress}
+   * @param {Object} [options.managerOptions] 傳給每個結算交易管理器的配置
+   * @param {bigint} options.minBalance 錢包餘額下限（wei），低於此值時暫停分配新交易
+   * @param {bigint} options.lowPoolBalance 可用錢包總餘額低於此值（wei）時發出告警
+   * @param {number} [options.balanceCheckIntervalMs] 餘額檢查間隔
+   * @param {string} [options.name] 部署名稱（用於日誌與告警）
+   */
+  constructor({
+    signers,
+    contract,
+    provider,
+    eventFilter,
+    managerOptions = {},
+    minBalance,
+    lowPoolBalance,
+    balanceCheckIntervalMs = 60000,
+    name = null
+  }) {
+    super();
+    this.contract = contract;
+    this.provider = provider;
+    this.eventFilter = eventFilter;
+    this.managerOptions = managerOptions;
+    this.minBalance = minBalance;
+    this.lowPoolBalance = lowPoolBalance;
+    this.balanceCheckIntervalMs = balanceCheckIntervalMs;
+    this.name = name;
+
+    // 錢包 - {signer, address, manager, balance, active, lastCheckedAt, lastError}
+    // 餘額讀取成功前視為可用，避免節點故障時停止所有結算
+    this.wallets = signers.map(signer => ({
+      signer,
+      address: null,
+      manager: null,
+      balance: null,
+      active: true,
+      lastCheckedAt: null,
+      lastError: null
+    }));
+
+    this.balanceInterval = null;
+    this.lowFunds = false;
+  }
+
+  /**
+   * 啟動錢包池：為每個錢包啟動結算交易管理器並開始定期檢查餘額
+   */
+  async start() {
+    const seen = new Set();
+
+    for (const wallet of this.wallets) {
+      wallet.address = await wallet.signer.getAddress();
+      if (seen.has(wallet.address)) {
+        throw new Error(`結算錢包 ${wallet.address} 重複配置`);
+      }
+      seen.add(wallet.address);
+
+      wallet.manager = new SettlementTxManager({
+        ...this.managerOptions,
+        signer: wallet.signer,
+        contract: this.contract.connect(wallet.signer),
+        provider: this.provider,
+        eventFilter: this.eventFilter
+      });
+
+      for (const eventName of ['confirmed', 'reverted', 'dropped']) {
+        wallet.manager.on(eventName, (payload) => {
+          this.emit(eventName, { ...payload, address: wallet.address });
+        });
+      }
+
+      await wallet.manager.start();
+    }
+
+    await this.checkBalances();
+
+    if (this.balanceInterval) {
+      clearInterval(this.balanceInterval);
+    }
+    this.balanceInterval = setInterval(() => {
+      this.checkBalances().catch((error) => {
+        console.error('檢查結算錢包餘額失敗:', error);
+      });
+    }, this.balanceCheckIntervalMs);
+
+    console.log(`結算錢包池已啟動，共 ${this.wallets.length} 個錢包，可用 ${this.getActiveWallets().length} 個`);
+  }
+
+  /**
+   * 停止錢包池
+   */
+  stop() {
+    if (this.balanceInterval) {
+      clearInterval(this.balanceInterval);
+      this.balanceInterval = null;
+    }
+
+    for (const wallet of this.wallets) {
+      if (wallet.manager) {
+        wallet.manager.stop();
+      }
+    }
+  }
+
+  /**
+   * 檢查所有錢包餘額，更新可用狀態並在錢包池餘額不足時告警
+   */
+  async checkBalances() {
+    for (const wallet of this.wallets) {
+      try {
+        wallet.balance = await this.provider.getBalance(wallet.address);
+        wallet.lastCheckedAt = Date.now();
+        wallet.lastError = null;
+      } catch (error) {
+        wallet.lastError = error.shortMessage || error.message;
+        console.warn(`讀取結算錢包 ${wallet.address} 餘額失敗: ${wallet.lastError}`);
+        continue;
+      }
+
+      const active = wallet.balance >= this.minBalance;
+      if (active !== wallet.active) {
+        if (active) {
+          console.log(`結算錢包 ${wallet.address} 餘額已恢復至 ${ethers.formatEther(wallet.balance)} ETH，重新加入輪換`);
+        } else {
+          console.warn(`結算錢包 ${wallet.address} 餘額 ${ethers.formatEther(wallet.balance)} ETH 低於下限 ${ethers.formatEther(this.minBalance)} ETH，暫停分配新交易`);
+        }
+        wallet.active = active;
+      }
+    }
+
+    const activeWallets = this.getActiveWallets();
+    const availableBalance = activeWallets.reduce((sum, wallet) => sum + (wallet.balance || 0n), 0n);
+    const lowFunds = activeWallets.length === 0 || availableBalance < this.lowPoolBalance;
+
+    if (lowFunds && !this.lowFunds) {
+      await sendAlert('settler_pool_low_funds', `結算錢包池餘額不足: 可用錢包 ${activeWallets.length}/${this.wallets.length}，可用餘額 ${ethers.formatEther(availableBalance)} ETH`, {
+        deployment: this.name,
+        ...this.eventFilter,
+        activeWallets: activeWallets.length,
+        totalWallets: this.wallets.length,
+        availableBalance: ethers.formatEther(availableBalance),
+        lowPoolBalance: ethers.formatEther(this.lowPoolBalance)
+      });
+    } else if (!lowFunds && this.lowFunds) {
+      console.log(`結算錢包池餘額已恢復: 可用錢包 ${activeWallets.length}/${this.wallets.length}，可用餘額 ${ethers.formatEther(availableBalance)} ETH`);
+    }
+    this.lowFunds = lowFunds;
+  }
+
+  /**
+   * 獲取可分配新交易的錢包
+   * @returns {Object[]} 可用錢包
+   */
+  getActiveWallets() {
+    return this.wallets.filter(wallet => wallet.active && wallet.manager);
+  }
+
+  /**
+   * 所有可用錢包的並發上限總和
+   * @returns {number} 並發上限
+   */
+  get maxConcurrent() {
+    return this.getActiveWallets().reduce((sum, wallet) => sum + wallet.manager.maxConcurrent, 0);
+  }
+
+  /**
+   * 投注是否已有等待確認的結算交易（任一錢包）
+   * @param {string} key 待處理投注鍵
+   * @returns {boolean} 是否等待確認中
+   */
+  isInFlight(key) {
+    return this.wallets.some(wallet => wallet.manager && wallet.manager.isInFlight(key));
+  }
+
+  /**
+   * 是否還有可用錢包能發送新的結算交易
+   * @returns {boolean} 是否有剩餘容量
+   */
+  hasCapacity() {
+    return this.getActiveWallets().some(wallet => wallet.manager.hasCapacity());
+  }
+
+  /**
+   * 將結算交易分配給等待確認交易最少的可用錢包
+   * @param {Object} bet 投注 {key, roomId, player, betId}
+   * @returns {Promise<string|null>} 交易哈希，已在等待確認或沒有可用錢包時返回 null
+   */
+  async submit(bet) {
+    if (this.isInFlight(bet.key)) {
+      return null;
+    }
+
+    const candidates = this.getActiveWallets()
+      .filter(wallet => wallet.manager.hasCapacity())
+      .sort((a, b) => a.manager.inFlight.size - b.manager.inFlight.size);
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    return candidates[0].manager.submit(bet);
+  }
+
+  /**
+   * 獲取錢包池狀態
+   * @returns {Object} 狀態信息
+   */
+  getStatus() {
+    const activeWallets = this.getActiveWallets();
+
+    return {
+      totalWallets: this.wallets.length,
+      activeWallets: activeWallets.length,
+      maxConcurrent: this.maxConcurrent,
+      availableBalance: ethers.formatEther(activeWallets.reduce((sum, wallet) => sum + (wallet.balance || 0n), 0n)),
+      minBalance: ethers.formatEther(this.minBalance),
+      lowPoolBalance: ethers.formatEther(this.lowPoolBalance),
+      lowFunds: this.lowFunds,
+      wallets: this.wallets.map(wallet => ({
+        ...(wallet.manager ? wallet.manager.getStatus() : { address: wallet.address }),
+        signerBackend: wallet.signer.backend || null,
+        active: wallet.active,
+        balance: wallet.balance !== null ? ethers.formatEther(wallet.balance) : null,
+        lastCheckedAt: wallet.lastCheckedAt ? new Date(wallet.lastCheckedAt).toISOString() : null,
+        lastError: wallet.lastError
+      }))
+    };
+  }
+}
+
+module.exports = SettlerPool;
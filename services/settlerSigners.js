@@ -0,0 +1,173 @@
+/**
+ * 結算錢包簽名者
+ * 依 SETTLER_SIGNER_BACKEND 創建結算錢包的簽名者：
+ *   env      SETTLER_PRIVATE_KEYS（或 SETTLER_PRIVATE_KEY）中的明文私鑰
+ *   keystore SETTLER_KEYSTORE_FILES 指定的加密 JSON keystore，以 SETTLER_KEYSTORE_PASSPHRASE_FILE 中的密碼解鎖
+ *   remote   SETTLER_REMOTE_SIGNER_URL 指定的外部簽名服務，私鑰不進入本服務
+ * 所有簽名者都以 AuditedSigner 包裝，每次簽名請求都寫入審計記錄。
+ * 設置 ADMIN_SIGNER_ADDRESS 時，該錢包保留給合約管理函數使用，不加入結算錢包池
+ */
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+  SETTLER_SIGNER_BACKEND,
+  SETTLER_PRIVATE_KEYS,
+  SETTLER_KEYSTORE_FILES,
+  SETTLER_KEYSTORE_PASSPHRASE_FILE,
+  SETTLER_REMOTE_SIGNER_URL,
+  SETTLER_REMOTE_SIGNER_ADDRESSES,
+  SETTLER_REMOTE_SIGNER_TOKEN,
+  ADMIN_SIGNER_ADDRESS
+} = require('../config/contract');
+const RemoteSigner = require('./remoteSigner');
+const AuditedSigner = require('./auditedSigner');
+
+// keystore 解鎖耗時較長，多個部署共用同一組錢包時只解鎖一次
+let keystoreWallets = null;
+
+/**
+ * 解鎖加密 keystore
+ * @returns {Promise<ethers.Wallet[]>} 錢包（未連接提供者）
+ */
+async function unlockKeystores() {
+  if (keystoreWallets) {
+    return keystoreWallets;
+  }
+
+  if (SETTLER_KEYSTORE_FILES.length === 0) {
+    throw new Error('keystore 簽名後端需要設置 SETTLER_KEYSTORE_FILES');
+  }
+  if (!SETTLER_KEYSTORE_PASSPHRASE_FILE) {
+    throw new Error('keystore 簽名後端需要設置 SETTLER_KEYSTORE_PASSPHRASE_FILE');
+  }
+
+  // 去除文件末尾的換行
+  const passphrase = fs.readFileSync(path.resolve(SETTLER_KEYSTORE_PASSPHRASE_FILE), 'utf8').replace(/\r?\n$/, '');
+
+  const wallets = [];
+  for (const file of SETTLER_KEYSTORE_FILES) {
+    const json = fs.readFileSync(path.resolve(file), 'utf8');
+    try {
+      const wallet = await ethers.Wallet.fromEncryptedJson(json, passphrase);
+      console.log(`已解鎖結算錢包 keystore: ${file} (${wallet.address})`);
+      wallets.push(wallet);
+    } catch (error) {
+      throw new Error(`解鎖 keystore ${file} 失敗: ${error.message}`);
+    }
+  }
+
+  keystoreWallets = wallets;
+  return wallets;
+}
+
+/**
+ * 創建簽名後端的所有錢包簽名者
+ * @param {ethers.Provider} provider HTTP 提供者
+ * @param {Object} [options] 選項
+ * @param {ethers.Interface} [options.contractInterface] 用於在審計記錄中解碼調用方法的合約介面
+ * @param {Object} [options.context] 附加到審計記錄的信息 {deployment, chainId}
+ * @returns {Promise<AuditedSigner[]>} 簽名者
+ */
+async function createSigners(provider, { contractInterface = null, context = {} } = {}) {
+  let signers;
+
+  switch (SETTLER_SIGNER_BACKEND) {
+    case 'env':
+      if (SETTLER_PRIVATE_KEYS.length === 0) {
+        throw new Error('未設置 SETTLER_PRIVATE_KEYS 或 SETTLER_PRIVATE_KEY 環境變數，自動揭示服務無法啟動');
+      }
+      signers = SETTLER_PRIVATE_KEYS.map(privateKey => new ethers.Wallet(privateKey, provider));
+      break;
+
+    case 'keystore':
+      signers = (await unlockKeystores()).map(wallet => wallet.connect(provider));
+      break;
+
+    case 'remote': {
+      if (!SETTLER_REMOTE_SIGNER_URL) {
+        throw new Error('remote 簽名後端需要設置 SETTLER_REMOTE_SIGNER_URL');
+      }
+      const options = { token: SETTLER_REMOTE_SIGNER_TOKEN };
+      const addresses = SETTLER_REMOTE_SIGNER_ADDRESSES.length > 0
+        ? SETTLER_REMOTE_SIGNER_ADDRESSES
+        : await RemoteSigner.listAccounts(SETTLER_REMOTE_SIGNER_URL, options);
+      if (addresses.length === 0) {
+        throw new Error('外部簽名服務沒有可用的錢包地址');
+      }
+      signers = addresses.map(address => new RemoteSigner(address, SETTLER_REMOTE_SIGNER_URL, provider, options));
+      break;
+    }
+
+    default:
+      throw new Error(`未知的簽名後端 SETTLER_SIGNER_BACKEND=${SETTLER_SIGNER_BACKEND}，可選值為 env、keystore、remote`);
+  }
+
+  return signers.map(signer => new AuditedSigner(signer, {
+    backend: SETTLER_SIGNER_BACKEND,
+    contractInterface,
+    context
+  }));
+}
+
+/**
+ * 找出地址為管理錢包的簽名者
+ * @param {AuditedSigner[]} signers 簽名者
+ * @returns {Promise<number>} 管理錢包的索引，不存在時為 -1
+ */
+async function findAdminSignerIndex(signers) {
+  if (!ADMIN_SIGNER_ADDRESS) {
+    return -1;
+  }
+
+  const addresses = await Promise.all(signers.map(signer => signer.getAddress()));
+  return addresses.findIndex(address => address.toLowerCase() === ADMIN_SIGNER_ADDRESS.toLowerCase());
+}
+
+/**
+ * 創建結算錢包簽名者，不包括保留給合約管理函數的錢包
+ * @param {ethers.Provider} provider HTTP 提供者
+ * @param {Object} [options] 選項，見 createSigners
+ * @returns {Promise<AuditedSigner[]>} 簽名者
+ */
+async function createSettlerSigners(provider, options = {}) {
+  const signers = await createSigners(provider, options);
+
+  const adminIndex = await findAdminSignerIndex(signers);
+  if (adminIndex >= 0) {
+    signers.splice(adminIndex, 1);
+    console.log(`錢包 ${ADMIN_SIGNER_ADDRESS} 保留給合約管理函數，不用於結算`);
+  }
+
+  if (signers.length === 0) {
+    throw new Error('簽名後端沒有可用於結算的錢包');
+  }
+
+  console.log(`結算錢包使用 ${SETTLER_SIGNER_BACKEND} 簽名後端，共 ${signers.length} 個錢包`);
+  return signers;
+}
+
+/**
+ * 創建調用合約管理函數的簽名者
+ * @param {ethers.Provider} provider HTTP 提供者
+ * @param {Object} [options] 選項，見 createSigners
+ * @returns {Promise<AuditedSigner>} 管理錢包簽名者
+ */
+async function createAdminSigner(provider, options = {}) {
+  if (!ADMIN_SIGNER_ADDRESS) {
+    throw new Error('未設置 ADMIN_SIGNER_ADDRESS，無法調用合約管理函數');
+  }
+
+  const signers = await createSigners(provider, options);
+  const adminIndex = await findAdminSignerIndex(signers);
+  if (adminIndex < 0) {
+    throw new Error(`${SETTLER_SIGNER_BACKEND} 簽名後端中找不到管理錢包 ${ADMIN_SIGNER_ADDRESS}`);
+  }
+
+  return signers[adminIndex];
+}
+
+module.exports = {
+  createSettlerSigners,
+  createAdminSigner
+};
@@ -0,0 +1,47 @@
+/**
+ * 告警工具
+ * 需要人工處理的情況寫入錯誤日誌，並在設置 ALERT_WEBHOOK_URL 時以 POST JSON 發送通知
+ */
+const { ALERT_WEBHOOK_URL } = require('../config/contract');
+
+// 告警通知請求的超時時間，避免告警端點無回應時阻塞調用者
+const ALERT_TIMEOUT_MS = 10000;
+
+/**
+ * 發送告警
+ * @param {string} type 告警類型，例如 bet_expired
+ * @param {string} message 告警說明
+ * @param {Object} [details] 附加信息
+ * @returns {Promise<void>}
+ */
+const sendAlert = async (type, message, details = {}) => {
+  console.error(`[告警] ${type}: ${message}`, details);
+
+  if (!ALERT_WEBHOOK_URL) {
+    return;
+  }
+
+  if (typeof fetch !== 'function') {
+    console.warn('當前 Node.js 版本不支援 fetch，無法發送告警通知');
+    return;
+  }
+
+  try {
+    const response = await fetch(ALERT_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type, message, details, timestamp: new Date().toISOString() }),
+      signal: AbortSignal.timeout(ALERT_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      console.warn(`發送告警通知失敗: HTTP ${response.status}`);
+    }
+  } catch (error) {
+    console.warn('發送告警通知失敗:', error.message);
+  }
+};
+
+module.exports = {
+  sendAlert
+};
@@ -0,0 +1,305 @@
+/**
+ * API 身份驗證與角色檢查
+ * 以 API_KEYS 配置或數據庫中的金鑰驗證請求，請求者身份放在 req.auth，
+ * 未提供金鑰的請求視為 public 角色；各路由以 requireRole 要求最低角色。
+ * 玩家以 Sign-In with Ethereum 登入取得的會話令牌放在 req.player，路由以 requireAddressOwner 要求本人，
+ * 列出其他玩家投注的路由以 findHiddenPlayers 隱藏私密玩家
+ */
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const ApiKey = require('../models/ApiKey');
+const PlayerProfile = require('../models/PlayerProfile');
+const { isSessionToken, findSession } = require('../services/playerSessions');
+const { API_ROLES, API_KEYS, API_KEY_CACHE_MS } = require('../config/contract');
+
+// 數據庫金鑰的驗證快取 - Map<keyHash, {entry, expiresAt}>，只快取有效的金鑰，避免無效金鑰佔用記憶體
+const keyCache = new Map();
+
+/**
+ * 計算金鑰的 SHA-256 雜湊值
+ * @param {string} apiKey 金鑰
+ * @returns {string} 十六進制雜湊值
+ */
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+/**
+ * 產生新的金鑰
+ * @returns {{apiKey: string, keyHash: string, keyPrefix: string}} 明文金鑰、雜湊值與前綴
+ */
+const generateApiKey = () => {
+  const apiKey = `sk_${crypto.randomBytes(32).toString('base64url')}`;
+  return { apiKey, keyHash: hashApiKey(apiKey), keyPrefix: apiKey.slice(0, 10) };
+};
+
+/**
+ * 角色是否滿足要求的最低角色
+ * @param {string} role 請求者角色
+ * @param {string} requiredRole 要求的角色
+ * @returns {boolean} 是否滿足
+ */
+const hasRole = (role, requiredRole) => API_ROLES.indexOf(role) >= API_ROLES.indexOf(requiredRole);
+
+/**
+ * 讀取 Authorization: Bearer 令牌
+ * @param {Object} req 請求
+ * @returns {string|null} 令牌
+ */
+const readBearerToken = (req) => {
+  const authorization = req.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1] : null;
+};
+
+/**
+ * 從請求中讀取金鑰：X-API-Key 或不是會話令牌的 Authorization: Bearer
+ * @param {Object} req 請求
+ * @returns {string|null} 金鑰
+ */
+const readApiKey = (req) => {
+  const headerKey = req.get('X-API-Key');
+  if (headerKey) {
+    return headerKey;
+  }
+
+  const token = readBearerToken(req);
+  return token && !isSessionToken(token) ? token : null;
+};
+
+/**
+ * 從請求中讀取玩家會話令牌：Authorization: Bearer ses_...
+ * @param {Object} req 請求
+ * @returns {string|null} 會話令牌
+ */
+const readSessionToken = (req) => {
+  const token = readBearerToken(req);
+  return token && isSessionToken(token) ? token : null;
+};
+
+/**
+ * 在配置文件的金鑰中查找，比較所有項目，不因提前匹配而縮短耗時
+ * @param {string} keyHash 金鑰雜湊值
+ * @returns {Object|null} 金鑰身份 {name, role, keyPrefix, source}
+ */
+const findConfiguredKey = (keyHash) => {
+  const digest = Buffer.from(keyHash, 'hex');
+  let matched = null;
+  for (const entry of API_KEYS) {
+    if (crypto.timingSafeEqual(digest, Buffer.from(entry.keyHash, 'hex')) && !matched) {
+      matched = entry;
+    }
+  }
+  return matched ? { name: matched.name, role: matched.role, keyPrefix: null, source: 'config' } : null;
+};
+
+/**
+ * 在數據庫中查找未撤銷且未過期的金鑰，結果快取 API_KEY_CACHE_MS
+ * @param {string} keyHash 金鑰雜湊值
+ * @returns {Promise<Object|null>} 金鑰身份 {name, role, keyPrefix, source}
+ */
+const findStoredKey = async (keyHash) => {
+  const cached = keyCache.get(keyHash);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.entry;
+  }
+
+  const now = new Date();
+  const apiKey = await ApiKey.findOne({
+    keyHash,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  }).lean();
+
+  if (!apiKey) {
+    keyCache.delete(keyHash);
+    return null;
+  }
+
+  const entry = { name: apiKey.name, role: apiKey.role, keyPrefix: apiKey.keyPrefix, source: 'database' };
+  // 快取不超過金鑰的過期時間，輪換後的舊金鑰準時失效
+  const expiresAt = apiKey.expiresAt
+    ? Math.min(Date.now() + API_KEY_CACHE_MS, new Date(apiKey.expiresAt).getTime())
+    : Date.now() + API_KEY_CACHE_MS;
+  keyCache.set(keyHash, { entry, expiresAt });
+
+  ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } }).catch((error) => {
+    console.warn(`更新金鑰 ${apiKey.keyPrefix} 的使用時間失敗:`, error.message);
+  });
+
+  return entry;
+};
+
+/**
+ * 身份驗證中間件：驗證請求中的金鑰並設置 req.auth，未提供金鑰時為 public 角色；
+ * 驗證玩家會話令牌並設置 req.player，未登入時為 null
+ * 提供了無效金鑰或會話令牌的請求直接拒絕，不降級為 public
+ * @param {Object} req 請求
+ * @param {Object} res 回應
+ * @param {Function} next 下一個中間件
+ */
+const authenticate = async (req, res, next) => {
+  const identity = {
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || null
+  };
+
+  try {
+    const apiKey = readApiKey(req);
+    req.auth = { name: null, role: 'public', keyPrefix: null, source: null, ...identity };
+    if (apiKey) {
+      const keyHash = hashApiKey(apiKey);
+      const entry = findConfiguredKey(keyHash) || await findStoredKey(keyHash);
+
+      if (!entry) {
+        console.warn(`API 金鑰驗證失敗: ${req.method} ${req.originalUrl} 來自 ${req.ip}`);
+        return res.status(401).json({ error: 'API 金鑰無效或已過期' });
+      }
+
+      req.auth = { ...entry, ...identity };
+    }
+
+    const sessionToken = readSessionToken(req);
+    req.player = null;
+    if (sessionToken) {
+      req.player = await findSession(sessionToken);
+      if (!req.player) {
+        return res.status(401).json({ error: '會話無效或已過期，請重新登入' });
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error('驗證 API 金鑰失敗:', error);
+    res.status(503).json({ error: '暫時無法驗證 API 金鑰' });
+  }
+};
+
+/**
+ * 要求最低角色的中間件
+ * @param {string} requiredRole 要求的角色：public、operator 或 admin
+ * @returns {Function} 中間件
+ */
+const requireRole = (requiredRole) => {
+  if (!API_ROLES.includes(requiredRole)) {
+    throw new Error(`未知的角色: ${requiredRole}`);
+  }
+
+  return (req, res, next) => {
+    const role = req.auth ? req.auth.role : 'public';
+    if (hasRole(role, requiredRole)) {
+      return next();
+    }
+
+    if (!req.auth || !req.auth.name) {
+      return res.status(401).json({ error: `需要 ${requiredRole} 角色的 API 金鑰` });
+    }
+
+    console.warn(`API 權限不足: ${req.auth.name} (${role}) 請求 ${req.method} ${req.originalUrl}，需要 ${requiredRole}`);
+    res.status(403).json({ error: `權限不足，需要 ${requiredRole} 角色` });
+  };
+};
+
+/**
+ * 要求請求者為路徑中地址本人的中間件，operator 以上角色不受限制
+ * @param {string} [paramName] 路徑參數名
+ * @returns {Function} 中間件
+ */
+const requireAddressOwner = (paramName = 'playerAddress') => (req, res, next) => {
+  if (req.auth && hasRole(req.auth.role, 'operator')) {
+    return next();
+  }
+
+  if (!req.player) {
+    return res.status(401).json({ error: '需要以錢包登入' });
+  }
+
+  const address = req.params[paramName];
+  if (!ethers.isAddress(address) || ethers.getAddress(address) !== req.player.address) {
+    return res.status(403).json({ error: '只能存取本人地址的資料' });
+  }
+
+  next();
+};
+
+/**
+ * 玩家資料設為私密時要求請求者為本人的中間件，公開資料不需要登入
+ * @param {string} [paramName] 路徑參數名
+ * @returns {Function} 中間件
+ */
+const requireProfileAccess = (paramName = 'playerAddress') => {
+  const requireOwner = requireAddressOwner(paramName);
+
+  return async (req, res, next) => {
+    const address = req.params[paramName];
+    // 地址格式由路由校驗
+    if (!ethers.isAddress(address)) {
+      return next();
+    }
+
+    try {
+      const profile = await PlayerProfile.findOne({ address: ethers.getAddress(address) }).lean();
+      if (!profile || !profile.isPrivate) {
+        return next();
+      }
+      requireOwner(req, res, next);
+    } catch (error) {
+      console.error('檢查玩家資料權限失敗:', error);
+      res.status(500).json({ error: '檢查玩家資料權限時發生錯誤' });
+    }
+  };
+};
+
+/**
+ * 找出請求者無權查看的私密玩家：不是 operator 以上角色，也不是登入的本人
+ * 用於列出其他玩家投注的路由，隱藏這些玩家的地址與交易
+ * @param {Object} req 請求
+ * @param {string[]} addresses 玩家地址
+ * @returns {Promise<Set<string>>} 需要隱藏的玩家地址（校驗和格式）
+ */
+const findHiddenPlayers = async (req, addresses) => {
+  if (req.auth && hasRole(req.auth.role, 'operator')) {
+    return new Set();
+  }
+
+  const candidates = [...new Set(addresses.filter(address => ethers.isAddress(address)).map(address => ethers.getAddress(address)))]
+    .filter(address => !req.player || address !== req.player.address);
+  if (candidates.length === 0) {
+    return new Set();
+  }
+
+  const profiles = await PlayerProfile.find({ address: { $in: candidates }, isPrivate: true }, { address: 1 }).lean();
+  return new Set(profiles.map(profile => profile.address));
+};
+
+/**
+ * 確認請求者可以查看單一玩家的投注，私密玩家只對本人與 operator 以上角色開放
+ * 無權查看時回應 401（未登入）或 403
+ * @param {Object} req 請求
+ * @param {Object} res 回應
+ * @param {string} address 玩家地址
+ * @returns {Promise<boolean>} 是否可以查看，已回應錯誤時返回 false
+ */
+const ensurePlayerVisible = async (req, res, address) => {
+  const hidden = await findHiddenPlayers(req, [address]);
+  if (hidden.size === 0) {
+    return true;
+  }
+
+  if (!req.player) {
+    res.status(401).json({ error: '玩家資料為私密，需要以錢包登入' });
+  } else {
+    res.status(403).json({ error: '玩家資料為私密，只有本人可以查看' });
+  }
+  return false;
+};
+
+module.exports = {
+  hashApiKey,
+  generateApiKey,
+  hasRole,
+  authenticate,
+  requireRole,
+  requireAddressOwner,
+  requireProfileAccess,
+  findHiddenPlayers,
+  ensurePlayerVisible
+};
@@ -0,0 +1,44 @@
+/**
+ * 部署查詢工具
+ * 從 API 查詢參數（chainId、contract）解析要查詢的部署，未指定時使用主要部署
+ */
+const { ethers } = require('ethers');
+const { getAutoRevealService } = require('../services');
+
+/**
+ * 解析查詢參數中的部署並返回 GameEvent 查詢條件
+ * @param {Object} query 請求查詢參數 {chainId, contract}
+ * @returns {{service: Object, filter: Object}|{status: number, error: string}} 部署服務與查詢條件，或錯誤信息
+ */
+const resolveDeploymentQuery = (query) => {
+  const { chainId, contract } = query;
+
+  if (chainId !== undefined && !/^\d+$/.test(chainId)) {
+    return { status: 400, error: '無效的鏈 ID' };
+  }
+
+  if (contract !== undefined && !ethers.isAddress(contract)) {
+    return { status: 400, error: '無效的合約地址格式' };
+  }
+
+  const service = getAutoRevealService({
+    chainId: chainId !== undefined ? Number(chainId) : undefined,
+    contractAddress: contract
+  });
+
+  if (!service) {
+    return { status: 404, error: '找不到對應的合約部署' };
+  }
+
+  // 未配置 chainId 的部署在初始化前無法得知鏈 ID，只按合約地址過濾
+  const filter = { contractAddress: service.contractAddress };
+  if (service.chainId !== null) {
+    filter.chainId = service.chainId;
+  }
+
+  return { service, filter };
+};
+
+module.exports = {
+  resolveDeploymentQuery
+};
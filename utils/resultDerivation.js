@@ -0,0 +1,105 @@
+/**
+ * 投注結果推導工具
+ * 以與合約 settleBet 相同的方式從揭示區塊哈希重新計算結果值，用於公開驗證投注結果。
+ *
+ * 推導方式由 RESULT_DERIVATION 配置，必須與已部署合約的實作一致：
+ *   blockHash                         結果值 = uint256(blockhash(revealBlock)) % RESULT_MODULUS
+ *   keccak256(blockHash,player,betId) 結果值 = uint256(keccak256(abi.encodePacked(...))) % RESULT_MODULUS
+ *
+ * keccak256(...) 中可使用的欄位及其 Solidity 類型見 FIELD_TYPES，依列出的順序以 abi.encodePacked 編碼。
+ * 結果值大於等於 RESULT_BIG_THRESHOLD 為「大」，否則為「小」
+ *
+ * 合約沒有提供推導方式的查詢接口，這些配置沒有預設值：未完整設置時視為未配置，不以猜測的公式驗證結果
+ */
+const { ethers } = require('ethers');
+const { RESULT_DERIVATION, RESULT_MODULUS, RESULT_BIG_THRESHOLD } = require('../config/contract');
+
+// 可參與推導的欄位及其 Solidity 類型
+const FIELD_TYPES = {
+  blockHash: 'bytes32',
+  player: 'address',
+  betId: 'uint256',
+  roomId: 'uint32',
+  commitBlock: 'uint256',
+  revealBlock: 'uint256',
+  amount: 'uint256'
+};
+
+/**
+ * 解析推導方式配置
+ * @param {string} formula 推導方式
+ * @returns {{hashed: boolean, fields: string[]}} 是否先做 keccak256 與參與的欄位
+ */
+const parseDerivation = (formula) => {
+  const trimmed = formula.replace(/\s+/g, '');
+  const match = trimmed.match(/^keccak256\((.+)\)$/);
+  const fields = match ? match[1].split(',') : [trimmed];
+
+  for (const field of fields) {
+    if (!FIELD_TYPES[field]) {
+      throw new Error(`RESULT_DERIVATION 中的欄位無效: ${field}，可選欄位為 ${Object.keys(FIELD_TYPES).join(', ')}`);
+    }
+  }
+
+  if (!match && fields[0] !== 'blockHash') {
+    throw new Error(`RESULT_DERIVATION 不使用 keccak256 時只能為 blockHash: ${formula}`);
+  }
+
+  return { hashed: !!match, fields };
+};
+
+const derivation = RESULT_DERIVATION && RESULT_MODULUS && RESULT_BIG_THRESHOLD
+  ? parseDerivation(RESULT_DERIVATION)
+  : null;
+
+/**
+ * 是否已完整配置推導方式
+ * @returns {boolean} 是否已配置
+ */
+const isDerivationConfigured = () => derivation !== null;
+
+/**
+ * 依配置的推導方式計算投注結果
+ * @param {Object} values 推導欄位的值 {blockHash, player, betId, roomId, commitBlock, revealBlock, amount}
+ * @returns {Object} 推導過程與結果 {formula, fields, packed, hash, modulus, resultValue, bigThreshold, resultBig}
+ */
+const deriveResult = (values) => {
+  if (!derivation) {
+    throw new Error('未配置結果推導方式（RESULT_DERIVATION、RESULT_MODULUS、RESULT_BIG_THRESHOLD）');
+  }
+
+  const fields = derivation.fields.map(name => ({
+    name,
+    type: FIELD_TYPES[name],
+    value: values[name] === undefined || values[name] === null ? null : values[name].toString()
+  }));
+
+  const missing = fields.filter(field => field.value === null).map(field => field.name);
+  if (missing.length > 0) {
+    throw new Error(`缺少推導結果所需的欄位: ${missing.join(', ')}`);
+  }
+
+  const packed = derivation.hashed
+    ? ethers.solidityPacked(fields.map(field => field.type), fields.map(field => field.value))
+    : null;
+  const hash = derivation.hashed ? ethers.keccak256(packed) : fields[0].value;
+  const resultValue = Number(BigInt(hash) % BigInt(RESULT_MODULUS));
+
+  return {
+    formula: derivation.hashed
+      ? `uint256(keccak256(abi.encodePacked(${derivation.fields.join(', ')}))) % ${RESULT_MODULUS}`
+      : `uint256(blockHash) % ${RESULT_MODULUS}`,
+    fields,
+    packed,
+    hash,
+    modulus: RESULT_MODULUS,
+    resultValue,
+    bigThreshold: RESULT_BIG_THRESHOLD,
+    resultBig: resultValue >= RESULT_BIG_THRESHOLD
+  };
+};
+
+module.exports = {
+  isDerivationConfigured,
+  deriveResult
+};
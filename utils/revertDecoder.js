@@ -0,0 +1,147 @@
+/**
+ * 合約回退原因解碼工具
+ * 將 staticCall / estimateGas 的回退數據解碼為結構化原因（require 字符串、Panic 或自訂錯誤），
+ * 並依 config/contractErrors.js 的配置決定處理方式
+ */
+const { ethers } = require('ethers');
+const { CONTRACT_ABI } = require('../config/contract');
+const { loadContractErrors } = require('../config/contractErrors');
+
+const contractErrors = loadContractErrors();
+
+// 合約 ABI 與擴充配置中的自訂錯誤，Error(string) 與 Panic(uint256) 由 ethers 內建處理
+const errorInterface = new ethers.Interface([
+  ...CONTRACT_ABI.filter(fragment => fragment.type === 'error'),
+  ...contractErrors.errors
+]);
+
+/**
+ * 從錯誤對象中找出回退數據
+ * 不同節點返回的錯誤結構不同，回退數據可能位於外層或內層的 data 欄位
+ * @param {Error} error 調用錯誤
+ * @returns {string|null} 回退數據，找不到時返回 null
+ */
+const extractRevertData = (error) => {
+  const candidates = [
+    error.data,
+    error.info && error.info.error && error.info.error.data,
+    error.error && error.error.data
+  ];
+
+  for (const candidate of candidates) {
+    const data = candidate && typeof candidate === 'object' ? candidate.data : candidate;
+    if (typeof data === 'string' && ethers.isHexString(data)) {
+      return data;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * 依回退字符串規則決定處理方式
+ * @param {string} message 回退字符串
+ * @returns {string|null} 處理方式，沒有符合的規則時返回 null
+ */
+const matchReasonRule = (message) => {
+  const lowerMessage = (message || '').toLowerCase();
+  const rule = contractErrors.reasons.find(item => lowerMessage.includes(item.match.toLowerCase()));
+  return rule ? rule.action : null;
+};
+
+/**
+ * 將錯誤參數轉換為可序列化的值（bigint 轉為字符串，結構體轉為數組）
+ * @param {ethers.Result} args 錯誤參數
+ * @returns {Array} 參數列表
+ */
+const formatArgs = (args) => Array.from(args || []).map((value) => {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  return Array.isArray(value) ? formatArgs(value) : value;
+});
+
+/**
+ * 解碼合約回退原因
+ * @param {Error} error staticCall 或 estimateGas 拋出的錯誤
+ * @returns {Object|null} 回退原因 {kind, name, args, message, selector, action}，不是合約回退時返回 null
+ *   kind 為 error（require 字符串）、panic、custom（自訂錯誤）或 unknown（沒有回退數據），
+ *   action 為 drop、retry 或 escalate
+ */
+const decodeRevert = (error) => {
+  if (!error || error.code !== 'CALL_EXCEPTION') {
+    return null;
+  }
+
+  const data = extractRevertData(error);
+
+  // 部分節點不返回回退數據，無法判斷原因時先重試
+  if (!data || data === '0x') {
+    const message = error.reason || error.shortMessage || '合約回退但沒有回退數據';
+    return {
+      kind: 'unknown',
+      name: null,
+      args: [],
+      message,
+      selector: null,
+      action: (error.reason && matchReasonRule(error.reason)) || 'retry'
+    };
+  }
+
+  const selector = data.slice(0, 10);
+  let parsed = null;
+  try {
+    parsed = errorInterface.parseError(data);
+  } catch (decodeError) {
+    parsed = null;
+  }
+
+  if (!parsed) {
+    return {
+      kind: 'custom',
+      name: null,
+      args: [],
+      message: `未知的自訂錯誤 ${selector}`,
+      selector,
+      action: 'escalate'
+    };
+  }
+
+  const args = formatArgs(parsed.args);
+
+  if (parsed.name === 'Error') {
+    return {
+      kind: 'error',
+      name: 'Error',
+      args,
+      message: args[0],
+      selector,
+      action: matchReasonRule(args[0]) || 'escalate'
+    };
+  }
+
+  if (parsed.name === 'Panic') {
+    return {
+      kind: 'panic',
+      name: 'Panic',
+      args,
+      message: `Panic(0x${BigInt(args[0]).toString(16)})`,
+      selector,
+      action: 'escalate'
+    };
+  }
+
+  return {
+    kind: 'custom',
+    name: parsed.name,
+    args,
+    message: `${parsed.name}(${args.join(', ')})`,
+    selector,
+    action: contractErrors.actions[parsed.name] || 'escalate'
+  };
+};
+
+module.exports = {
+  decodeRevert,
+  extractRevertData
+};
@@ -0,0 +1,135 @@
+/**
+ * Sign-In with Ethereum (EIP-4361) 訊息解析
+ * 將玩家錢包簽名的訊息解析為欄位，格式不符時拋出錯誤
+ */
+const { ethers } = require('ethers');
+
+const HEADER_PATTERN = /^(?:[a-zA-Z][a-zA-Z0-9+.-]*:\/\/)?(\S+) wants you to sign in with your Ethereum account:$/;
+
+// 訊息欄位名稱與解析結果中的屬性名
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+/**
+ * 解析 ISO 8601 時間欄位
+ * @param {string|null} value 欄位值
+ * @param {string} field 欄位名稱
+ * @returns {Date|null} 時間，未提供時返回 null
+ */
+const parseTime = (value, field) => {
+  if (value === null) {
+    return null;
+  }
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    throw new Error(`${field} 不是有效的時間`);
+  }
+  return time;
+};
+
+/**
+ * 解析 SIWE 訊息
+ * @param {string} message 簽名訊息
+ * @returns {Object} 訊息欄位 {domain, address, statement, uri, version, chainId, nonce, issuedAt, expirationTime, notBefore, requestId, resources}
+ */
+const parseSiweMessage = (message) => {
+  if (typeof message !== 'string') {
+    throw new Error('訊息必須為字符串');
+  }
+
+  // 忽略結尾多餘的換行
+  const lines = message.replace(/\n+$/, '').split('\n');
+  const header = lines[0].match(HEADER_PATTERN);
+  if (!header) {
+    throw new Error('訊息開頭不是 Sign-In with Ethereum 格式');
+  }
+
+  const address = lines[1] || '';
+  if (!ethers.isAddress(address)) {
+    throw new Error('訊息中的地址無效');
+  }
+
+  const parsed = {
+    domain: header[1],
+    address: ethers.getAddress(address),
+    statement: null,
+    uri: null,
+    version: null,
+    chainId: null,
+    nonce: null,
+    issuedAt: null,
+    expirationTime: null,
+    notBefore: null,
+    requestId: null,
+    resources: []
+  };
+
+  // 地址之後、URI 之前的非空行為可選的說明
+  let index = 2;
+  const statementLines = [];
+  while (index < lines.length && !lines[index].startsWith('URI: ')) {
+    if (lines[index] !== '') {
+      statementLines.push(lines[index]);
+    }
+    index++;
+  }
+  if (statementLines.length > 1) {
+    throw new Error('訊息說明只能有一行');
+  }
+  parsed.statement = statementLines[0] || null;
+
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (line === 'Resources:') {
+      parsed.resources = lines.slice(index + 1).map((resource) => {
+        if (!resource.startsWith('- ')) {
+          throw new Error('訊息的 Resources 格式錯誤');
+        }
+        return resource.slice(2);
+      });
+      break;
+    }
+
+    const separator = line.indexOf(': ');
+    const key = FIELDS[line.slice(0, separator)];
+    if (separator <= 0 || !key || parsed[key] !== null) {
+      throw new Error(`訊息中有無法識別或重複的行: ${line}`);
+    }
+    parsed[key] = line.slice(separator + 2);
+  }
+
+  for (const field of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+    if (parsed[field] === null) {
+      throw new Error(`訊息缺少 ${field}`);
+    }
+  }
+
+  if (parsed.version !== '1') {
+    throw new Error(`不支援的訊息版本 ${parsed.version}`);
+  }
+  if (!/^\d+$/.test(parsed.chainId)) {
+    throw new Error('訊息中的 Chain ID 無效');
+  }
+  if (!/^[a-zA-Z0-9]{8,}$/.test(parsed.nonce)) {
+    throw new Error('訊息中的 Nonce 無效');
+  }
+
+  parsed.chainId = Number(parsed.chainId);
+  parsed.issuedAt = parseTime(parsed.issuedAt, 'Issued At');
+  parsed.expirationTime = parseTime(parsed.expirationTime, 'Expiration Time');
+  parsed.notBefore = parseTime(parsed.notBefore, 'Not Before');
+
+  return parsed;
+};
+
+module.exports = {
+  parseSiweMessage
+};